@@ -63,7 +63,7 @@ const DataTypeName2DataType = Object.freeze(Object.keys(DataTypeName).reduce(
  * All expressions must be immutable from the outside
  * @abstract
  */
-class SpeedyMatrixExpr
+export class SpeedyMatrixExpr
 {
     /**
      * Constructor
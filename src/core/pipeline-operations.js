@@ -22,7 +22,13 @@
 import { ColorFormat } from '../utils/types';
 import { Utils } from '../utils/utils';
 import { GLUtils } from '../gpu/gl-utils';
-import { NotSupportedError, IllegalArgumentError } from '../utils/errors';
+import { SpeedyProgram } from '../gpu/speedy-program';
+import { SpeedyTexture } from '../gpu/speedy-texture';
+import { createShader } from '../gpu/shader-declaration';
+import { NotSupportedError, IllegalArgumentError, IllegalOperationError, AbstractMethodError, ShaderCompilationError } from '../utils/errors';
+import { MAX_TEXTURE_LENGTH, MAX_CONVOLUTION_KERNEL_SIZE } from '../utils/globals';
+import { SpeedyMatrixExpr } from './math/matrix-expressions';
+import { SpeedyMedia } from './speedy-media';
 
 export const PipelineOperation = { };
 
@@ -52,6 +58,16 @@ export const PipelineOperation = { };
         return texture;
     }
 
+    /**
+     * Prepares the operation before running the pipeline
+     * Use it to fetch data asynchronously (e.g., from matrices)
+     * @returns {Promise<void>}
+     */
+    prepare()
+    {
+        return Promise.resolve();
+    }
+
     /**
      * Perform any necessary cleanup
      */
@@ -86,21 +102,157 @@ export const PipelineOperation = { };
 //               COLOR CONVERSIONS
 // =====================================================
 
+// map: color space name -> color format
+export const COLOR_SPACES = Object.freeze({
+    'rgb': ColorFormat.RGB,
+    'hsv': ColorFormat.HSV,
+    'hsl': ColorFormat.HSL,
+    'ycbcr': ColorFormat.YCbCr,
+    'lab': ColorFormat.Lab,
+    'greyscale': ColorFormat.Greyscale,
+    'grayscale': ColorFormat.Greyscale,
+});
+
+// map: color format -> [ program that converts from RGB, program that converts to RGB ]
+const COLOR_CONVERSION_PROGRAMS = Object.freeze({
+    [ColorFormat.HSV]: [ 'rgb2hsv', 'hsv2rgb' ],
+    [ColorFormat.HSL]: [ 'rgb2hsl', 'hsl2rgb' ],
+    [ColorFormat.YCbCr]: [ 'rgb2ycbcr', 'ycbcr2rgb' ],
+    [ColorFormat.Lab]: [ 'rgb2lab', 'lab2rgb' ],
+});
+
+/**
+ * Convert to a color space
+ */
+PipelineOperation.ConvertTo = class extends SpeedyPipelineOperation
+{
+    /**
+     * Color conversion
+     * @param {Symbol} colorFormat target ColorFormat
+     */
+    constructor(colorFormat)
+    {
+        super();
+        this._colorFormat = colorFormat;
+    }
+
+    run(texture, gpu, media)
+    {
+        texture = convertColor(texture, gpu, media._colorFormat, this._colorFormat);
+        media._colorFormat = this._colorFormat;
+        return texture;
+    }
+}
+
 /**
  * Convert to greyscale
  */
-PipelineOperation.ConvertToGreyscale = class extends SpeedyPipelineOperation
+PipelineOperation.ConvertToGreyscale = class extends PipelineOperation.ConvertTo
+{
+    constructor()
+    {
+        super(ColorFormat.Greyscale);
+    }
+}
+
+/**
+ * Color range segmentation
+ */
+PipelineOperation.InRange = class extends SpeedyPipelineOperation
 {
+    /**
+     * InRange operation
+     * @param {object|()=>object} [options]
+     */
+    constructor(options = {})
+    {
+        super();
+
+        // save options
+        this._saveOptions(options, {
+            colorSpace: 'rgb',         // "rgb" | "hsv" | "hsl" | "ycbcr" | "lab" | "greyscale"
+            lower: [ 0, 0, 0 ],        // lower bound of the range, with components in [0,255]
+            upper: [ 255, 255, 255 ],  // upper bound of the range, with components in [0,255]
+        });
+    }
+
     run(texture, gpu, media)
     {
-        if(media._colorFormat == ColorFormat.RGB)
-            texture = gpu.programs.colors.rgb2grey(texture);
-        else if(media._colorFormat != ColorFormat.Greyscale)
-            throw new NotSupportedError(`Can't convert image to greyscale: unknown color format`);
+        let { colorSpace, lower, upper } = this._loadOptions();
+        const colorFormat = COLOR_SPACES[colorSpace];
+
+        // validate options
+        if(colorFormat === undefined)
+            throw new IllegalArgumentError(`Can't find color range: unknown color space "${colorSpace}"`);
+        if(typeof lower == 'number')
+            lower = [ lower, lower, lower ];
+        if(typeof upper == 'number')
+            upper = [ upper, upper, upper ];
+        if(!Array.isArray(lower) || !Array.isArray(upper) || lower.length != 3 || upper.length != 3)
+            throw new IllegalArgumentError(`Can't find color range: the bounds must be arrays of 3 numbers (or numbers if greyscale)`);
+
+        // the hue is circular
+        const isHue = (colorFormat == ColorFormat.HSV || colorFormat == ColorFormat.HSL);
+        const wrapAround = isHue && lower[0] > upper[0];
+
+        // find the pixels within the range
+        // add a bit of tolerance to deal with rounding errors
+        texture = convertColor(texture, gpu, media._colorFormat, colorFormat);
+        texture = gpu.programs.colors.inRange(
+            texture,
+            lower.map(x => (+x - 0.5) / 255),
+            upper.map(x => (+x + 0.5) / 255),
+            wrapAround
+        );
+
+        media._colorFormat = ColorFormat.Binary;
+        return texture;
+    }
+}
+
+/**
+ * Convert an image between color formats
+ * @param {SpeedyTexture} texture
+ * @param {SpeedyGPU} gpu
+ * @param {Symbol} from ColorFormat of the input
+ * @param {Symbol} to desired ColorFormat
+ * @returns {SpeedyTexture}
+ */
+function convertColor(texture, gpu, from, to)
+{
+    const isGreyscale = (from == ColorFormat.Greyscale || from == ColorFormat.Binary);
 
-        media._colorFormat = ColorFormat.Greyscale;
+    // nothing to do
+    if(from == to)
         return texture;
+
+    // convert to RGB
+    if(COLOR_CONVERSION_PROGRAMS.hasOwnProperty(from))
+        texture = gpu.programs.colors[COLOR_CONVERSION_PROGRAMS[from][1]](texture);
+    else if(from != ColorFormat.RGB && !isGreyscale)
+        throw new NotSupportedError(`Can't convert image from the ${colorFormatName(from)} color format`);
+
+    // convert from RGB
+    if(to == ColorFormat.Greyscale) {
+        if(!isGreyscale)
+            texture = gpu.programs.colors.rgb2grey(texture);
     }
+    else if(COLOR_CONVERSION_PROGRAMS.hasOwnProperty(to))
+        texture = gpu.programs.colors[COLOR_CONVERSION_PROGRAMS[to][0]](texture);
+    else if(to != ColorFormat.RGB)
+        throw new NotSupportedError(`Can't convert image to the ${colorFormatName(to)} color space`);
+
+    return texture;
+}
+
+/**
+ * The name of a color format, to be used in messages
+ * @param {Symbol} colorFormat
+ * @returns {string}
+ */
+function colorFormatName(colorFormat)
+{
+    return colorFormat.description || String(colorFormat);
 }
 
 
@@ -145,6 +297,82 @@ PipelineOperation.Blur = class extends SpeedyPipelineOperation
     }
 }
 
+/**
+ * Median filter
+ */
+PipelineOperation.Median = class extends SpeedyPipelineOperation
+{
+    /**
+     * Median filter (good for removing salt-and-pepper noise)
+     * @param {object|()=>object} [options]
+     */
+    constructor(options = {})
+    {
+        super();
+
+        // save options
+        this._saveOptions(options, {
+            size: 5 // 3 | 5 | 7
+        });
+    }
+
+    run(texture, gpu, media)
+    {
+        const { size } = this._loadOptions();
+        const colorFormat = media._colorFormat;
+
+        // validate options
+        if(size != 3 && size != 5 && size != 7)
+            throw new IllegalArgumentError(`Invalid window size: ${size}`);
+
+        // run filter
+        if(colorFormat == ColorFormat.RGB)
+            return gpu.programs.filters['medianRGB' + size](texture);
+        else if(colorFormat == ColorFormat.Greyscale || colorFormat == ColorFormat.Binary)
+            return gpu.programs.filters['median' + size](texture);
+        else
+            throw new NotSupportedError(`Can't apply a median filter to an image in the ${colorFormatName(colorFormat)} color space: convert it to RGB or greyscale first`);
+    }
+}
+
+/**
+ * Bilateral filter
+ */
+PipelineOperation.Bilateral = class extends SpeedyPipelineOperation
+{
+    /**
+     * Bilateral filter: smooths the image while preserving edges
+     * @param {object|()=>object} [options]
+     */
+    constructor(options = {})
+    {
+        super();
+
+        // save options
+        this._saveOptions(options, {
+            diameter: 5,    // an odd number from 3 to 15
+            sigmaColor: 50, // standard deviation in the color space
+            sigmaSpace: 2,  // standard deviation in the coordinate space
+        });
+    }
+
+    run(texture, gpu, media)
+    {
+        const { diameter, sigmaColor, sigmaSpace } = this._loadOptions();
+        const colorFormat = media._colorFormat;
+
+        if(colorFormat != ColorFormat.RGB && colorFormat != ColorFormat.Greyscale && colorFormat != ColorFormat.Binary)
+            throw new NotSupportedError(`Can't apply a bilateral filter to an image in the ${colorFormatName(colorFormat)} color space: convert it to RGB or greyscale first`);
+
+        // binary images are filtered as greyscale; the output is no longer binary
+        const greyscale = (colorFormat != ColorFormat.RGB);
+        if(colorFormat == ColorFormat.Binary)
+            media._colorFormat = ColorFormat.Greyscale;
+
+        return gpu.programs.filters.bilateral(texture, greyscale, diameter, sigmaColor, sigmaSpace);
+    }
+}
+
 /**
  * Image convolution
  */
@@ -152,88 +380,246 @@ PipelineOperation.Convolve = class extends SpeedyPipelineOperation
 {
     /**
      * Perform a convolution
-     * Must provide a SQUARE kernel with size: 3x3, 5x5 or 7x7
+     * Must provide a SQUARE kernel of odd size, from 3x3 up to 31x31
      * @param {Array<number>} kernel convolution kernel
      * @param {number} [divisor] divide all kernel entries by this number
      */
     constructor(kernel, divisor = 1.0)
     {
-        let kern = new Float32Array(kernel).map(x => x / divisor);
-        const len = kern.length;
+        const len = kernel.length;
         const size = Math.sqrt(len) | 0;
-        const method = ({
-            3: ['createKernel3x3', 'texConv2D3'],
-            5: ['createKernel5x5', 'texConv2D5'],
-            7: ['createKernel7x7', 'texConv2D7'],
-        })[size] || null;
         super();
 
         // validate kernel
         if(len == 1)
             throw new IllegalArgumentError(`Cannot convolve with a kernel containing a single element`);
-        else if(size * size != len || !method)
+        else if(size * size != len)
             throw new IllegalArgumentError(`Cannot convolve with a non-square kernel of ${len} elements`);
+        else if(size % 2 == 0 || size > MAX_CONVOLUTION_KERNEL_SIZE)
+            throw new IllegalArgumentError(`Cannot convolve with a ${size}x${size} kernel: its size must be an odd number from 3 to ${MAX_CONVOLUTION_KERNEL_SIZE}`);
 
-        // normalize kernel entries to [0,1]
-        const min = Math.min(...kern), max = Math.max(...kern);
-        const offset = min;
-        const scale = Math.abs(max - min) > 1e-5 ? max - min : 1;
-        kern = kern.map(x => (x - offset) / scale);
-
-        // store the normalized kernel
-        this._method = method;
-        this._scale = scale;
-        this._offset = offset;
-        this._kernel = kern;
+        // store the kernel
         this._kernelSize = size;
-        this._texKernel = null;
-        this._gl = null;
+        this._texKernel = new TextureKernel(kernel, divisor, size, size);
     }
 
     run(texture, gpu, media)
+    {
+        const texKernel = this._texKernel;
+
+        return gpu.programs.filters.convolve(
+            texture,
+            texKernel.texture(gpu),
+            this._kernelSize,
+            texKernel.scale,
+            texKernel.offset
+        );
+    }
+
+    release()
+    {
+        this._texKernel.release();
+        super.release();
+    }
+}
+
+/**
+ * Separable image convolution
+ */
+PipelineOperation.SeparableConvolve = class extends SpeedyPipelineOperation
+{
+    /**
+     * Perform a convolution with a separable kernel:
+     * a 1D convolution on the x-axis followed by
+     * a 1D convolution on the y-axis
+     * @param {Array<number>} rowKernel 1D kernel of odd size, from 3 to 31
+     * @param {Array<number>} colKernel 1D kernel of odd size, from 3 to 31
+     * @param {number} [divisor] divide all kernel entries by this number
+     */
+    constructor(rowKernel, colKernel, divisor = 1.0)
+    {
+        super();
+
+        // validate kernels
+        for(const kernel of [ rowKernel, colKernel ]) {
+            if(kernel.length <= 1 || kernel.length % 2 == 0 || kernel.length > MAX_CONVOLUTION_KERNEL_SIZE)
+                throw new IllegalArgumentError(`Cannot perform a separable convolution with a 1D kernel of ${kernel.length} elements: its size must be an odd number from 3 to ${MAX_CONVOLUTION_KERNEL_SIZE}`);
+        }
+
+        // store the kernels
+        // the divisor is applied only once
+        this._rowKernel = new TextureKernel(rowKernel, divisor, rowKernel.length, 1);
+        this._colKernel = new TextureKernel(colKernel, 1.0, colKernel.length, 1);
+    }
+
+    run(texture, gpu, media)
+    {
+        const rowKernel = this._rowKernel, colKernel = this._colKernel;
+        const filters = gpu.programs.filters;
+
+        texture = filters.convolveX(texture, rowKernel.texture(gpu), rowKernel.width, rowKernel.scale, rowKernel.offset);
+        texture = filters.convolveY(texture, colKernel.texture(gpu), colKernel.width, colKernel.scale, colKernel.offset);
+
+        return texture;
+    }
+
+    release()
+    {
+        this._rowKernel.release();
+        this._colKernel.release();
+        super.release();
+    }
+}
+
+/**
+ * A texture owned by a pipeline operation, created on demand
+ * and re-created whenever it's used with another WebGL context
+ */
+class OwnedTexture
+{
+    /**
+     * Class constructor
+     */
+    constructor()
+    {
+        this._texture = null;
+        this._gl = null;
+    }
+
+    /**
+     * Get the texture, creating it if necessary
+     * @param {SpeedyGPU} gpu
+     * @returns {SpeedyTexture|null} null if the context is lost
+     */
+    texture(gpu)
     {
         // lost context?
         if(gpu.gl.isContextLost()) {
-            this._texKernel = null;
+            this._texture = null;
             this._gl = null;
-            // convolve with a null texKernel anyway,
             // SpeedyProgram handles lost contexts
         }
 
-        // instantiate the texture kernel
-        else if(this._texKernel == null || (this._gl !== gpu.gl && this._gl !== null)) {
-            // warn about performance
-            if(this._gl !== gpu.gl && this._gl !== null && !this._gl.isContextLost()) {
-                const warn = 'Performance warning: need to recreate the texture kernel. ' +
-                             'Consider duplicating the pipeline when using convolutions ' +
-                             'for different media objects.';
-                Utils.warning(warn);
-
-                // release old texture
-                this._texKernel.release();
-            }
+        // instantiate the texture
+        else if(this._texture == null || this._gl !== gpu.gl) {
+            // release the texture of another context
+            if(this._texture != null && !this._gl.isContextLost())
+                this._texture.release();
 
-            this._texKernel = gpu.programs.filters[this._method[0]](this._kernel);
+            this._texture = this._create(gpu);
             this._gl = gpu.gl;
         }
 
-        // convolve
-        return gpu.programs.filters[this._method[1]](
-            texture,
-            this._texKernel,
-            this._scale,
-            this._offset
-        );
+        return this._texture;
     }
 
+    /**
+     * Release the texture
+     */
     release()
     {
-        if(this._texKernel != null) {
-            this._texKernel.release();
-            this._texKernel = this._gl = null;
+        if(this._texture != null) {
+            this._texture.release();
+            this._texture = this._gl = null;
         }
+    }
 
-        super.release();
+    /**
+     * Create the texture in the context of gpu
+     * @abstract
+     * @param {SpeedyGPU} gpu
+     * @returns {SpeedyTexture}
+     */
+    _create(gpu)
+    {
+        throw new AbstractMethodError();
+    }
+}
+
+/**
+ * A convolution kernel stored in a texture
+ * The entries of the kernel are normalized to [0,1]
+ */
+class TextureKernel extends OwnedTexture
+{
+    /**
+     * Class constructor
+     * @param {Array<number>} kernel entries in row-major order
+     * @param {number} divisor divide all kernel entries by this number
+     * @param {number} width
+     * @param {number} height
+     */
+    constructor(kernel, divisor, width, height)
+    {
+        super();
+        let kern = new Float32Array(kernel).map(x => x / divisor);
+
+        // normalize kernel entries to [0,1]
+        const min = Math.min(...kern), max = Math.max(...kern);
+        const offset = min;
+        const scale = Math.abs(max - min) > 1e-5 ? max - min : 1;
+        kern = kern.map(x => (x - offset) / scale);
+
+        // store the normalized kernel
+        this._kernel = kern;
+        this._width = width;
+        this._height = height;
+        this._scale = scale;
+        this._offset = offset;
+    }
+
+    /**
+     * Create the texture of the kernel
+     * @param {SpeedyGPU} gpu
+     * @returns {SpeedyTexture}
+     */
+    _create(gpu)
+    {
+        // warn about performance
+        if(this._gl !== null && !this._gl.isContextLost()) {
+            const warn = 'Performance warning: need to recreate the texture kernel. ' +
+                         'Consider duplicating the pipeline when using convolutions ' +
+                         'for different media objects.';
+            Utils.warning(warn);
+        }
+
+        return gpu.programs.filters.createKernel(this._kernel, this._width, this._height);
+    }
+
+    /**
+     * Width of the kernel
+     * @returns {number}
+     */
+    get width()
+    {
+        return this._width;
+    }
+
+    /**
+     * Height of the kernel
+     * @returns {number}
+     */
+    get height()
+    {
+        return this._height;
+    }
+
+    /**
+     * Multiply the normalized entries by this number...
+     * @returns {number}
+     */
+    get scale()
+    {
+        return this._scale;
+    }
+
+    /**
+     * ...and add this number to get the original entries
+     * @returns {number}
+     */
+    get offset()
+    {
+        return this._offset;
     }
 }
 
@@ -266,7 +652,7 @@ PipelineOperation.Normalize = class extends SpeedyPipelineOperation
         else if(media._colorFormat == ColorFormat.Greyscale)
             return gpu.programs.enhancements.normalizeGreyscaleImage(texture, min, max);
         else
-            throw new NotSupportedError('Invalid color format');
+            throw new NotSupportedError(`Can't normalize an image in the ${colorFormatName(media._colorFormat)} color space: convert it to RGB or greyscale first`);
     }
 }
 
@@ -301,6 +687,1520 @@ PipelineOperation.Nightvision = class extends SpeedyPipelineOperation
         else if(media._colorFormat == ColorFormat.Greyscale)
             return gpu.programs.enhancements.nightvision(texture, gain, offset, decay, quality, true);
         else
-            throw new NotSupportedError('Invalid color format');
+            throw new NotSupportedError(`Can't apply nightvision to an image in the ${colorFormatName(media._colorFormat)} color space: convert it to RGB or greyscale first`);
+    }
+}
+
+/**
+ * Histogram equalization
+ */
+PipelineOperation.EqualizeHistogram = class extends SpeedyPipelineOperation
+{
+    run(texture, gpu, media)
+    {
+        if(media._colorFormat == ColorFormat.RGB)
+            return gpu.programs.enhancements.equalizeHistogram(texture, false);
+        else if(media._colorFormat == ColorFormat.Greyscale)
+            return gpu.programs.enhancements.equalizeHistogram(texture, true);
+        else
+            throw new NotSupportedError(`Can't equalize the histogram of an image in the ${colorFormatName(media._colorFormat)} color space: convert it to RGB or greyscale first`);
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Contrast Limited Adaptive Histogram Equalization (CLAHE)
+ */
+PipelineOperation.CLAHE = class extends SpeedyPipelineOperation
+{
+    /**
+     * Class constructor
+     * @param {object|()=>object} [options]
+     */
+    constructor(options = {})
+    {
+        super();
+
+        // save options
+        this._saveOptions(options, {
+            clipLimit: undefined, // clip the histograms at clipLimit times their average count
+            tiles: undefined,     // divide the image into (tiles x tiles) tiles
+        });
+    }
+
+    run(texture, gpu, media)
+    {
+        const { clipLimit, tiles } = this._loadOptions();
+
+        if(media._colorFormat == ColorFormat.RGB)
+            return gpu.programs.enhancements.clahe(texture, clipLimit, tiles, false);
+        else if(media._colorFormat == ColorFormat.Greyscale)
+            return gpu.programs.enhancements.clahe(texture, clipLimit, tiles, true);
+        else
+            throw new NotSupportedError(`Can't apply CLAHE to an image in the ${colorFormatName(media._colorFormat)} color space: convert it to RGB or greyscale first`);
+    }
+}
+
+/**
+ * Brightness, contrast, gamma & saturation
+ */
+PipelineOperation.Adjust = class extends SpeedyPipelineOperation
+{
+    /**
+     * Class constructor
+     * @param {object|()=>object} [options]
+     */
+    constructor(options = {})
+    {
+        super();
+
+        // save options
+        this._saveOptions(options, {
+            brightness: undefined, // added to the pixel intensities, in [-255,255]
+            contrast: undefined,   // scales the pixel intensities around mid-grey
+            gamma: undefined,      // the pixel intensities are raised to this power
+            saturation: undefined, // 0 removes the colors
+        });
+    }
+
+    run(texture, gpu, media)
+    {
+        const { brightness, contrast, gamma, saturation } = this._loadOptions();
+
+        if(media._colorFormat == ColorFormat.RGB || media._colorFormat == ColorFormat.Greyscale)
+            return gpu.programs.enhancements.adjust(texture, brightness, contrast, gamma, saturation);
+        else
+            throw new NotSupportedError(`Can't adjust an image in the ${colorFormatName(media._colorFormat)} color space: convert it to RGB or greyscale first`);
+    }
+}
+
+/**
+ * A lookup table stored in a texture
+ * (the texture is created on demand)
+ */
+class TextureLUT extends OwnedTexture
+{
+    /**
+     * Class constructor
+     * @param {Array<ArrayLike<number>>} tables the lookup tables of the R, G, B & A channels
+     */
+    constructor(tables)
+    {
+        super();
+        this._tables = tables;
+    }
+
+    /**
+     * Create the texture of the lookup table
+     * @param {SpeedyGPU} gpu
+     * @returns {SpeedyTexture}
+     */
+    _create(gpu)
+    {
+        return gpu.programs.enhancements.createLUT(this._tables);
+    }
+}
+
+/**
+ * Map the pixel intensities using a lookup table
+ */
+PipelineOperation.LUT = class extends SpeedyPipelineOperation
+{
+    /**
+     * Class constructor
+     * @param {ArrayLike<number>|Array<ArrayLike<number>>} table a lookup table of 256 entries in [0,255]
+     *        shared by the RGB channels, or an array of 3 (RGB) or 4 (RGBA) such tables, one per channel
+     */
+    constructor(table)
+    {
+        const identity = Array.from({ length: 256 }, (_, i) => i);
+        const isTable = t => t != null && t.length === 256 && Array.prototype.every.call(t, x => typeof x === 'number');
+        super();
+
+        // validate & store the lookup tables
+        if(isTable(table))
+            this._texLUT = new TextureLUT([ table, table, table, identity ]);
+        else if(Array.isArray(table) && (table.length == 3 || table.length == 4) && table.every(isTable))
+            this._texLUT = new TextureLUT(table.length == 4 ? table : [ ...table, identity ]);
+        else
+            throw new IllegalArgumentError(`Invalid lookup table: expected an array of 256 numbers, or an array of 3 or 4 such arrays (one per channel)`);
+    }
+
+    run(texture, gpu, media)
+    {
+        const texLUT = this._texLUT.texture(gpu);
+
+        if(media._colorFormat == ColorFormat.RGB)
+            return gpu.programs.enhancements.lut(texture, texLUT, false);
+        else if(media._colorFormat == ColorFormat.Greyscale)
+            return gpu.programs.enhancements.lut(texture, texLUT, true);
+        else
+            throw new NotSupportedError(`Can't apply a lookup table to an image in the ${colorFormatName(media._colorFormat)} color space: convert it to RGB or greyscale first`);
+    }
+
+    release()
+    {
+        this._texLUT.release();
+        super.release();
+    }
+}
+
+/**
+ * Binary thresholding
+ */
+PipelineOperation.Threshold = class extends SpeedyPipelineOperation
+{
+    /**
+     * Threshold operation
+     * @param {object|()=>object} [options]
+     */
+    constructor(options = {})
+    {
+        super();
+
+        // save options
+        this._saveOptions(options, {
+            method: 'binary', // "binary" | "otsu" | "adaptive-mean" | "adaptive-gaussian"
+            value: 127,       // threshold of the "binary" method, in [0,255]
+            blockSize: 11,    // neighborhood size of the adaptive methods: 3 | 5 | 7 | 9 | 11
+            c: 2,             // constant subtracted from the mean in the adaptive methods, in [-255,255]
+            invert: false,    // output white if the pixel intensity is at most the threshold
+        });
+    }
+
+    run(texture, gpu, media)
+    {
+        const { method, value, blockSize, c, invert } = this._loadOptions();
+
+        // thresholding works with pixel intensities
+        texture = convertColor(texture, gpu, media._colorFormat, ColorFormat.Greyscale);
+
+        // run the selected method
+        switch(method) {
+            case 'binary':
+                if(!(value >= 0 && value <= 255))
+                    throw new IllegalArgumentError(`Invalid threshold: ${value}. It must be in [0,255]`);
+                texture = gpu.programs.filters.threshold(texture, +value, !!invert);
+                break;
+
+            case 'otsu':
+                texture = gpu.programs.filters.otsuThreshold(texture, !!invert);
+                break;
+
+            case 'adaptive-mean':
+            case 'adaptive-gaussian':
+                if(!(c >= -255 && c <= 255))
+                    throw new IllegalArgumentError(`Invalid constant: ${c}. It must be in [-255,255]`);
+                texture = gpu.programs.filters.adaptiveThreshold(texture, method == 'adaptive-mean' ? 'box' : 'gaussian', blockSize, +c, !!invert);
+                break;
+
+            default:
+                throw new IllegalArgumentError(`Invalid thresholding method: "${method}"`);
+        }
+
+        media._colorFormat = ColorFormat.Binary;
+        return texture;
+    }
+}
+
+
+
+// =====================================================
+//                   EDGE DETECTION
+// =====================================================
+
+/**
+ * Canny edge detector
+ */
+PipelineOperation.Canny = class extends SpeedyPipelineOperation
+{
+    /**
+     * Class constructor
+     * @param {object|()=>object} [options]
+     */
+    constructor(options = {})
+    {
+        super();
+
+        // save options
+        this._saveOptions(options, {
+            low: 50,     // lower threshold of the gradient magnitude
+            high: 150,   // upper threshold of the gradient magnitude
+            blurSize: 5, // size of the Gaussian kernel used to smooth the image: 3 | 5 | 7, or 0 for no smoothing
+        });
+    }
+
+    run(texture, gpu, media)
+    {
+        const { low, high, blurSize } = this._loadOptions();
+
+        texture = convertColor(texture, gpu, media._colorFormat, ColorFormat.Greyscale);
+        texture = gpu.programs.edges.canny(texture, +low, +high, blurSize);
+
+        media._colorFormat = ColorFormat.Binary;
+        return texture;
+    }
+}
+
+/**
+ * Sobel derivatives
+ */
+PipelineOperation.Sobel = class extends SpeedyPipelineOperation
+{
+    /**
+     * Class constructor
+     * @param {object|()=>object} [options]
+     */
+    constructor(options = {})
+    {
+        super();
+
+        // save options
+        this._saveOptions(options, {
+            dx: 1,    // order of the derivative in the x-axis: 0 | 1 | 2
+            dy: 0,    // order of the derivative in the y-axis: 0 | 1 | 2
+            ksize: 3, // kernel size: 3 | 5 | 7
+        });
+    }
+
+    run(texture, gpu, media)
+    {
+        const { dx, dy, ksize } = this._loadOptions();
+
+        texture = convertColor(texture, gpu, media._colorFormat, ColorFormat.Greyscale);
+        texture = gpu.programs.edges.sobel(texture, dx, dy, ksize);
+
+        media._colorFormat = ColorFormat.FixedPoint;
+        return texture;
+    }
+}
+
+/**
+ * Scharr derivatives
+ */
+PipelineOperation.Scharr = class extends SpeedyPipelineOperation
+{
+    /**
+     * Class constructor
+     * @param {object|()=>object} [options]
+     */
+    constructor(options = {})
+    {
+        super();
+
+        // save options
+        this._saveOptions(options, {
+            dx: 1, // order of the derivative in the x-axis: 0 | 1
+            dy: 0, // order of the derivative in the y-axis: 0 | 1
+        });
+    }
+
+    run(texture, gpu, media)
+    {
+        const { dx, dy } = this._loadOptions();
+
+        texture = convertColor(texture, gpu, media._colorFormat, ColorFormat.Greyscale);
+        texture = gpu.programs.edges.scharr(texture, dx, dy);
+
+        media._colorFormat = ColorFormat.FixedPoint;
+        return texture;
+    }
+}
+
+/**
+ * Magnitude of the gradient
+ */
+PipelineOperation.GradientMagnitude = class extends SpeedyPipelineOperation
+{
+    run(texture, gpu, media)
+    {
+        texture = convertColor(texture, gpu, media._colorFormat, ColorFormat.Greyscale);
+        texture = gpu.programs.edges.gradientMagnitude(texture);
+
+        media._colorFormat = ColorFormat.FixedPoint;
+        return texture;
+    }
+}
+
+/**
+ * Orientation of the gradient
+ */
+PipelineOperation.GradientOrientation = class extends SpeedyPipelineOperation
+{
+    run(texture, gpu, media)
+    {
+        texture = convertColor(texture, gpu, media._colorFormat, ColorFormat.Greyscale);
+        texture = gpu.programs.edges.gradientOrientation(texture);
+
+        media._colorFormat = ColorFormat.FixedPoint;
+        return texture;
+    }
+}
+
+/**
+ * Laplacian
+ */
+PipelineOperation.Laplacian = class extends SpeedyPipelineOperation
+{
+    /**
+     * Class constructor
+     * @param {object|()=>object} [options]
+     */
+    constructor(options = {})
+    {
+        super();
+
+        // save options
+        this._saveOptions(options, {
+            ksize: 1, // kernel size: 1 | 3 | 5 | 7
+        });
+    }
+
+    run(texture, gpu, media)
+    {
+        const { ksize } = this._loadOptions();
+
+        texture = convertColor(texture, gpu, media._colorFormat, ColorFormat.Greyscale);
+        texture = gpu.programs.filters.laplacian(texture, ksize);
+
+        media._colorFormat = ColorFormat.FixedPoint;
+        return texture;
+    }
+}
+
+/**
+ * Laplacian of Gaussian (LoG)
+ */
+PipelineOperation.LoG = class extends SpeedyPipelineOperation
+{
+    /**
+     * Class constructor
+     * @param {object|()=>object} [options]
+     */
+    constructor(options = {})
+    {
+        super();
+
+        // save options
+        this._saveOptions(options, {
+            sigma: 1.4, // standard deviation of the Gaussian
+        });
+    }
+
+    run(texture, gpu, media)
+    {
+        const { sigma } = this._loadOptions();
+
+        texture = convertColor(texture, gpu, media._colorFormat, ColorFormat.Greyscale);
+        texture = gpu.programs.filters.laplacianOfGaussian(texture, +sigma);
+
+        media._colorFormat = ColorFormat.FixedPoint;
+        return texture;
+    }
+}
+
+/**
+ * Difference of Gaussians (DoG)
+ */
+PipelineOperation.DoG = class extends SpeedyPipelineOperation
+{
+    /**
+     * Class constructor
+     * @param {object|()=>object} [options]
+     */
+    constructor(options = {})
+    {
+        super();
+
+        // save options
+        this._saveOptions(options, {
+            sigma1: 1.0, // standard deviation of the first Gaussian
+            sigma2: 1.6, // standard deviation of the second Gaussian
+        });
+    }
+
+    run(texture, gpu, media)
+    {
+        const { sigma1, sigma2 } = this._loadOptions();
+
+        texture = convertColor(texture, gpu, media._colorFormat, ColorFormat.Greyscale);
+        texture = gpu.programs.filters.differenceOfGaussians(texture, +sigma1, +sigma2);
+
+        media._colorFormat = ColorFormat.FixedPoint;
+        return texture;
+    }
+}
+
+
+
+// =====================================================
+//                     MORPHOLOGY
+// =====================================================
+
+/**
+ * Morphological operation
+ */
+PipelineOperation.Morphology = class extends SpeedyPipelineOperation
+{
+    /**
+     * Class constructor
+     * @param {string} operation "erode" | "dilate" | "open" | "close" | "gradient" | "tophat"
+     * @param {object|()=>object} [options]
+     */
+    constructor(operation, options = {})
+    {
+        super();
+        this._operation = operation;
+
+        // save options
+        this._saveOptions(options, {
+            shape: 'rect', // shape of the structuring element: "rect" | "cross" | "ellipse"
+            size: 3,       // size of the structuring element: an odd number from 3 to 15
+            iterations: 1, // how many times the operation is applied
+        });
+    }
+
+    run(texture, gpu, media)
+    {
+        const { shape, size, iterations } = this._loadOptions();
+        const colorFormat = media._colorFormat;
+
+        if(colorFormat != ColorFormat.RGB && colorFormat != ColorFormat.Greyscale && colorFormat != ColorFormat.Binary)
+            throw new NotSupportedError(`Can't apply morphological operations to an image in the ${colorFormatName(colorFormat)} color space: convert it to RGB or greyscale first`);
+
+        return gpu.programs.morphology[this._operation](texture, shape, size, iterations);
+    }
+}
+
+/**
+ * Erosion
+ */
+PipelineOperation.Erode = class extends PipelineOperation.Morphology
+{
+    /**
+     * Class constructor
+     * @param {object|()=>object} [options]
+     */
+    constructor(options = {})
+    {
+        super('erode', options);
+    }
+}
+
+/**
+ * Dilation
+ */
+PipelineOperation.Dilate = class extends PipelineOperation.Morphology
+{
+    /**
+     * Class constructor
+     * @param {object|()=>object} [options]
+     */
+    constructor(options = {})
+    {
+        super('dilate', options);
+    }
+}
+
+/**
+ * Opening: erosion followed by dilation
+ */
+PipelineOperation.Open = class extends PipelineOperation.Morphology
+{
+    /**
+     * Class constructor
+     * @param {object|()=>object} [options]
+     */
+    constructor(options = {})
+    {
+        super('open', options);
+    }
+}
+
+/**
+ * Closing: dilation followed by erosion
+ */
+PipelineOperation.Close = class extends PipelineOperation.Morphology
+{
+    /**
+     * Class constructor
+     * @param {object|()=>object} [options]
+     */
+    constructor(options = {})
+    {
+        super('close', options);
+    }
+}
+
+/**
+ * Morphological gradient: dilation minus erosion
+ */
+PipelineOperation.MorphGradient = class extends PipelineOperation.Morphology
+{
+    /**
+     * Class constructor
+     * @param {object|()=>object} [options]
+     */
+    constructor(options = {})
+    {
+        super('gradient', options);
+    }
+}
+
+/**
+ * Top hat: image minus its opening
+ */
+PipelineOperation.Tophat = class extends PipelineOperation.Morphology
+{
+    /**
+     * Class constructor
+     * @param {object|()=>object} [options]
+     */
+    constructor(options = {})
+    {
+        super('tophat', options);
+    }
+}
+
+
+
+// =====================================================
+//               GEOMETRIC TRANSFORMATIONS
+// =====================================================
+
+/**
+ * Resize image
+ */
+PipelineOperation.Resize = class extends SpeedyPipelineOperation
+{
+    /**
+     * Resize operation
+     * @param {object|()=>object} [options]
+     */
+    constructor(options = {})
+    {
+        super();
+
+        // save options
+        this._saveOptions(options, {
+            width: undefined,   // new width, in pixels
+            height: undefined,  // new height, in pixels
+            method: 'bilinear'  // "nearest" | "bilinear" | "area"
+        });
+    }
+
+    run(texture, gpu, media)
+    {
+        let { width, height, method } = this._loadOptions();
+
+        // keep the aspect ratio if a dimension is missing
+        if(width === undefined && height === undefined)
+            throw new IllegalArgumentError(`Can't resize image: expected a width and/or a height`);
+        else if(width === undefined)
+            width = Math.round(media.width * height / media.height);
+        else if(height === undefined)
+            height = Math.round(media.height * width / media.width);
+
+        // resize
+        validateDimensions(width, height);
+        texture = gpu.programs.transforms.resize(texture, width, height, method);
+        updateGeometry(gpu, media, width, height);
+        return texture;
+    }
+}
+
+/**
+ * Rescale image by a factor
+ */
+PipelineOperation.Scale = class extends SpeedyPipelineOperation
+{
+    /**
+     * Scale operation
+     * @param {number|()=>number} factor scale factor, e.g., 0.5 for half the size
+     * @param {string} [method] "nearest" | "bilinear" | "area"
+     */
+    constructor(factor, method = 'bilinear')
+    {
+        super();
+
+        // lambda: load the scale factor
+        this._loadFactor = (typeof factor == 'function') ? factor : (() => factor);
+        this._method = method;
+    }
+
+    run(texture, gpu, media)
+    {
+        const factor = this._loadFactor(), method = this._method;
+
+        // validate factor
+        if(typeof factor !== 'number' || !(factor > 0))
+            throw new IllegalArgumentError(`Invalid scale factor: ${factor}`);
+
+        // resize
+        const width = Math.max(1, Math.round(media.width * factor));
+        const height = Math.max(1, Math.round(media.height * factor));
+        validateDimensions(width, height);
+        texture = gpu.programs.transforms.resize(texture, width, height, method);
+        updateGeometry(gpu, media, width, height);
+        return texture;
+    }
+}
+
+/**
+ * Crop image
+ */
+PipelineOperation.Crop = class extends SpeedyPipelineOperation
+{
+    /**
+     * Crop operation
+     * @param {object|()=>object} rect { x, y, width, height }
+     */
+    constructor(rect)
+    {
+        super();
+
+        // save options
+        this._saveOptions(rect, {
+            x: 0,              // x-coordinate of the top-left corner
+            y: 0,              // y-coordinate of the top-left corner
+            width: undefined,  // width of the rectangle (defaults to the remaining width)
+            height: undefined  // height of the rectangle (defaults to the remaining height)
+        });
+    }
+
+    run(texture, gpu, media)
+    {
+        let { x, y, width, height } = this._loadOptions();
+
+        // default values
+        if(width === undefined)
+            width = media.width - x;
+        if(height === undefined)
+            height = media.height - y;
+
+        // validate rectangle
+        if(!Number.isInteger(x) || !Number.isInteger(y) || x < 0 || y < 0)
+            throw new IllegalArgumentError(`Can't crop image: invalid position (${x}, ${y})`);
+        validateDimensions(width, height);
+        if(x + width > media.width || y + height > media.height)
+            throw new IllegalArgumentError(`Can't crop image: rectangle ${width}x${height} at (${x}, ${y}) is out of bounds`);
+
+        // crop
+        texture = gpu.programs.transforms.crop(texture, x, y, width, height);
+        updateGeometry(gpu, media, width, height);
+        return texture;
+    }
+}
+
+/**
+ * Warp image using a homography
+ */
+PipelineOperation.WarpPerspective = class extends SpeedyPipelineOperation
+{
+    /**
+     * Perspective warp operation
+     * @param {SpeedyMatrixExpr|()=>SpeedyMatrixExpr} matrix 3x3 homography
+     * @param {object|()=>object} [options]
+     */
+    constructor(matrix, options = {})
+    {
+        super();
+
+        // lambda: load the transformation matrix
+        this._loadMatrix = (typeof matrix == 'function') ? matrix : (() => matrix);
+        this._matrixRows = 3;
+        this._inverseHomography = null;
+
+        // save options
+        this._saveOptions(options, {
+            width: undefined,           // width of the output image (defaults to the width of the media)
+            height: undefined,          // height of the output image (defaults to the height of the media)
+            border: 'constant',         // "constant" | "replicate" | "reflect"
+            borderColor: [0, 0, 0, 255] // RGBA color used with the "constant" border mode, or a greyscale value
+        });
+    }
+
+    prepare()
+    {
+        const matrix = this._loadMatrix();
+        const rows = this._matrixRows;
+
+        // validate matrix
+        if(!(matrix instanceof SpeedyMatrixExpr))
+            return Promise.reject(new IllegalArgumentError(`Can't warp image: expected a matrix`));
+        else if(matrix.rows != rows || matrix.columns != 3)
+            return Promise.reject(new IllegalArgumentError(`Can't warp image: expected a ${rows}x3 matrix, but got a ${matrix.rows}x${matrix.columns} matrix`));
+
+        // we map output pixels to input pixels
+        return matrix.read().then(entries => {
+            const inverse = inverse3x3(this._homography(entries));
+            if(inverse === null)
+                throw new IllegalArgumentError(`Can't warp image: singular transformation matrix`);
+
+            this._inverseHomography = inverse;
+        });
+    }
+
+    run(texture, gpu, media)
+    {
+        let { width, height, border, borderColor } = this._loadOptions();
+
+        // validate options
+        if(this._inverseHomography === null)
+            throw new IllegalOperationError(`Can't warp image: the transformation matrix hasn't been read`);
+        if(width === undefined)
+            width = media.width;
+        if(height === undefined)
+            height = media.height;
+        validateDimensions(width, height);
+
+        // border color
+        if(typeof borderColor == 'number')
+            borderColor = [ borderColor, borderColor, borderColor, 255 ];
+        else if(!Array.isArray(borderColor) || borderColor.length != 4)
+            throw new IllegalArgumentError(`Invalid border color: ${borderColor}`);
+
+        // warp
+        texture = gpu.programs.transforms.warpPerspective(
+            texture,
+            this._inverseHomography,
+            width, height,
+            border,
+            borderColor.map(c => Math.max(0, Math.min(+c, 255)) / 255)
+        );
+        updateGeometry(gpu, media, width, height);
+        return texture;
+    }
+
+    /**
+     * Convert the entries of the user-provided matrix to a homography
+     * @param {number[]} entries in column-major format
+     * @returns {number[]} 3x3 matrix in column-major format
+     */
+    _homography(entries)
+    {
+        return entries;
+    }
+}
+
+/**
+ * Warp image using an affine transformation
+ */
+PipelineOperation.WarpAffine = class extends PipelineOperation.WarpPerspective
+{
+    /**
+     * Affine warp operation
+     * @param {SpeedyMatrixExpr|()=>SpeedyMatrixExpr} matrix 2x3 affine transformation
+     * @param {object|()=>object} [options]
+     */
+    constructor(matrix, options = {})
+    {
+        super(matrix, options);
+        this._matrixRows = 2;
+    }
+
+    _homography(entries)
+    {
+        return [
+            entries[0], entries[1], 0,
+            entries[2], entries[3], 0,
+            entries[4], entries[5], 1,
+        ];
+    }
+}
+
+/**
+ * Flip image
+ */
+PipelineOperation.Flip = class extends SpeedyPipelineOperation
+{
+    /**
+     * Flip operation
+     * @param {object|()=>object} [options]
+     */
+    constructor(options = {})
+    {
+        super();
+
+        // save options
+        this._saveOptions(options, {
+            horizontal: true, // flip around the vertical axis (mirror)
+            vertical: false   // flip around the horizontal axis (upside-down)
+        });
+    }
+
+    run(texture, gpu, media)
+    {
+        const { horizontal, vertical } = this._loadOptions();
+
+        if(!horizontal && !vertical)
+            return texture;
+
+        return gpu.programs.transforms.flip(texture, Boolean(horizontal), Boolean(vertical));
+    }
+}
+
+/**
+ * Rotate image by a multiple of 90 degrees
+ */
+PipelineOperation.Rotate = class extends SpeedyPipelineOperation
+{
+    /**
+     * Rotate operation
+     * @param {number|()=>number} angle clockwise, in degrees: 90, 180 or 270
+     */
+    constructor(angle)
+    {
+        super();
+
+        // lambda: load the angle
+        this._loadAngle = (typeof angle == 'function') ? angle : (() => angle);
+    }
+
+    run(texture, gpu, media)
+    {
+        const angle = this._loadAngle();
+
+        // validate angle
+        if(!Number.isInteger(angle) || angle % 90 != 0)
+            throw new IllegalArgumentError(`Can't rotate image: the angle must be a multiple of 90 degrees, but got ${angle}`);
+
+        // rotate
+        const normalizedAngle = ((angle % 360) + 360) % 360;
+        texture = gpu.programs.transforms.rotate(texture, normalizedAngle);
+        if(normalizedAngle == 90 || normalizedAngle == 270)
+            updateGeometry(gpu, media, media.height, media.width);
+        return texture;
+    }
+}
+
+/**
+ * Transpose image
+ */
+PipelineOperation.Transpose = class extends SpeedyPipelineOperation
+{
+    run(texture, gpu, media)
+    {
+        texture = gpu.programs.transforms.transpose(texture);
+        updateGeometry(gpu, media, media.height, media.width);
+        return texture;
+    }
+}
+
+/**
+ * Compute the inverse of a 3x3 matrix
+ * @param {number[]} m matrix in column-major format
+ * @returns {number[]|null} inverse in column-major format, or null if the matrix is singular
+ */
+function inverse3x3(m)
+{
+    const [ a, d, g, b, e, h, c, f, i ] = m; // rows: [a b c], [d e f], [g h i]
+    const A = e * i - f * h, B = f * g - d * i, C = d * h - e * g;
+    const det = a * A + b * B + c * C;
+
+    if(Math.abs(det) < 1e-12)
+        return null;
+
+    const k = 1.0 / det;
+    return [
+        k * A, k * B, k * C,
+        k * (c * h - b * i), k * (a * i - c * g), k * (b * g - a * h),
+        k * (b * f - c * e), k * (c * d - a * f), k * (a * e - b * d),
+    ];
+}
+
+/**
+ * Validate the dimensions of a transformed image
+ * @param {number} width
+ * @param {number} height
+ */
+function validateDimensions(width, height)
+{
+    if(!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1)
+        throw new IllegalArgumentError(`Invalid image dimensions: ${width} x ${height}`);
+    else if(width > MAX_TEXTURE_LENGTH || height > MAX_TEXTURE_LENGTH)
+        throw new IllegalArgumentError(`Image dimensions exceed the maximum of ${MAX_TEXTURE_LENGTH} pixels: ${width} x ${height}`);
+}
+
+/**
+ * Update the geometry of the media after a transformation,
+ * so that the next operations work on the new dimensions
+ * @param {SpeedyGPU} gpu
+ * @param {SpeedyMedia} media
+ * @param {number} width new width
+ * @param {number} height new height
+ */
+function updateGeometry(gpu, media, width, height)
+{
+    media._width = width;
+    media._height = height;
+    gpu.setResolution(width, height);
+}
+
+
+
+// =====================================================
+//               TWO-INPUT OPERATIONS
+// =====================================================
+
+/**
+ * Pixel-wise arithmetic & bitwise operations
+ */
+PipelineOperation.Arithmetic = class extends SpeedyPipelineOperation
+{
+    /**
+     * Class constructor
+     * @param {string} operation "absdiff" | "add" | "subtract" | "multiply" | "bitwiseAnd" | "bitwiseOr" | "bitwiseXor"
+     * @param {SpeedyMedia|Promise<SpeedyMedia>} operand the second input, of the same size and color format as the image
+     */
+    constructor(operation, operand)
+    {
+        super();
+        this._operation = operation;
+        this._operand = new TextureOperand(operand);
+    }
+
+    prepare()
+    {
+        return this._operand.prepare();
+    }
+
+    run(texture, gpu, media)
+    {
+        const operand = this._operand.media;
+        const colorFormat = media._colorFormat;
+
+        if(colorFormat != ColorFormat.RGB && colorFormat != ColorFormat.Greyscale && colorFormat != ColorFormat.Binary)
+            throw new NotSupportedError(`Can't apply pixel-wise operations to an image in the ${colorFormatName(colorFormat)} color space: convert it to RGB or greyscale first`);
+        else if(operand._colorFormat != colorFormat)
+            throw new IllegalArgumentError(`The operand must be in the same color space as the image: expected ${colorFormatName(colorFormat)}, found ${colorFormatName(operand._colorFormat)}`);
+
+        const texOperand = this._operand.texture(gpu, media);
+        return gpu.programs.arithmetic[this._operation](texture, texOperand);
+    }
+
+    release()
+    {
+        this._operand.release();
+        super.release();
+    }
+}
+
+/**
+ * Absolute difference
+ */
+PipelineOperation.AbsDiff = class extends PipelineOperation.Arithmetic
+{
+    /**
+     * Class constructor
+     * @param {SpeedyMedia|Promise<SpeedyMedia>} operand
+     */
+    constructor(operand)
+    {
+        super('absdiff', operand);
+    }
+}
+
+/**
+ * Saturated addition
+ */
+PipelineOperation.Add = class extends PipelineOperation.Arithmetic
+{
+    /**
+     * Class constructor
+     * @param {SpeedyMedia|Promise<SpeedyMedia>} operand
+     */
+    constructor(operand)
+    {
+        super('add', operand);
+    }
+}
+
+/**
+ * Saturated subtraction
+ */
+PipelineOperation.Subtract = class extends PipelineOperation.Arithmetic
+{
+    /**
+     * Class constructor
+     * @param {SpeedyMedia|Promise<SpeedyMedia>} operand
+     */
+    constructor(operand)
+    {
+        super('subtract', operand);
+    }
+}
+
+/**
+ * Multiplication of the normalized intensities
+ */
+PipelineOperation.Multiply = class extends PipelineOperation.Arithmetic
+{
+    /**
+     * Class constructor
+     * @param {SpeedyMedia|Promise<SpeedyMedia>} operand
+     */
+    constructor(operand)
+    {
+        super('multiply', operand);
+    }
+}
+
+/**
+ * Bitwise and
+ */
+PipelineOperation.BitwiseAnd = class extends PipelineOperation.Arithmetic
+{
+    /**
+     * Class constructor
+     * @param {SpeedyMedia|Promise<SpeedyMedia>} operand
+     */
+    constructor(operand)
+    {
+        super('bitwiseAnd', operand);
+    }
+}
+
+/**
+ * Bitwise or
+ */
+PipelineOperation.BitwiseOr = class extends PipelineOperation.Arithmetic
+{
+    /**
+     * Class constructor
+     * @param {SpeedyMedia|Promise<SpeedyMedia>} operand
+     */
+    constructor(operand)
+    {
+        super('bitwiseOr', operand);
+    }
+}
+
+/**
+ * Bitwise xor
+ */
+PipelineOperation.BitwiseXor = class extends PipelineOperation.Arithmetic
+{
+    /**
+     * Class constructor
+     * @param {SpeedyMedia|Promise<SpeedyMedia>} operand
+     */
+    constructor(operand)
+    {
+        super('bitwiseXor', operand);
+    }
+}
+
+/**
+ * Alpha blending
+ */
+PipelineOperation.Blend = class extends SpeedyPipelineOperation
+{
+    /**
+     * Class constructor
+     * @param {SpeedyMedia|Promise<SpeedyMedia>} operand the second input, of the same size and color format as the image
+     * @param {number} [alpha] weight of the operand, in [0,1]
+     */
+    constructor(operand, alpha = 0.5)
+    {
+        super();
+        this._operand = new TextureOperand(operand);
+        this._alpha = +alpha;
+
+        if(!(this._alpha >= 0 && this._alpha <= 1))
+            throw new IllegalArgumentError(`Invalid alpha: ${alpha}. Expected a number in [0,1]`);
+    }
+
+    prepare()
+    {
+        return this._operand.prepare();
+    }
+
+    run(texture, gpu, media)
+    {
+        const operand = this._operand.media;
+        const colorFormat = media._colorFormat;
+
+        if(colorFormat != ColorFormat.RGB && colorFormat != ColorFormat.Greyscale)
+            throw new NotSupportedError(`Can't blend an image in the ${colorFormatName(colorFormat)} color space: convert it to RGB or greyscale first`);
+        else if(operand._colorFormat != colorFormat)
+            throw new IllegalArgumentError(`The operand must be in the same color space as the image: expected ${colorFormatName(colorFormat)}, found ${colorFormatName(operand._colorFormat)}`);
+
+        const texOperand = this._operand.texture(gpu, media);
+        return gpu.programs.arithmetic.blend(texture, texOperand, this._alpha);
+    }
+
+    release()
+    {
+        this._operand.release();
+        super.release();
+    }
+}
+
+/**
+ * Masking
+ */
+PipelineOperation.ApplyMask = class extends SpeedyPipelineOperation
+{
+    /**
+     * Class constructor
+     * @param {SpeedyMedia|Promise<SpeedyMedia>} mask greyscale or binary media of the same size as the image
+     */
+    constructor(mask)
+    {
+        super();
+        this._mask = new TextureOperand(mask);
+    }
+
+    prepare()
+    {
+        return this._mask.prepare();
+    }
+
+    run(texture, gpu, media)
+    {
+        const mask = this._mask.media;
+        const colorFormat = media._colorFormat;
+
+        if(colorFormat != ColorFormat.RGB && colorFormat != ColorFormat.Greyscale && colorFormat != ColorFormat.Binary)
+            throw new NotSupportedError(`Can't apply a mask to an image in the ${colorFormatName(colorFormat)} color space: convert it to RGB or greyscale first`);
+        else if(mask._colorFormat != ColorFormat.Greyscale && mask._colorFormat != ColorFormat.Binary)
+            throw new IllegalArgumentError(`The mask must be greyscale or binary, but it's in the ${colorFormatName(mask._colorFormat)} color space`);
+
+        const texMask = this._mask.texture(gpu, media);
+        return gpu.programs.arithmetic.applyMask(texture, texMask);
+    }
+
+    release()
+    {
+        this._mask.release();
+        super.release();
+    }
+}
+
+/**
+ * The second input of a two-input operation,
+ * uploaded to a texture owned by the operation
+ */
+class TextureOperand extends OwnedTexture
+{
+    /**
+     * Class constructor
+     * @param {SpeedyMedia|Promise<SpeedyMedia>} operand a media or the result of media.run()
+     */
+    constructor(operand)
+    {
+        super();
+
+        // the result of a pipeline is resolved in prepare()
+        if(operand instanceof Promise) {
+            this._media = null;
+            this._promise = operand;
+        }
+        else {
+            this._media = validateOperand(operand);
+            this._promise = Promise.resolve(operand);
+        }
+    }
+
+    /**
+     * Wait for the operand to be available
+     * @returns {Promise<void>}
+     */
+    prepare()
+    {
+        return this._promise.then(operand => {
+            this._media = validateOperand(operand);
+        });
+    }
+
+    /**
+     * Upload the operand to its texture, creating it if necessary
+     * @param {SpeedyGPU} gpu
+     * @param {SpeedyMedia} media the media being processed
+     * @returns {SpeedyTexture|null}
+     */
+    texture(gpu, media)
+    {
+        const operand = this._media;
+
+        if(operand.isReleased())
+            throw new IllegalOperationError(`Can't use a SpeedyMedia that has been released as the second input of the operation`);
+        else if(operand.width != media.width || operand.height != media.height)
+            throw new IllegalArgumentError(`The second input of the operation must have the same size as the image: expected ${media.width} x ${media.height}, found ${operand.width} x ${operand.height}`);
+
+        // release a texture that doesn't fit the operand
+        if(this._texture != null && (this._texture.width != operand.width || this._texture.height != operand.height))
+            this.release();
+
+        // upload the operand
+        const texture = super.texture(gpu);
+        if(texture == null)
+            return null;
+
+        return gpu.upload(operand.source, operand.width, operand.height, texture);
+    }
+
+    /**
+     * Create the texture of the operand
+     * @param {SpeedyGPU} gpu
+     * @returns {SpeedyTexture}
+     */
+    _create(gpu)
+    {
+        return new SpeedyTexture(gpu.gl, this._media.width, this._media.height);
+    }
+
+    /**
+     * The operand
+     * @returns {SpeedyMedia}
+     */
+    get media()
+    {
+        return this._media;
+    }
+}
+
+/**
+ * Validate the second input of a two-input operation
+ * @param {SpeedyMedia} operand
+ * @returns {SpeedyMedia} operand
+ */
+function validateOperand(operand)
+{
+    if(!(operand instanceof SpeedyMedia))
+        throw new IllegalArgumentError(`Expected a SpeedyMedia as the second input of the operation`);
+
+    return operand;
+}
+
+
+
+// =====================================================
+//                 MOTION ANALYSIS
+// =====================================================
+
+// map: background subtraction method -> default options
+const BACKGROUND_SUBTRACTION_DEFAULTS = Object.freeze({
+    'running-average': Object.freeze({ learningRate: 0.05, threshold: 30 }),
+    'median-approx': Object.freeze({ learningRate: 1 / 255, threshold: 30 }),
+    'mog': Object.freeze({ learningRate: 0.01, threshold: 2.5 }),
+});
+
+/**
+ * Background subtraction
+ * The background model is kept across runs of the pipeline
+ */
+PipelineOperation.BackgroundSubtract = class extends SpeedyPipelineOperation
+{
+    /**
+     * Class constructor
+     * @param {object|()=>object} [options]
+     */
+    constructor(options = {})
+    {
+        super();
+
+        // save options
+        this._saveOptions(options, {
+            method: 'running-average', // "running-average" | "median-approx" | "mog"
+            learningRate: undefined,   // how fast the background adapts to changes, in (0,1]
+            threshold: undefined,      // minimum difference to the background, in [0,255] (in standard deviations for "mog")
+        });
+
+        // background model
+        this._model = null; // SpeedyTexture[] | null
+        this._gl = null;
+        this._method = '';
+    }
+
+    run(texture, gpu, media)
+    {
+        const options = this._loadOptions();
+        const method = String(options.method);
+        const colorFormat = media._colorFormat;
+
+        // validate
+        if(!BACKGROUND_SUBTRACTION_DEFAULTS.hasOwnProperty(method))
+            throw new IllegalArgumentError(`Invalid background subtraction method: "${method}"`);
+        else if(colorFormat != ColorFormat.RGB && colorFormat != ColorFormat.Greyscale)
+            throw new NotSupportedError(`Can't subtract the background of an image in the ${colorFormatName(colorFormat)} color space: convert it to RGB or greyscale first`);
+
+        const defaults = BACKGROUND_SUBTRACTION_DEFAULTS[method];
+        const learningRate = options.learningRate !== undefined ? options.learningRate : defaults.learningRate;
+        const threshold = options.threshold !== undefined ? options.threshold : defaults.threshold;
+
+        // lost context? the model will be
+        // reinitialized when the context is restored
+        if(gpu.gl.isContextLost()) {
+            this._model = null;
+            this._gl = null;
+            return texture;
+        }
+
+        // work with greyscale images
+        const image = colorFormat == ColorFormat.RGB ? gpu.programs.colors.rgb2grey(texture) : texture;
+
+        // (re)initialize the model if necessary
+        const background = gpu.programs.background;
+        if(this._model == null || this._gl !== gpu.gl || this._method !== method ||
+        this._model[0].width != image.width || this._model[0].height != image.height) {
+            this._releaseModel();
+            this._model = background.createModel(image, method);
+            this._gl = gpu.gl;
+            this._method = method;
+        }
+
+        // find the foreground & update the model
+        const foreground = background.foreground(image, this._model, method, threshold);
+        const model = background.updateModel(image, this._model, method, learningRate, threshold);
+        this._releaseModel();
+        this._model = model;
+        this._gl = gpu.gl;
+
+        // the output is a foreground mask
+        media._colorFormat = ColorFormat.Binary;
+        return foreground;
+    }
+
+    release()
+    {
+        this._releaseModel();
+        super.release();
+    }
+
+    /**
+     * Release the textures of the background model
+     */
+    _releaseModel()
+    {
+        if(this._model != null) {
+            if(!this._gl.isContextLost())
+                this._model.forEach(texture => texture.release());
+            this._model = this._gl = null;
+        }
+    }
+}
+
+
+
+// =====================================================
+//                CUSTOM OPERATIONS
+// =====================================================
+
+/**
+ * User-defined GLSL operation
+ */
+PipelineOperation.Shader = class extends SpeedyPipelineOperation
+{
+    /**
+     * Class constructor
+     * @param {string} source GLSL code of the fragment shader
+     * @param {object|()=>object} [options]
+     */
+    constructor(source, options = {})
+    {
+        super();
+
+        // save options
+        this._saveOptions(options, {
+            uniforms: {}, // uniform name -> value | () => value
+        });
+
+        // create the shader declaration
+        const shaderdecl = createShader(String(source));
+        const names = shaderdecl.uniforms.map(name => name.replace(/\[\d+\]$/, '')); // arrays
+        const args = [...new Set(names)].filter(name => name != 'texSize');
+        if(!args.includes('image') || shaderdecl.uniformType('image') != 'sampler2D')
+            throw new IllegalArgumentError(`The custom shader must declare the input image as: uniform sampler2D image;`);
+
+        // store the shader
+        this._source = String(source);
+        this._shaderdecl = shaderdecl.withArguments(...args);
+        this._programs = new Map(); // WebGL context -> SpeedyProgram
+    }
+
+    run(texture, gpu, media)
+    {
+        const { uniforms } = this._loadOptions();
+        const program = this._program(gpu.gl, texture.width, texture.height);
+
+        // read the values of the uniforms
+        const args = this._shaderdecl.arguments.map(name => {
+            if(name == 'image')
+                return texture;
+            else if(!uniforms.hasOwnProperty(name))
+                throw new IllegalArgumentError(`Can't run custom shader: missing value of uniform "${name}"`);
+
+            const value = uniforms[name];
+            return typeof value == 'function' ? value() : value;
+        });
+
+        // run the shader
+        return program(...args);
+    }
+
+    release()
+    {
+        for(const program of this._programs.values())
+            program.release();
+
+        this._programs.clear();
+        super.release();
+    }
+
+    /**
+     * Get the compiled program of a WebGL context
+     * @param {WebGL2RenderingContext} gl
+     * @param {number} width width of the output texture
+     * @param {number} height height of the output texture
+     * @returns {SpeedyProgram}
+     */
+    _program(gl, width, height)
+    {
+        let program = this._programs.get(gl);
+
+        // compile the shader
+        if(program === undefined) {
+            // forget the programs of lost contexts
+            for(const ctx of this._programs.keys()) {
+                if(ctx.isContextLost())
+                    this._programs.delete(ctx);
+            }
+
+            try {
+                program = new SpeedyProgram(gl, this._shaderdecl, { output: [ width, height ] });
+            }
+            catch(err) {
+                if(!(err instanceof ShaderCompilationError))
+                    throw err;
+
+                // find the offending line in the user-provided source
+                const lineNumber = findLineOfCode(this._source, err.lineOfCode);
+                throw new ShaderCompilationError(`Can't compile the custom shader`, lineNumber, err.lineOfCode, err);
+            }
+
+            this._programs.set(gl, program);
+        }
+
+        // match the size of the input
+        program.resize(width, height);
+        return program;
+    }
+}
+
+/**
+ * Find a line of (preprocessed) code in a GLSL source
+ * @param {string} source GLSL source
+ * @param {string} lineOfCode
+ * @returns {number} line number, starting at 1, or 0 if not found
+ */
+function findLineOfCode(source, lineOfCode)
+{
+    const code = lineOfCode.trim();
+    if(code == '')
+        return 0;
+
+    // ignore comments at the end of the lines
+    const lines = source.split('\n').map(line => line.replace(/\/\/.*$/, '').trim());
+    return lines.indexOf(code) + 1;
+}
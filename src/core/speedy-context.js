@@ -0,0 +1,66 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * speedy-context.js
+ * A GPU context that can be shared by many media objects
+ */
+
+import { SpeedyGPU } from '../gpu/speedy-gpu';
+import { Utils } from '../utils/utils';
+
+/**
+ * A SpeedyContext holds a single WebGL context
+ * and its GPU programs. Share it among many
+ * SpeedyMedia objects, possibly of different sizes,
+ * to avoid creating a WebGL context for each of them
+ */
+export class SpeedyContext
+{
+    /**
+     * Class constructor
+     */
+    constructor()
+    {
+        // the GPU is resized on demand
+        this._gpu = new SpeedyGPU(1, 1);
+    }
+
+    /**
+     * Releases the GPU resources of this context.
+     * The media objects that share it will be released as well
+     * @returns {Promise} resolves as soon as the resources are released
+     */
+    release()
+    {
+        if(!this.isReleased()) {
+            Utils.log('Releasing SpeedyContext object...');
+            this._gpu.loseWebGLContext();
+            this._gpu = null;
+        }
+
+        return Promise.resolve();
+    }
+
+    /**
+     * Has this context been released?
+     * @returns {boolean}
+     */
+    isReleased()
+    {
+        return this._gpu == null;
+    }
+}
@@ -85,6 +85,13 @@ class SpeedyFeatureDetector
         if(media.isReleased())
             throw new IllegalOperationError(`Can't detect features: the SpeedyMedia has been released`);
 
+        // check the color format
+        if(media._colorFormat != ColorFormat.RGB && media._colorFormat != ColorFormat.Greyscale && media._colorFormat != ColorFormat.Binary)
+            throw new NotSupportedError(`Can't detect features in the ${media._colorFormat.description} color space: convert the media to RGB or greyscale first`);
+
+        // Use the programs of the appropriate resolution
+        gpu.setResolution(media.width, media.height);
+
         // Reset downloader capacity?
         if(flags & SpeedyFlags.FEATURE_DETECTOR_RESET_CAPACITY) {
             // Speedy performs optimizations behind the scenes,
@@ -149,6 +149,9 @@ class SpeedyFeatureTracker
         if(media.isReleased())
             throw new IllegalOperationError(`The media has been released`);
 
+        // use the programs of the appropriate resolution
+        gpu.setResolution(media.width, media.height);
+
         // it's too early to change the input texture
         if(this._updateLock)
             return;
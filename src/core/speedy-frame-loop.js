@@ -0,0 +1,160 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * speedy-frame-loop.js
+ * Notifies about newly decoded video frames
+ */
+
+import { FPSCounter } from '../utils/fps-counter';
+
+/**
+ * A loop that runs once per decoded video frame. We use
+ * requestVideoFrameCallback() when available; otherwise
+ * we poll the video on each animation frame
+ */
+export class SpeedyFrameLoop
+{
+    /**
+     * Constructor
+     * @param {HTMLVideoElement} video
+     * @param {Function} callback called with a frame info object on each new frame
+     * @param {Function} [onStop] called when the loop is stopped
+     */
+    constructor(video, callback, onStop = null)
+    {
+        this._video = video;
+        this._callback = callback;
+        this._onStop = onStop;
+        this._running = false;
+        this._handle = null;
+        this._fpsCounter = new FPSCounter(false);
+        this._frameCount = 0;
+        this._droppedFrames = 0;
+        this._lastPresentedFrames = -1;
+        this._lastMediaTime = -1;
+        this._usesVideoFrameCallback = (typeof video.requestVideoFrameCallback === 'function');
+    }
+
+    /**
+     * Starts the loop
+     * @returns {SpeedyFrameLoop} this
+     */
+    start()
+    {
+        if(!this._running) {
+            this._running = true;
+            this._schedule();
+        }
+
+        return this;
+    }
+
+    /**
+     * Stops the loop
+     * @returns {SpeedyFrameLoop} this
+     */
+    stop()
+    {
+        if(this._running) {
+            this._running = false;
+
+            if(this._usesVideoFrameCallback)
+                this._video.cancelVideoFrameCallback(this._handle);
+            else
+                cancelFrame(this._handle);
+            this._handle = null;
+
+            if(this._onStop !== null)
+                this._onStop();
+        }
+
+        return this;
+    }
+
+    /**
+     * Is the loop running?
+     * @returns {boolean}
+     */
+    get running()
+    {
+        return this._running;
+    }
+
+    /**
+     * Schedules the next iteration
+     */
+    _schedule()
+    {
+        if(this._usesVideoFrameCallback)
+            this._handle = this._video.requestVideoFrameCallback((now, metadata) => this._tick(now, metadata.mediaTime, metadata.presentedFrames));
+        else
+            this._handle = requestFrame(now => this._tick(now, this._video.currentTime, -1));
+    }
+
+    /**
+     * Called on each iteration of the loop
+     * @param {DOMHighResTimeStamp} now
+     * @param {number} mediaTime in seconds
+     * @param {number} presentedFrames number of frames presented so far, or -1 if unknown
+     */
+    _tick(now, mediaTime, presentedFrames)
+    {
+        if(!this._running)
+            return;
+
+        // schedule the next iteration first, so that
+        // we keep going even if the callback throws
+        this._schedule();
+
+        // when polling, skip iterations with no new video frame
+        if(presentedFrames < 0 && mediaTime === this._lastMediaTime)
+            return;
+
+        // count the frames we missed between callbacks
+        if(presentedFrames >= 0 && this._lastPresentedFrames >= 0)
+            this._droppedFrames += Math.max(0, presentedFrames - this._lastPresentedFrames - 1);
+        this._lastPresentedFrames = presentedFrames;
+        this._lastMediaTime = mediaTime;
+
+        // notify
+        this._fpsCounter.tick();
+        this._callback({
+            timestamp: now,
+            mediaTime: mediaTime,
+            frameNumber: this._frameCount++,
+            droppedFrames: this._droppedFrames,
+            fps: this._fpsCounter.fps,
+        });
+    }
+}
+
+// Web Workers may lack requestAnimationFrame()
+function requestFrame(callback)
+{
+    if(typeof requestAnimationFrame === 'function')
+        return requestAnimationFrame(callback);
+    else
+        return setTimeout(() => callback(performance.now()), 1000.0 / 60.0);
+}
+
+function cancelFrame(handle)
+{
+    if(typeof cancelAnimationFrame === 'function')
+        cancelAnimationFrame(handle);
+    else
+        clearTimeout(handle);
+}
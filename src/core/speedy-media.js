@@ -20,11 +20,26 @@
  */
 
 import { SpeedyGPU } from '../gpu/speedy-gpu';
-import { MediaType, ColorFormat } from '../utils/types'
+import { SpeedyContext } from './speedy-context';
+import { SpeedyFrameLoop } from './speedy-frame-loop';
+import { MediaType, ColorFormat, PixelBufferFormat, PixelComponent } from '../utils/types'
 import { TimeoutError, IllegalArgumentError, IllegalOperationError, NotSupportedError, AccessDeniedError } from '../utils/errors';
 import { Utils } from '../utils/utils';
+import { isPixelBuffer, validatePixelBuffer } from '../utils/pixel-buffer';
 import { SpeedyFeatureDetectorFactory } from './speedy-feature-detector-factory';
 
+// facing modes of the cameras
+const FACING_MODES = [ 'user', 'environment', 'left', 'right' ];
+
+// channels of the histograms
+const HISTOGRAM_CHANNELS = Object.freeze({
+    'grey': PixelComponent.GREEN, // greyscale images store the intensities in all RGB components
+    'red': PixelComponent.RED,
+    'green': PixelComponent.GREEN,
+    'blue': PixelComponent.BLUE,
+    'alpha': PixelComponent.ALPHA,
+});
+
 /**
  * SpeedyMedia encapsulates a media element
  * (e.g., image, video, canvas)
@@ -34,7 +49,7 @@ export class SpeedyMedia
     /**
      * Class constructor
      * It assumes A VALID (!) media source that is already loaded
-     * @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement|ImageBitmap} mediaSource Image or video
+     * @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement|ImageBitmap|ImageData|object} mediaSource Image or video
      * @param {number} width media width
      * @param {number} height media height
      * @param {object} [options] options object
@@ -47,19 +62,27 @@ export class SpeedyMedia
             this._width = width | 0;
             this._height = height | 0;
             this._type = getMediaType(this._source);
-            this._colorFormat = ColorFormat.RGB;
+            this._colorFormat = getMediaColorFormat(this._source);
 
             // warning: loading canvas without explicit usage option
             if(this._type == MediaType.Canvas && options.usage === undefined)
                 Utils.warning('Loading a canvas without an explicit usage flag. I will set the usage to "static", resulting in suboptimal performance if the canvas is animated');
+            else if(this._type == MediaType.Data && options.usage === undefined)
+                Utils.warning('Loading pixel data without an explicit usage flag. I will set the usage to "static", resulting in suboptimal performance if the data is updated every frame');
 
             // set options
             this._options = buildOptions(options, {
                 usage: (this._type == MediaType.Video) ? 'dynamic' : 'static',
+                context: null,
             });
 
             // spawn relevant components
-            this._gpu = new SpeedyGPU(this._width, this._height);
+            if(this._options.context != null)
+                this._gpu = this._options.context._gpu; // shared GPU
+            else
+                this._gpu = new SpeedyGPU(this._width, this._height);
+            this._frameLoops = null;
+            this._camera = null;
         }
         else if(arguments.length == 1) {
             // copy constructor (shallow copy)
@@ -73,6 +96,8 @@ export class SpeedyMedia
             this._options = media._options;
 
             this._gpu = media._gpu;
+            this._frameLoops = null; // each clone has its own frame loops
+            this._camera = null; // the camera belongs to the original media
         }
         else
             throw new IllegalArgumentError(`Invalid instantiation of SpeedyMedia`);
@@ -81,7 +106,10 @@ export class SpeedyMedia
     /**
      * Load a media source
      * Will wait until the HTML media source is loaded
-     * @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement|ImageBitmap} mediaSource An image, video or canvas
+     * Raw pixel data is given as { data, width, height, format }, where
+     * data is a Uint8Array or Uint8ClampedArray and format is one of
+     * "rgba" (default), "rgb" or "greyscale"
+     * @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement|OffscreenCanvas|ImageBitmap|VideoFrame|ImageData|object} mediaSource An image, video, canvas or pixel data
      * @param {object} [options] options object
      * @returns {Promise<SpeedyMedia>}
      */
@@ -93,7 +121,7 @@ export class SpeedyMedia
                 throw new IllegalOperationError(`Can't load media: invalid dimensions`);
 
             const media = new SpeedyMedia(mediaSource, dimensions.width, dimensions.height, options);
-            Utils.log(`Loaded SpeedyMedia with a ${mediaSource}.`);
+            Utils.log(`Loaded SpeedyMedia with a ${media.type}.`);
 
             return media;
         });
@@ -109,14 +137,36 @@ export class SpeedyMedia
      */
     static loadCameraStream(width = 426, height = 240, cameraOptions = { }, mediaOptions = { })
     {
-        return requestCameraStream(width, height, cameraOptions).then(
-            video => SpeedyMedia.load(video, mediaOptions)
+        return requestCameraStream(width, height, cameraOptions).then(stream =>
+            playCameraStream(document.createElement('video'), stream).then(
+                video => SpeedyMedia.load(video, mediaOptions)
+            ).then(media => {
+                media._camera = { stream, width, height, options: cameraOptions };
+                return media;
+            }, err => {
+                stopCameraStream(stream);
+                throw err;
+            })
         );
     }
 
     /**
-     * The media element (image, video, canvas) encapsulated by this SpeedyMedia object
-     * @returns {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement|ImageBitmap} the media element
+     * Lists the available cameras
+     * @returns {Promise<MediaDeviceInfo[]>}
+     */
+    static listCameras()
+    {
+        if(typeof navigator === 'undefined' || !navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices)
+            return Promise.reject(new NotSupportedError('Unsupported browser: no mediaDevices.enumerateDevices()'));
+
+        return navigator.mediaDevices.enumerateDevices().then(
+            devices => devices.filter(device => device.kind == 'videoinput')
+        );
+    }
+
+    /**
+     * The media element (image, video, canvas, pixel data) encapsulated by this SpeedyMedia object
+     * @returns {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement|ImageBitmap|ImageData|object} the media element
      */
     get source()
     {
@@ -143,7 +193,7 @@ export class SpeedyMedia
 
     /**
      * The type of the media attached to this SpeedyMedia object
-     * @returns {string} "image" | "video" | "canvas" | "bitmap"
+     * @returns {string} "image" | "video" | "canvas" | "bitmap" | "data"
      */
     get type()
     {
@@ -160,6 +210,9 @@ export class SpeedyMedia
             case MediaType.Bitmap:
                 return 'bitmap';
 
+            case MediaType.Data:
+                return 'data';
+
             default: // this shouldn't happen
                 return 'unknown';
         }
@@ -184,7 +237,13 @@ export class SpeedyMedia
     {
         if(!this.isReleased()) {
             Utils.log('Releasing SpeedyMedia object...');
-            this._gpu.loseWebGLContext();
+            if(this._frameLoops != null)
+                this._frameLoops.forEach(loop => loop.stop());
+            if(this._camera != null)
+                stopCameraStream(this._camera.stream);
+            this._camera = null;
+            if(this._options.context == null) // don't release a shared GPU
+                this._gpu.loseWebGLContext();
             this._gpu = null;
             this._source = null;
         }
@@ -198,7 +257,7 @@ export class SpeedyMedia
      */
     isReleased()
     {
-        return this._gpu == null;
+        return this._gpu == null || (this._options.context != null && this._options.context.isReleased());
     }
 
     /**
@@ -227,21 +286,92 @@ export class SpeedyMedia
             // deep copy
             if(this._type == MediaType.Bitmap) {
                 return createImageBitmap(this._source).then(
-                    bitmap => new SpeedyMedia(bitmap, this._width, this._height)
+                    bitmap => new SpeedyMedia(bitmap, this._width, this._height, this._options)
                 );               
             }
             else if(this._type == MediaType.Canvas) {
                 const clonedCanvas = Utils.createCanvas(this._width, this._height);
                 this.draw(clonedCanvas);
-                return Promise.resolve(new SpeedyMedia(clonedCanvas, this._width, this._height));
+                return Promise.resolve(new SpeedyMedia(clonedCanvas, this._width, this._height, this._options));
+            }
+            else if(this._type == MediaType.Data) {
+                const clonedData = clonePixelData(this._source);
+                return Promise.resolve(new SpeedyMedia(clonedData, this._width, this._height, this._options));
             }
             else {
                 const clonedSource = this._source.cloneNode(true);
-                return Promise.resolve(new SpeedyMedia(clonedSource, this._width, this._height));
+                return Promise.resolve(new SpeedyMedia(clonedSource, this._width, this._height, this._options));
             }
         }
     }
 
+    /**
+     * Switches to another camera. This keeps the SpeedyMedia and its
+     * GPU resources, which are reallocated if the dimensions change
+     * @param {string} camera a deviceId or a facingMode ("user", "environment", "left" or "right")
+     * @returns {Promise<SpeedyMedia>} resolves to this media as soon as the new camera is on
+     */
+    switchCamera(camera)
+    {
+        if(this.isReleased())
+            return Promise.reject(new IllegalOperationError(`Can't switch cameras: SpeedyMedia has been released`));
+        else if(this._camera == null)
+            return Promise.reject(new IllegalOperationError(`Can't switch cameras: SpeedyMedia is not a camera stream`));
+        else if(typeof camera !== 'string' || camera == '')
+            return Promise.reject(new IllegalArgumentError(`Can't switch cameras: expected a deviceId or a facingMode`));
+
+        const { stream, width, height, options } = this._camera;
+        const constraints = FACING_MODES.includes(camera) ?
+            { facingMode: camera } :
+            { facingMode: undefined, deviceId: { exact: camera } };
+        const previousTrack = stream.getVideoTracks()[0];
+        const previousDeviceId = previousTrack ? previousTrack.getSettings().deviceId : undefined;
+
+        // some devices can't open two cameras at the same time,
+        // so we stop the current stream before requesting another
+        stopCameraStream(stream);
+        Utils.log(`Switching to camera "${camera}"...`);
+
+        return requestCameraStream(width, height, options, constraints).then(
+            newStream => this._attachCameraStream(newStream)
+        ).catch(err => {
+            // try to turn the previous camera back on
+            if(previousDeviceId === undefined || this.isReleased())
+                throw err;
+
+            const previousConstraints = { facingMode: undefined, deviceId: { exact: previousDeviceId } };
+            return requestCameraStream(width, height, options, previousConstraints).then(
+                previousStream => this._attachCameraStream(previousStream)
+            ).then(() => { throw err; }, () => { throw err; });
+        });
+    }
+
+    /**
+     * Plays a new camera stream on the video element of this media
+     * @param {MediaStream} stream
+     * @returns {Promise<SpeedyMedia>} resolves to this media
+     */
+    _attachCameraStream(stream)
+    {
+        if(this.isReleased()) {
+            stopCameraStream(stream);
+            return Promise.reject(new IllegalOperationError(`Can't switch cameras: SpeedyMedia has been released`));
+        }
+
+        return playCameraStream(this._source, stream).then(video => {
+            if(this.isReleased()) {
+                stopCameraStream(stream);
+                throw new IllegalOperationError(`Can't switch cameras: SpeedyMedia has been released`);
+            }
+
+            this._camera.stream = stream;
+            this._width = video.videoWidth;
+            this._height = video.videoHeight;
+            this._gpu.setResolution(this._width, this._height);
+            return this;
+        });
+    }
+
     /**
      * Runs a pipeline
      * @param {SpeedyPipeline} pipeline
@@ -254,16 +384,19 @@ export class SpeedyMedia
             throw new IllegalOperationError('Can\'t run pipeline: SpeedyMedia has been released');
 
         // run the pipeline on a cloned SpeedyMedia
-        return this.clone({ lightweight: true }).then(media => {
+        return pipeline._prepare().then(() => this.clone({ lightweight: true })).then(media => {
             // upload media to the GPU
+            media._gpu.setResolution(media.width, media.height);
             let texture = media._gpu.upload(media._source);
 
             // run the pipeline
             texture = pipeline._run(texture, media._gpu, media);
 
-            // convert to bitmap
+            // convert to bitmap. The output is rendered to the
+            // bottom-left corner of the (possibly larger) canvas
+            const canvas = media._gpu.canvas;
             media._gpu.programs.utils.output(texture);
-            return createImageBitmap(media._gpu.canvas, 0, 0, media.width, media.height).then(bitmap => {
+            return createImageBitmap(canvas, 0, canvas.height - media.height, media.width, media.height).then(bitmap => {
                 media._type = MediaType.Bitmap;
                 media._source = bitmap;
                 return media;
@@ -271,6 +404,117 @@ export class SpeedyMedia
         });
     }
 
+    /**
+     * Calls a function once per decoded video frame. The callback
+     * receives an object with the fields timestamp (in ms), mediaTime
+     * (in seconds), frameNumber, droppedFrames and fps
+     * @param {Function} callback
+     * @returns {Function} call it to stop receiving frames
+     */
+    onFrame(callback)
+    {
+        if(typeof callback !== 'function')
+            throw new IllegalArgumentError(`onFrame() expects a callback function`);
+
+        const loop = this._startFrameLoop(callback);
+        return () => void loop.stop();
+    }
+
+    /**
+     * An async iterator that yields once per decoded video frame. If the
+     * consumer is busy when new frames arrive, only the most recent frame
+     * is kept and the others are counted as dropped. Iteration finishes
+     * as soon as the media is released
+     * @returns {AsyncIterator<object>} yields the same objects as onFrame()
+     */
+    frames()
+    {
+        const done = { value: undefined, done: true };
+        let latestFrame = null, resolveNext = null;
+        let skippedFrames = 0; // frames skipped since the last yielded frame
+        let totalSkippedFrames = 0; // frames skipped so far
+
+        // droppedFrames counts the frames dropped by the browser
+        // and the frames we skip while the consumer is busy
+        const yieldFrame = frame => {
+            totalSkippedFrames += skippedFrames;
+            skippedFrames = 0;
+            frame.droppedFrames += totalSkippedFrames;
+            return { value: frame, done: false };
+        };
+
+        const loop = this._startFrameLoop(frame => {
+            if(resolveNext !== null) {
+                const resolve = resolveNext;
+                resolveNext = null;
+                resolve(yieldFrame(frame));
+            }
+            else {
+                if(latestFrame !== null)
+                    skippedFrames++; // the consumer is busy
+                latestFrame = frame;
+            }
+        }, () => {
+            latestFrame = null;
+            if(resolveNext !== null) {
+                const resolve = resolveNext;
+                resolveNext = null;
+                resolve(done);
+            }
+        });
+
+        return {
+            next: () => new Promise(resolve => {
+                if(latestFrame !== null) {
+                    const frame = latestFrame;
+                    latestFrame = null;
+                    resolve(yieldFrame(frame));
+                }
+                else if(!loop.running)
+                    resolve(done);
+                else
+                    resolveNext = resolve;
+            }),
+            return: () => {
+                loop.stop();
+                return Promise.resolve(done);
+            },
+            [Symbol.asyncIterator]() {
+                return this;
+            }
+        };
+    }
+
+    /**
+     * Starts a loop that runs once per decoded video frame
+     * The loop stops automatically when this media is released
+     * @param {Function} callback receives a frame info object
+     * @param {Function} [onStop] called when the loop is stopped
+     * @returns {SpeedyFrameLoop}
+     */
+    _startFrameLoop(callback, onStop = null)
+    {
+        if(this.isReleased())
+            throw new IllegalOperationError(`Can't iterate over the frames of a SpeedyMedia that has been released`);
+        else if(this._type != MediaType.Video)
+            throw new IllegalOperationError(`Can't iterate over the frames of a SpeedyMedia that is not a video`);
+
+        const loops = this._frameLoops || (this._frameLoops = new Set());
+        const loop = new SpeedyFrameLoop(this._source, frame => {
+            if(this.isReleased())
+                loop.stop(); // a shared context may have been released
+            else
+                callback(frame);
+        }, () => {
+            loops.delete(loop);
+            if(onStop !== null)
+                onStop();
+        });
+
+        loops.add(loop);
+        return loop.start();
+    }
+
     /**
      * Draws the media to a canvas
      * @param {HTMLCanvasElement} canvas canvas element
@@ -292,7 +536,15 @@ export class SpeedyMedia
 
         // draw
         const ctx = canvas.getContext('2d');
-        ctx.drawImage(this._source, x, y, width, height);
+        if(this._type == MediaType.Data) {
+            // drawImage() doesn't accept pixel data
+            const imageData = pixelDataToImageData(this._source);
+            const tmpCanvas = Utils.createCanvas(imageData.width, imageData.height);
+            tmpCanvas.getContext('2d').putImageData(imageData, 0, 0);
+            ctx.drawImage(tmpCanvas, x, y, width, height);
+        }
+        else
+            ctx.drawImage(this._source, x, y, width, height);
     }
 
     /**
@@ -303,10 +555,182 @@ export class SpeedyMedia
     {
         if(this.isReleased())
             throw new IllegalOperationError('Can\'t convert to SpeedyMedia to ImageBitmap: the media has been released');
+        else if(this._type == MediaType.Data)
+            return createImageBitmap(pixelDataToImageData(this._source));
 
         return createImageBitmap(this._source);
     }
 
+    /**
+     * Encodes the media as an image file
+     * @param {string} [type] MIME type, e.g., "image/png", "image/jpeg"
+     * @param {number} [quality] a value in [0,1] for lossy formats such as JPEG
+     * @returns {Promise<Blob>}
+     */
+    toBlob(type = 'image/png', quality = undefined)
+    {
+        if(this.isReleased())
+            return Promise.reject(new IllegalOperationError('Can\'t encode SpeedyMedia: the media has been released'));
+
+        const canvas = Utils.createCanvas(this._width, this._height);
+        this.draw(canvas);
+
+        return canvasToBlob(canvas, String(type), quality);
+    }
+
+    /**
+     * Encodes the media as a data URL
+     * @param {string} [type] MIME type, e.g., "image/png", "image/jpeg"
+     * @param {number} [quality] a value in [0,1] for lossy formats such as JPEG
+     * @returns {Promise<string>}
+     */
+    toDataURL(type = 'image/png', quality = undefined)
+    {
+        return this.toBlob(type, quality).then(blob => new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new IllegalOperationError(`Can't encode SpeedyMedia as a data URL`, reader.error));
+            reader.readAsDataURL(blob);
+        }));
+    }
+
+    /**
+     * Reads the pixels of the media
+     * @param {object} [options]
+     * @param {string} [options.format] "rgba" | "grey"
+     * @param {object} [options.rect] sub-rectangle { x, y, width, height } to be read
+     * @returns {Uint8Array} pixels, row by row, starting at the top-left corner
+     */
+    read(options = {})
+    {
+        if(this.isReleased())
+            throw new IllegalOperationError('Can\'t read pixels: the media has been released');
+
+        const { format, rect } = buildReadOptions(options, this);
+        const program = this._renderForReading(format);
+        const pixels = program.readPixelsSync(rect.x, rect.y, rect.width, rect.height);
+
+        return extractPixels(pixels, format, rect.width, rect.height);
+    }
+
+    /**
+     * Reads the pixels of the media asynchronously
+     * @param {object} [options]
+     * @param {string} [options.format] "rgba" | "grey"
+     * @param {object} [options.rect] sub-rectangle { x, y, width, height } to be read
+     * @returns {Promise<Uint8Array>} pixels, row by row, starting at the top-left corner
+     */
+    readAsync(options = {})
+    {
+        if(this.isReleased())
+            return Promise.reject(new IllegalOperationError('Can\'t read pixels: the media has been released'));
+
+        try {
+            const { format, rect } = buildReadOptions(options, this);
+            const program = this._renderForReading(format);
+
+            return program.readPixelsAsync(rect.x, rect.y, rect.width, rect.height, false).then(pixels =>
+                extractPixels(pixels, format, rect.width, rect.height)
+            );
+        }
+        catch(err) {
+            return Promise.reject(err);
+        }
+    }
+
+    /**
+     * Reads the pixels of the media into an ImageData object
+     * @param {object} [rect] sub-rectangle { x, y, width, height } to be read
+     * @returns {ImageData}
+     */
+    toImageData(rect = undefined)
+    {
+        const options = buildReadOptions({ format: 'rgba', rect }, this);
+        const pixels = this.read(options);
+
+        return new ImageData(new Uint8ClampedArray(pixels.buffer), options.rect.width, options.rect.height);
+    }
+
+    /**
+     * Computes the histogram of the pixel intensities of the media
+     * @param {object} [options]
+     * @param {string} [options.channel] "grey" | "red" | "green" | "blue" | "alpha"
+     * @param {number} [options.bins] number of bins, an integer from 1 to 256
+     * @returns {Promise<Uint32Array>} resolves to the pixel counts of the bins
+     */
+    histogram(options = {})
+    {
+        if(this.isReleased())
+            return Promise.reject(new IllegalOperationError('Can\'t compute the histogram: the media has been released'));
+
+        const { channel, bins } = Object.assign({
+            channel: 'grey',
+            bins: 256,
+        }, options);
+
+        try {
+            const gpu = this._gpu;
+            // validate
+            if(!HISTOGRAM_CHANNELS.hasOwnProperty(channel))
+                throw new IllegalArgumentError(`Invalid channel for the histogram: "${channel}"`);
+            else if(!(Number.isInteger(bins) && bins >= 1 && bins <= 256))
+                throw new IllegalArgumentError(`Invalid number of bins for the histogram: ${bins}. It must be an integer from 1 to 256`);
+            else if(gpu.gl.isContextLost())
+                throw new IllegalOperationError('Can\'t compute the histogram: the WebGL context has been lost');
+
+            // upload the media
+            gpu.setResolution(this._width, this._height);
+            let texture = gpu.upload(this._source);
+
+            // convert to greyscale
+            if(channel == 'grey' && this._colorFormat == ColorFormat.RGB)
+                texture = gpu.programs.colors.rgb2grey(texture);
+
+            // compute the histogram and merge its bins
+            return gpu.programs.utils.readHistogram(texture, HISTOGRAM_CHANNELS[channel]).then(histogram => {
+                if(bins == histogram.length)
+                    return histogram;
+
+                const counts = new Uint32Array(bins);
+                for(let i = 0; i < histogram.length; i++)
+                    counts[Math.floor(i * bins / histogram.length)] += histogram[i];
+
+                return counts;
+            });
+        }
+        catch(err) {
+            return Promise.reject(err);
+        }
+    }
+
+    /**
+     * Upload the media to the GPU and render it
+     * to a texture, so that we can read its pixels
+     * @param {string} format "rgba" | "grey"
+     * @returns {SpeedyProgram} the program that rendered the media
+     */
+    _renderForReading(format)
+    {
+        const gpu = this._gpu;
+
+        if(gpu.gl.isContextLost())
+            throw new IllegalOperationError('Can\'t read pixels: the WebGL context has been lost');
+
+        // upload the media
+        gpu.setResolution(this._width, this._height);
+        let texture = gpu.upload(this._source);
+
+        // convert to greyscale
+        if(format == 'grey' && this._colorFormat == ColorFormat.RGB) {
+            gpu.programs.colors.rgb2grey(texture);
+            return gpu.programs.colors.rgb2grey;
+        }
+
+        // render to a texture
+        gpu.programs.utils.identity(texture);
+        return gpu.programs.utils.identity;
+    }
+
     /**
      * Finds feature points
      * @deprecated Use the Feature Detection objects instead
@@ -364,12 +788,18 @@ export class SpeedyMedia
 // get the { width, height } of a certain HTML element (image, video, canvas...)
 function getMediaDimensions(mediaSource)
 {
+    if(isPixelBuffer(mediaSource))
+        return { width: mediaSource.width, height: mediaSource.height };
+
     if(mediaSource && mediaSource.constructor && mediaSource.constructor.name) {
         const element = mediaSource.constructor.name, key = {
             HTMLImageElement: { width: 'naturalWidth', height: 'naturalHeight' },
             HTMLVideoElement: { width: 'videoWidth', height: 'videoHeight' },
             HTMLCanvasElement: { width: 'width', height: 'height' },
+            OffscreenCanvas: { width: 'width', height: 'height' },
             ImageBitmap: { width: 'width', height: 'height' },
+            VideoFrame: { width: 'displayWidth', height: 'displayHeight' },
+            ImageData: { width: 'width', height: 'height' },
         };
 
         if(key.hasOwnProperty(element)) {
@@ -383,9 +813,12 @@ function getMediaDimensions(mediaSource)
     return null;
 }
 
-// get a string corresponding to the media type (image, video, canvas)
+// get a string corresponding to the media type (image, video, canvas...)
 function getMediaType(mediaSource)
 {
+    if(isPixelBuffer(mediaSource))
+        return MediaType.Data;
+
     if(mediaSource && mediaSource.constructor) {
         switch(mediaSource.constructor.name) {
             case 'HTMLImageElement':
@@ -395,16 +828,61 @@ function getMediaType(mediaSource)
                 return MediaType.Video;
 
             case 'HTMLCanvasElement':
+            case 'OffscreenCanvas':
                 return MediaType.Canvas;
 
             case 'ImageBitmap':
+            case 'VideoFrame':
                 return MediaType.Bitmap;
+
+            case 'ImageData':
+                return MediaType.Data;
         }
     }
 
     throw new IllegalArgumentError(`Can't get media type: invalid media source. ${mediaSource}`);
 }
 
+// get the color format of a media source
+function getMediaColorFormat(mediaSource)
+{
+    if(isPixelBuffer(mediaSource) && PixelBufferFormat[mediaSource.format] == 1)
+        return ColorFormat.Greyscale;
+
+    return ColorFormat.RGB;
+}
+
+// convert pixel data to ImageData
+function pixelDataToImageData(mediaSource)
+{
+    if(!isPixelBuffer(mediaSource))
+        return mediaSource; // it's already an ImageData
+
+    const { data, width, height } = mediaSource;
+    const channels = PixelBufferFormat[mediaSource.format || 'rgba'];
+    const rgba = new Uint8ClampedArray(width * height * 4);
+
+    for(let i = 0, j = 0; i < rgba.length; i += 4, j += channels) {
+        rgba[i] = data[j];
+        rgba[i+1] = data[j + (channels > 1 ? 1 : 0)];
+        rgba[i+2] = data[j + (channels > 1 ? 2 : 0)];
+        rgba[i+3] = channels == 4 ? data[j+3] : 255;
+    }
+
+    return new ImageData(rgba, width, height);
+}
+
+// deep copy of pixel data
+function clonePixelData(mediaSource)
+{
+    if(!isPixelBuffer(mediaSource))
+        return new ImageData(new Uint8ClampedArray(mediaSource.data), mediaSource.width, mediaSource.height);
+
+    return Object.assign({ }, mediaSource, {
+        data: mediaSource.data.slice()
+    });
+}
+
 // wait until a media source is loaded
 function waitMediaToLoad(mediaSource, timeout = 30000)
 {
@@ -422,6 +900,10 @@ function waitMediaToLoad(mediaSource, timeout = 30000)
         });
     });
 
+    // raw pixel buffers are loaded already
+    if(isPixelBuffer(mediaSource))
+        return Promise.resolve(validatePixelBuffer(mediaSource));
+
     // check if the media is already loaded
     // if it's not, wait until it is
     if(mediaSource && mediaSource.constructor) {
@@ -440,9 +922,14 @@ function waitMediaToLoad(mediaSource, timeout = 30000)
                     //return waitUntil('canplay'); // use readyState >= 3
 
             case 'HTMLCanvasElement':
+            case 'OffscreenCanvas':
                 return Promise.resolve(mediaSource);
 
             case 'ImageBitmap':
+            case 'VideoFrame':
+                return Promise.resolve(mediaSource);
+
+            case 'ImageData':
                 return Promise.resolve(mediaSource);
         }
     }
@@ -463,44 +950,137 @@ function buildOptions(options, defaultOptions)
         options.usage = defaultOptions.usage;
     }
 
+    if(options.context != null) {
+        if(!(options.context instanceof SpeedyContext))
+            throw new IllegalArgumentError(`Can't load media. Invalid context option: "${options.context}"`);
+        else if(options.context.isReleased())
+            throw new IllegalOperationError(`Can't load media: the context has been released`);
+    }
+
     // done!
     return Object.freeze(options); // must be read-only
 }
 
+// encode the contents of a canvas (HTMLCanvasElement or OffscreenCanvas)
+function canvasToBlob(canvas, type, quality)
+{
+    // OffscreenCanvas
+    if(typeof canvas.convertToBlob === 'function')
+        return canvas.convertToBlob({ type, quality });
+
+    // HTMLCanvasElement
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if(blob !== null)
+                resolve(blob);
+            else
+                reject(new IllegalOperationError(`Can't encode SpeedyMedia as "${type}"`));
+        }, type, quality);
+    });
+}
+
+// build & validate the options of read()
+function buildReadOptions(options, media)
+{
+    const format = options.format !== undefined ? String(options.format) : 'rgba';
+    const rect = Object.assign({
+        x: 0,
+        y: 0,
+        width: media.width,
+        height: media.height
+    }, options.rect);
+
+    // validate format
+    if(format != 'rgba' && format != 'grey')
+        throw new IllegalArgumentError(`Can't read pixels: unrecognized format "${format}"`);
+
+    // validate rect
+    rect.x |= 0; rect.y |= 0;
+    rect.width |= 0; rect.height |= 0;
+    if(rect.width <= 0 || rect.height <= 0 || rect.x < 0 || rect.y < 0 ||
+    rect.x + rect.width > media.width || rect.y + rect.height > media.height)
+        throw new IllegalArgumentError(`Can't read pixels: invalid rect (${rect.x}, ${rect.y}, ${rect.width}, ${rect.height})`);
+
+    return { format, rect };
+}
+
+// copy the pixels read from the GPU to a new array
+function extractPixels(pixels, format, width, height)
+{
+    const length = width * height;
+
+    if(format == 'grey') {
+        const grey = new Uint8Array(length);
+        for(let i = 0; i < length; i++)
+            grey[i] = pixels[i * 4];
+        return grey;
+    }
+
+    return pixels.slice(0, length * 4);
+}
+
 // webcam access
-function requestCameraStream(width, height, options = {})
+function requestCameraStream(width, height, options = {}, videoConstraints = {})
 {
     return new Promise((resolve, reject) => {
         Utils.log('Accessing the webcam...');
 
-        if(!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia)
+        if(typeof document === 'undefined')
+            return reject(new NotSupportedError('Can\'t access the camera from a Web Worker'));
+        else if(!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia)
             return reject(new NotSupportedError('Unsupported browser: no mediaDevices.getUserMedia()'));
 
+        // the video constraints of the user are merged with ours
+        const { video, ...otherOptions } = options;
+        const userConstraints = (typeof video === 'object' && video !== null) ? video : {};
+
         navigator.mediaDevices.getUserMedia({
             audio: false,
+            ...(otherOptions),
             video: {
                 width: { ideal: width },
                 height: { ideal: height },
                 aspectRatio: { ideal: width / height },
                 facingMode: 'environment',
                 frameRate: 30,
-            },
-            ...(options)
-        })
-        .then(stream => {
-            const video = document.createElement('video');
-            video.srcObject = stream;
-            video.onloadedmetadata = e => {
-                video.play();
-                Utils.log('The camera device is turned on!');
-                resolve(video, stream);
-            };
+                ...(userConstraints),
+                ...(videoConstraints)
+            }
         })
+        .then(resolve)
         .catch(err => {
-            reject(new AccessDeniedError(
-                `Please give access to the camera and reload the page`,
-                err
-            ));
+            if(err.name == 'NotFoundError' || err.name == 'OverconstrainedError') {
+                reject(new IllegalArgumentError(
+                    `Can't find the requested camera`,
+                    err
+                ));
+            }
+            else {
+                reject(new AccessDeniedError(
+                    `Please give access to the camera and reload the page`,
+                    err
+                ));
+            }
         });
     });
+}
+
+// play a camera stream on a video element
+function playCameraStream(video, stream)
+{
+    return new Promise(resolve => {
+        video.onloadedmetadata = e => {
+            video.onloadedmetadata = null;
+            video.play();
+            Utils.log('The camera device is turned on!');
+            resolve(video);
+        };
+        video.srcObject = stream;
+    });
+}
+
+// turn off the camera
+function stopCameraStream(stream)
+{
+    stream.getTracks().forEach(track => track.stop());
 }
\ No newline at end of file
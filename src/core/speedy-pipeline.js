@@ -19,7 +19,7 @@
  * A pipeline is a sequence of operations that transform the image in some way
  */
 
-import { PipelineOperation } from './pipeline-operations';
+import { PipelineOperation, COLOR_SPACES } from './pipeline-operations';
 import { MediaType } from '../utils/types';
 import { IllegalOperationError } from '../utils/errors';
 import { IllegalArgumentError } from '../utils/errors';
@@ -76,6 +76,17 @@ export class SpeedyPipeline
         return this;
     }
 
+    /**
+     * Prepares the operations of the pipeline before running it
+     * @returns {Promise<SpeedyPipeline>} resolves as soon as all operations are ready
+     */
+    _prepare()
+    {
+        return Promise.all(
+            this._operations.map(operation => operation.prepare())
+        ).then(() => this);
+    }
+
     /**
      * Runs the pipeline
      * @param {SpeedyTexture} texture input texture
@@ -118,7 +129,7 @@ export class SpeedyPipeline
 
     /**
      * Convert to a color space
-     * @param {string} [colorSpace] 'greyscale' | 'grayscale'
+     * @param {string} [colorSpace] 'greyscale' | 'grayscale' | 'rgb' | 'hsv' | 'hsl' | 'ycbcr' | 'lab'
      * @returns {SpeedyPipeline}
      */
     convertTo(colorSpace = null)
@@ -128,10 +139,27 @@ export class SpeedyPipeline
                 new PipelineOperation.ConvertToGreyscale()
             );
         }
+        else if(COLOR_SPACES.hasOwnProperty(colorSpace)) {
+            return this._spawn(
+                new PipelineOperation.ConvertTo(COLOR_SPACES[colorSpace])
+            );
+        }
 
         throw new IllegalArgumentError(`Can't convert to unknown color space: "${colorSpace}"`);
     }
 
+    /**
+     * Color range segmentation: find the pixels within a color range
+     * @param {object|Function<object>} [options] { colorSpace, lower, upper }
+     * @returns {SpeedyPipeline}
+     */
+    inRange(options = {})
+    {
+        return this._spawn(
+            new PipelineOperation.InRange(options)
+        );
+    }
+
 
 
     // =====================================================
@@ -150,6 +178,30 @@ export class SpeedyPipeline
         );
     }
 
+    /**
+     * Median filter
+     * @param {object|Function<object>} [options]
+     * @returns {SpeedyPipeline}
+     */
+    median(options = {})
+    {
+        return this._spawn(
+            new PipelineOperation.Median(options)
+        );
+    }
+
+    /**
+     * Bilateral filter
+     * @param {object|Function<object>} [options]
+     * @returns {SpeedyPipeline}
+     */
+    bilateral(options = {})
+    {
+        return this._spawn(
+            new PipelineOperation.Bilateral(options)
+        );
+    }
+
     /**
      * Image convolution
      * @param {Array<number>} kernel
@@ -163,6 +215,20 @@ export class SpeedyPipeline
         );
     }
 
+    /**
+     * Image convolution with a separable kernel
+     * @param {Array<number>} rowKernel 1D kernel applied to the rows (x-axis)
+     * @param {Array<number>} colKernel 1D kernel applied to the columns (y-axis)
+     * @param {number} [divisor]
+     * @returns {SpeedyPipeline}
+     */
+    separableConvolve(rowKernel, colKernel, divisor = 1.0)
+    {
+        return this._spawn(
+            new PipelineOperation.SeparableConvolve(rowKernel, colKernel, divisor)
+        );
+    }
+
     /**
      * Image normalization
      * @param {object} [options]
@@ -186,4 +252,500 @@ export class SpeedyPipeline
             new PipelineOperation.Nightvision(options)
         );
     }
-}
\ No newline at end of file
+
+    /**
+     * Histogram equalization
+     * @returns {SpeedyPipeline}
+     */
+    equalizeHistogram()
+    {
+        return this._spawn(
+            new PipelineOperation.EqualizeHistogram()
+        );
+    }
+
+    /**
+     * Contrast Limited Adaptive Histogram Equalization (CLAHE)
+     * @param {object|Function<object>} [options]
+     * @returns {SpeedyPipeline}
+     */
+    clahe(options = {})
+    {
+        return this._spawn(
+            new PipelineOperation.CLAHE(options)
+        );
+    }
+
+    /**
+     * Brightness, contrast, gamma & saturation
+     * @param {object|Function<object>} [options]
+     * @returns {SpeedyPipeline}
+     */
+    adjust(options = {})
+    {
+        return this._spawn(
+            new PipelineOperation.Adjust(options)
+        );
+    }
+
+    /**
+     * Map the pixel intensities using a lookup table
+     * @param {ArrayLike<number>|Array<ArrayLike<number>>} table 256 entries in [0,255],
+     *        shared by the RGB channels or one table per channel
+     * @returns {SpeedyPipeline}
+     */
+    lut(table)
+    {
+        return this._spawn(
+            new PipelineOperation.LUT(table)
+        );
+    }
+
+    /**
+     * Binary thresholding
+     * @param {object|Function<object>} [options]
+     * @returns {SpeedyPipeline}
+     */
+    threshold(options = {})
+    {
+        return this._spawn(
+            new PipelineOperation.Threshold(options)
+        );
+    }
+
+
+
+    // =====================================================
+    //                   EDGE DETECTION
+    // =====================================================
+
+    /**
+     * Canny edge detector
+     * @param {object|Function<object>} [options] { low, high, blurSize }
+     * @returns {SpeedyPipeline}
+     */
+    canny(options = {})
+    {
+        return this._spawn(
+            new PipelineOperation.Canny(options)
+        );
+    }
+
+    /**
+     * Sobel derivatives
+     * @param {object|Function<object>} [options] { dx, dy, ksize }
+     * @returns {SpeedyPipeline}
+     */
+    sobel(options = {})
+    {
+        return this._spawn(
+            new PipelineOperation.Sobel(options)
+        );
+    }
+
+    /**
+     * Scharr derivatives
+     * @param {object|Function<object>} [options] { dx, dy }
+     * @returns {SpeedyPipeline}
+     */
+    scharr(options = {})
+    {
+        return this._spawn(
+            new PipelineOperation.Scharr(options)
+        );
+    }
+
+    /**
+     * Magnitude of the gradient
+     * @returns {SpeedyPipeline}
+     */
+    gradientMagnitude()
+    {
+        return this._spawn(
+            new PipelineOperation.GradientMagnitude()
+        );
+    }
+
+    /**
+     * Orientation of the gradient, in degrees
+     * @returns {SpeedyPipeline}
+     */
+    gradientOrientation()
+    {
+        return this._spawn(
+            new PipelineOperation.GradientOrientation()
+        );
+    }
+
+    /**
+     * Laplacian
+     * @param {object|Function<object>} [options] { ksize }
+     * @returns {SpeedyPipeline}
+     */
+    laplacian(options = {})
+    {
+        return this._spawn(
+            new PipelineOperation.Laplacian(options)
+        );
+    }
+
+    /**
+     * Laplacian of Gaussian (LoG)
+     * @param {object|Function<object>} [options] { sigma }
+     * @returns {SpeedyPipeline}
+     */
+    log(options = {})
+    {
+        return this._spawn(
+            new PipelineOperation.LoG(options)
+        );
+    }
+
+    /**
+     * Difference of Gaussians (DoG)
+     * @param {object|Function<object>} [options] { sigma1, sigma2 }
+     * @returns {SpeedyPipeline}
+     */
+    dog(options = {})
+    {
+        return this._spawn(
+            new PipelineOperation.DoG(options)
+        );
+    }
+
+
+
+    // =====================================================
+    //                     MORPHOLOGY
+    // =====================================================
+
+    /**
+     * Erosion
+     * @param {object|Function<object>} [options] { shape, size, iterations }
+     * @returns {SpeedyPipeline}
+     */
+    erode(options = {})
+    {
+        return this._spawn(
+            new PipelineOperation.Erode(options)
+        );
+    }
+
+    /**
+     * Dilation
+     * @param {object|Function<object>} [options] { shape, size, iterations }
+     * @returns {SpeedyPipeline}
+     */
+    dilate(options = {})
+    {
+        return this._spawn(
+            new PipelineOperation.Dilate(options)
+        );
+    }
+
+    /**
+     * Opening: erosion followed by dilation
+     * @param {object|Function<object>} [options] { shape, size, iterations }
+     * @returns {SpeedyPipeline}
+     */
+    open(options = {})
+    {
+        return this._spawn(
+            new PipelineOperation.Open(options)
+        );
+    }
+
+    /**
+     * Closing: dilation followed by erosion
+     * @param {object|Function<object>} [options] { shape, size, iterations }
+     * @returns {SpeedyPipeline}
+     */
+    close(options = {})
+    {
+        return this._spawn(
+            new PipelineOperation.Close(options)
+        );
+    }
+
+    /**
+     * Morphological gradient: dilation minus erosion
+     * @param {object|Function<object>} [options] { shape, size, iterations }
+     * @returns {SpeedyPipeline}
+     */
+    morphGradient(options = {})
+    {
+        return this._spawn(
+            new PipelineOperation.MorphGradient(options)
+        );
+    }
+
+    /**
+     * Top hat: image minus its opening
+     * @param {object|Function<object>} [options] { shape, size, iterations }
+     * @returns {SpeedyPipeline}
+     */
+    tophat(options = {})
+    {
+        return this._spawn(
+            new PipelineOperation.Tophat(options)
+        );
+    }
+
+
+
+    // =====================================================
+    //               GEOMETRIC TRANSFORMATIONS
+    // =====================================================
+
+    /**
+     * Resize the image
+     * @param {object|Function<object>} options { width, height, method }
+     * @returns {SpeedyPipeline}
+     */
+    resize(options = {})
+    {
+        return this._spawn(
+            new PipelineOperation.Resize(options)
+        );
+    }
+
+    /**
+     * Rescale the image by a factor
+     * @param {number|Function<number>} factor
+     * @param {string} [method] 'nearest' | 'bilinear' | 'area'
+     * @returns {SpeedyPipeline}
+     */
+    scale(factor, method = 'bilinear')
+    {
+        return this._spawn(
+            new PipelineOperation.Scale(factor, method)
+        );
+    }
+
+    /**
+     * Crop a rectangle of the image
+     * @param {object|Function<object>} rect { x, y, width, height }
+     * @returns {SpeedyPipeline}
+     */
+    crop(rect = {})
+    {
+        return this._spawn(
+            new PipelineOperation.Crop(rect)
+        );
+    }
+
+    /**
+     * Warp the image using a homography
+     * @param {SpeedyMatrixExpr|Function<SpeedyMatrixExpr>} matrix 3x3 homography
+     * @param {object|Function<object>} [options]
+     * @returns {SpeedyPipeline}
+     */
+    warpPerspective(matrix, options = {})
+    {
+        return this._spawn(
+            new PipelineOperation.WarpPerspective(matrix, options)
+        );
+    }
+
+    /**
+     * Warp the image using an affine transformation
+     * @param {SpeedyMatrixExpr|Function<SpeedyMatrixExpr>} matrix 2x3 affine transformation
+     * @param {object|Function<object>} [options]
+     * @returns {SpeedyPipeline}
+     */
+    warpAffine(matrix, options = {})
+    {
+        return this._spawn(
+            new PipelineOperation.WarpAffine(matrix, options)
+        );
+    }
+
+    /**
+     * Flip the image
+     * @param {object|Function<object>} [options] { horizontal, vertical }
+     * @returns {SpeedyPipeline}
+     */
+    flip(options = {})
+    {
+        return this._spawn(
+            new PipelineOperation.Flip(options)
+        );
+    }
+
+    /**
+     * Rotate the image clockwise by a multiple of 90 degrees
+     * @param {number|Function<number>} angle 90 | 180 | 270
+     * @returns {SpeedyPipeline}
+     */
+    rotate(angle)
+    {
+        return this._spawn(
+            new PipelineOperation.Rotate(angle)
+        );
+    }
+
+    /**
+     * Transpose the image
+     * @returns {SpeedyPipeline}
+     */
+    transpose()
+    {
+        return this._spawn(
+            new PipelineOperation.Transpose()
+        );
+    }
+
+
+
+    // =====================================================
+    //               TWO-INPUT OPERATIONS
+    // =====================================================
+
+    /**
+     * Absolute difference: |image - operand|
+     * @param {SpeedyMedia|Promise<SpeedyMedia>} operand of the same size and color format as the image
+     * @returns {SpeedyPipeline}
+     */
+    absdiff(operand)
+    {
+        return this._spawn(
+            new PipelineOperation.AbsDiff(operand)
+        );
+    }
+
+    /**
+     * Saturated addition: image + operand
+     * @param {SpeedyMedia|Promise<SpeedyMedia>} operand of the same size and color format as the image
+     * @returns {SpeedyPipeline}
+     */
+    add(operand)
+    {
+        return this._spawn(
+            new PipelineOperation.Add(operand)
+        );
+    }
+
+    /**
+     * Saturated subtraction: image - operand
+     * @param {SpeedyMedia|Promise<SpeedyMedia>} operand of the same size and color format as the image
+     * @returns {SpeedyPipeline}
+     */
+    subtract(operand)
+    {
+        return this._spawn(
+            new PipelineOperation.Subtract(operand)
+        );
+    }
+
+    /**
+     * Multiplication of the normalized pixel intensities: image * operand
+     * @param {SpeedyMedia|Promise<SpeedyMedia>} operand of the same size and color format as the image
+     * @returns {SpeedyPipeline}
+     */
+    multiply(operand)
+    {
+        return this._spawn(
+            new PipelineOperation.Multiply(operand)
+        );
+    }
+
+    /**
+     * Bitwise and
+     * @param {SpeedyMedia|Promise<SpeedyMedia>} operand of the same size and color format as the image
+     * @returns {SpeedyPipeline}
+     */
+    bitwiseAnd(operand)
+    {
+        return this._spawn(
+            new PipelineOperation.BitwiseAnd(operand)
+        );
+    }
+
+    /**
+     * Bitwise or
+     * @param {SpeedyMedia|Promise<SpeedyMedia>} operand of the same size and color format as the image
+     * @returns {SpeedyPipeline}
+     */
+    bitwiseOr(operand)
+    {
+        return this._spawn(
+            new PipelineOperation.BitwiseOr(operand)
+        );
+    }
+
+    /**
+     * Bitwise xor
+     * @param {SpeedyMedia|Promise<SpeedyMedia>} operand of the same size and color format as the image
+     * @returns {SpeedyPipeline}
+     */
+    bitwiseXor(operand)
+    {
+        return this._spawn(
+            new PipelineOperation.BitwiseXor(operand)
+        );
+    }
+
+    /**
+     * Alpha blending: (1 - alpha) * image + alpha * operand
+     * @param {SpeedyMedia|Promise<SpeedyMedia>} operand of the same size and color format as the image
+     * @param {number} [alpha] weight of the operand, in [0,1]
+     * @returns {SpeedyPipeline}
+     */
+    blend(operand, alpha = 0.5)
+    {
+        return this._spawn(
+            new PipelineOperation.Blend(operand, alpha)
+        );
+    }
+
+    /**
+     * Keep the pixels where the mask is non-zero
+     * and set all other pixels to black
+     * @param {SpeedyMedia|Promise<SpeedyMedia>} mask greyscale or binary media of the same size as the image
+     * @returns {SpeedyPipeline}
+     */
+    applyMask(mask)
+    {
+        return this._spawn(
+            new PipelineOperation.ApplyMask(mask)
+        );
+    }
+
+
+
+    // =====================================================
+    //                 MOTION ANALYSIS
+    // =====================================================
+
+    /**
+     * Background subtraction. The background model is
+     * kept across runs of the pipeline (e.g., on a video)
+     * @param {object|Function<object>} [options]
+     * @returns {SpeedyPipeline}
+     */
+    backgroundSubtract(options = {})
+    {
+        return this._spawn(
+            new PipelineOperation.BackgroundSubtract(options)
+        );
+    }
+
+
+
+    // =====================================================
+    //                CUSTOM OPERATIONS
+    // =====================================================
+
+    /**
+     * User-defined GLSL operation
+     * @param {string} source GLSL code of the fragment shader
+     * @param {object|Function<object>} [options] { uniforms }
+     * @returns {SpeedyPipeline}
+     */
+    shader(source, options = {})
+    {
+        return this._spawn(
+            new PipelineOperation.Shader(source, options)
+        );
+    }
+}
@@ -0,0 +1,372 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * speedy-worker.js
+ * Run Speedy in a Web Worker
+ */
+
+import { SpeedyContext } from './speedy-context';
+import { SpeedyMedia } from './speedy-media';
+import { SpeedyPipeline } from './speedy-pipeline';
+import { SpeedyFeature } from './speedy-feature';
+import { BinaryDescriptor } from './speedy-descriptor';
+import { SpeedyFeatureDetectorFactory } from './speedy-feature-detector-factory';
+import { SpeedyError, IllegalArgumentError, IllegalOperationError, NotSupportedError } from '../utils/errors';
+import { Utils } from '../utils/utils';
+
+// The name of the workers spawned by Speedy
+const WORKER_NAME = 'speedy-vision.js';
+
+// The URL of this script (available in the main thread)
+const SCRIPT_URL = (typeof document !== 'undefined' && document.currentScript) ? document.currentScript.src : '';
+
+// How many pipelines the worker keeps around
+const MAX_CACHED_PIPELINES = 16;
+
+// Are we running in a worker spawned by Speedy?
+const isSpeedyWorker = (typeof importScripts === 'function') &&
+                       (typeof WorkerGlobalScope !== 'undefined') &&
+                       (self.name === WORKER_NAME);
+
+/**
+ * A main-thread proxy to Speedy running in a Web Worker.
+ * Media sources are transferred to the worker, where
+ * pipelines & feature detectors run
+ */
+export class SpeedyWorker
+{
+    /**
+     * Class constructor
+     * @param {string} [url] URL of speedy-vision.js, or of a script that imports it
+     */
+    constructor(url = SCRIPT_URL)
+    {
+        if(typeof Worker === 'undefined')
+            throw new NotSupportedError(`Web Workers are not available in your browser`);
+        else if(!url)
+            throw new IllegalArgumentError(`Can't spawn worker: unknown script URL`);
+
+        this._pending = new Map();
+        this._nextId = 1;
+        this._worker = new Worker(url, { name: WORKER_NAME });
+        this._worker.onmessage = ev => this._onMessage(ev.data);
+        this._worker.onerror = ev => this._rejectAll(new IllegalOperationError(`Worker error: ${ev.message}`));
+    }
+
+    /**
+     * Detect feature points in the worker
+     * @param {ImageBitmap|VideoFrame|HTMLImageElement|HTMLVideoElement|HTMLCanvasElement|ImageData} source will be transferred if it's an ImageBitmap or a VideoFrame
+     * @param {object} [settings] { method, sensitivity, max, denoise, usage }
+     * @returns {Promise<SpeedyFeature[]>}
+     */
+    detect(source, settings = {})
+    {
+        return this._call('detect', source, settings).then(data => data.map(([x, y, lod, rotation, score, descriptor]) =>
+            new SpeedyFeature(x, y, lod, rotation, score, descriptor !== null ? new BinaryDescriptor(descriptor) : null)
+        ));
+    }
+
+    /**
+     * Run a pipeline in the worker
+     * @param {ImageBitmap|VideoFrame|HTMLImageElement|HTMLVideoElement|HTMLCanvasElement|ImageData} source will be transferred if it's an ImageBitmap or a VideoFrame
+     * @param {Array<Array>} pipeline a list of [ methodName, ...args ] of SpeedyPipeline, e.g., [ ['convertTo', 'greyscale'], ['blur'] ]
+     * @returns {Promise<ImageBitmap>}
+     */
+    run(source, pipeline)
+    {
+        if(!Array.isArray(pipeline) || !pipeline.every(Array.isArray))
+            return Promise.reject(new IllegalArgumentError(`Expected a list of pipeline operations`));
+
+        return this._call('run', source, pipeline);
+    }
+
+    /**
+     * Terminate the worker
+     * @returns {Promise} resolves as soon as the worker is terminated
+     */
+    terminate()
+    {
+        if(!this.isTerminated()) {
+            this._worker.terminate();
+            this._worker = null;
+            this._rejectAll(new IllegalOperationError(`The worker has been terminated`));
+        }
+
+        return Promise.resolve();
+    }
+
+    /**
+     * Has the worker been terminated?
+     * @returns {boolean}
+     */
+    isTerminated()
+    {
+        return this._worker == null;
+    }
+
+    /**
+     * Send a command to the worker
+     * @param {string} command
+     * @param {object} source media source
+     * @param {object|Array} params
+     * @returns {Promise<any>}
+     */
+    _call(command, source, params)
+    {
+        if(this.isTerminated())
+            return Promise.reject(new IllegalOperationError(`The worker has been terminated`));
+
+        return toTransferable(source).then(frame => new Promise((resolve, reject) => {
+            const id = this._nextId++;
+            this._pending.set(id, { resolve, reject });
+            this._worker.postMessage({ id, command, source: frame, params }, [ frame ]);
+        }));
+    }
+
+    /**
+     * Handle a message sent by the worker
+     * @param {object} message
+     */
+    _onMessage({ id, result, error })
+    {
+        const pending = this._pending.get(id);
+        if(pending === undefined)
+            return;
+
+        this._pending.delete(id);
+        if(error !== undefined)
+            pending.reject(new SpeedyError(`Worker error: ${error}`));
+        else
+            pending.resolve(result);
+    }
+
+    /**
+     * Reject all pending calls
+     * @param {SpeedyError} error
+     */
+    _rejectAll(error)
+    {
+        for(const { reject } of this._pending.values())
+            reject(error);
+
+        this._pending.clear();
+    }
+}
+
+/**
+ * The worker side: runs pipelines
+ * and feature detectors on request
+ */
+class SpeedyWorkerHost
+{
+    /**
+     * Class constructor
+     * @param {DedicatedWorkerGlobalScope} scope
+     */
+    constructor(scope)
+    {
+        this._scope = scope;
+        this._context = null; // shared by all media (lazy instantiation)
+        this._detectors = new Map(); // method -> feature detector
+        this._pipelines = new Map(); // description -> pipeline
+        this._scope.addEventListener('message', ev => this._onMessage(ev.data));
+
+        Utils.log('Speedy is running in a Web Worker');
+    }
+
+    /**
+     * Handle a message sent by the main thread
+     * @param {object} message
+     */
+    _onMessage({ id, command, source, params })
+    {
+        const handler = ({
+            'detect': this._detect,
+            'run': this._run,
+        })[command];
+
+        Promise.resolve().then(() => {
+            if(handler === undefined)
+                throw new IllegalArgumentError(`Unknown command: "${command}"`);
+
+            return handler.call(this, source, params);
+        }).then(([ result, transfer ]) => {
+            this._scope.postMessage({ id, result }, transfer);
+        }).catch(err => {
+            this._scope.postMessage({ id, error: err.message });
+        }).then(() => {
+            if(source && typeof source.close === 'function')
+                source.close(); // ImageBitmap, VideoFrame
+        });
+    }
+
+    /**
+     * Detect feature points
+     * @param {ImageBitmap|VideoFrame} source
+     * @param {object} settings
+     * @returns {Promise<Array>} [ result, transfer list ]
+     */
+    _detect(source, settings)
+    {
+        const method = settings.method !== undefined ? String(settings.method) : 'fast';
+        const detector = this._getDetector(method);
+
+        if(settings.sensitivity !== undefined)
+            detector.sensitivity = +settings.sensitivity;
+        if(settings.max !== undefined)
+            detector.max = settings.max | 0;
+        if(settings.denoise !== undefined)
+            detector.enhance({ denoise: Boolean(settings.denoise) });
+
+        return this._load(source, settings.usage).then(media =>
+            detector.detect(media).then(features => {
+                media.release();
+                return [ features.map(feature => [
+                    feature.x,
+                    feature.y,
+                    feature.lod,
+                    feature.rotation,
+                    feature.score,
+                    feature.descriptor.data
+                ]), [] ];
+            })
+        );
+    }
+
+    /**
+     * Run a pipeline
+     * @param {ImageBitmap|VideoFrame} source
+     * @param {Array<Array>} description list of [ methodName, ...args ]
+     * @returns {Promise<Array>} [ result, transfer list ]
+     */
+    _run(source, description)
+    {
+        const pipeline = this._getPipeline(description);
+
+        return this._load(source, 'dynamic').then(media =>
+            media.run(pipeline).then(result => {
+                const bitmap = result.source;
+                media.release();
+                return [ bitmap, [ bitmap ] ];
+            })
+        );
+    }
+
+    /**
+     * Load a media source using the shared context
+     * @param {ImageBitmap|VideoFrame} source
+     * @param {string} [usage]
+     * @returns {Promise<SpeedyMedia>}
+     */
+    _load(source, usage = 'dynamic')
+    {
+        if(this._context === null || this._context.isReleased())
+            this._context = new SpeedyContext();
+
+        return SpeedyMedia.load(source, { usage, context: this._context });
+    }
+
+    /**
+     * Get a feature detector
+     * @param {string} method
+     * @returns {SpeedyFeatureDetector}
+     */
+    _getDetector(method)
+    {
+        const createFeatureDetector = {
+            'fast': SpeedyFeatureDetectorFactory.FAST,
+            'multiscale-fast': SpeedyFeatureDetectorFactory.MultiscaleFAST,
+            'harris': SpeedyFeatureDetectorFactory.Harris,
+            'multiscale-harris': SpeedyFeatureDetectorFactory.MultiscaleHarris,
+            'orb': SpeedyFeatureDetectorFactory.ORB,
+            'brisk': SpeedyFeatureDetectorFactory.BRISK,
+        };
+
+        if(!createFeatureDetector.hasOwnProperty(method))
+            throw new IllegalArgumentError(`Invalid method "${method}" for feature detection`);
+
+        if(!this._detectors.has(method))
+            this._detectors.set(method, createFeatureDetector[method]());
+
+        return this._detectors.get(method);
+    }
+
+    /**
+     * Get a pipeline from its description
+     * @param {Array<Array>} description list of [ methodName, ...args ]
+     * @returns {SpeedyPipeline}
+     */
+    _getPipeline(description)
+    {
+        const key = JSON.stringify(description);
+        let pipeline = this._pipelines.get(key);
+
+        // reuse the pipeline
+        if(pipeline !== undefined) {
+            this._pipelines.delete(key);
+            this._pipelines.set(key, pipeline); // most recently used
+            return pipeline;
+        }
+
+        // create the pipeline
+        pipeline = new SpeedyPipeline();
+        for(const [ method, ...args ] of description) {
+            if(typeof method !== 'string' || method.startsWith('_') || method == 'release' || method == 'concat' ||
+            typeof SpeedyPipeline.prototype[method] !== 'function')
+                throw new IllegalArgumentError(`Invalid pipeline operation: "${method}"`);
+
+            pipeline[method](...args);
+        }
+        this._pipelines.set(key, pipeline);
+
+        // release the least recently used pipeline
+        if(this._pipelines.size > MAX_CACHED_PIPELINES) {
+            const [ lruKey, lruPipeline ] = this._pipelines.entries().next().value;
+            this._pipelines.delete(lruKey);
+            lruPipeline.release();
+        }
+
+        return pipeline;
+    }
+}
+
+// Convert a media source to something we can transfer to a worker
+function toTransferable(source)
+{
+    if(source == null)
+        return Promise.reject(new IllegalArgumentError(`Invalid media source`));
+
+    switch(source.constructor && source.constructor.name) {
+        case 'ImageBitmap':
+        case 'VideoFrame':
+            return Promise.resolve(source);
+
+        case 'HTMLImageElement':
+        case 'HTMLVideoElement':
+        case 'HTMLCanvasElement':
+        case 'OffscreenCanvas':
+        case 'ImageData':
+            return createImageBitmap(source);
+
+        default:
+            return Promise.reject(new IllegalArgumentError(`Can't transfer media source to a worker: ${source}`));
+    }
+}
+
+// start the worker
+if(isSpeedyWorker)
+    new SpeedyWorkerHost(self);
@@ -21,6 +21,8 @@
 
 import { SpeedyMedia } from './speedy-media';
 import { SpeedyPipeline } from './speedy-pipeline';
+import { SpeedyContext } from './speedy-context';
+import { SpeedyWorker } from './speedy-worker';
 import { FPSCounter } from '../utils/fps-counter';
 import { SpeedyFeatureDetectorFactory } from './speedy-feature-detector-factory';
 import { SpeedyFeatureTrackerFactory } from './speedy-feature-tracker-factory';
@@ -29,6 +31,7 @@ import { SpeedyVector2 } from './math/speedy-vector';
 import { SpeedyMatrixExprFactory } from './math/matrix-expressions';
 import { SpeedyPromise } from '../utils/speedy-promise';
 import { IllegalArgumentError } from '../utils/errors';
+import { FIX_RESOLUTION } from '../utils/globals';
 
 // Constants
 const matrixExprFactory = new SpeedyMatrixExprFactory();
@@ -40,7 +43,7 @@ export class Speedy
 {
     /**
      * Loads a SpeedyMedia object based on the provided source element
-     * @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement} sourceElement The source media
+     * @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement|OffscreenCanvas|ImageBitmap|VideoFrame|ImageData|object} sourceElement The source media
      * @param {object} [options] Additional options for advanced configuration
      * @returns {Promise<SpeedyMedia>}
      */
@@ -62,6 +65,34 @@ export class Speedy
         return SpeedyMedia.loadCameraStream(width, height, cameraOptions, mediaOptions);
     }
 
+    /**
+     * Lists the available cameras
+     * @returns {Promise<MediaDeviceInfo[]>}
+     */
+    static cameras()
+    {
+        return SpeedyMedia.listCameras();
+    }
+
+    /**
+     * Creates a GPU context that may be shared by many media objects
+     * @returns {SpeedyContext}
+     */
+    static context()
+    {
+        return new SpeedyContext();
+    }
+
+    /**
+     * Spawns a Web Worker running Speedy
+     * @param {string} [url] URL of speedy-vision.js, or of a script that imports it
+     * @returns {SpeedyWorker} a proxy to the worker
+     */
+    static worker(url = undefined)
+    {
+        return new SpeedyWorker(url);
+    }
+
     /**
      * Creates a new pipeline
      * @returns {SpeedyPipeline}
@@ -126,6 +157,27 @@ export class Speedy
         return matrixExprFactory;
     }
 
+    /**
+     * Decode the signed fixed-point numbers output by operations
+     * such as pipeline.sobel(), e.g., decodeFixedPoint(media.read())
+     * @param {Uint8Array|Uint8ClampedArray|number[]} pixels RGBA pixel data
+     * @returns {Float32Array} one number per pixel
+     */
+    static decodeFixedPoint(pixels)
+    {
+        if(pixels.length % 4 != 0)
+            throw new IllegalArgumentError(`Can't decode fixed-point numbers: expected RGBA pixel data`);
+
+        const n = pixels.length / 4;
+        const result = new Float32Array(n);
+        for(let i = 0; i < n; i++) {
+            const u = pixels[4*i] | (pixels[4*i + 1] << 8); // 16-bit, little-endian
+            result[i] = (u - ((u & 0x8000) << 1)) / FIX_RESOLUTION; // two's complement
+        }
+
+        return result;
+    }
+
     /**
      * Speedy Promises
      * @returns {Function}
@@ -20,7 +20,7 @@
  */
 
 import { Utils } from '../utils/utils';
-import { GLError, IllegalArgumentError, IllegalOperationError } from '../utils/errors';
+import { GLError, ShaderCompilationError, IllegalArgumentError, IllegalOperationError } from '../utils/errors';
 
 
 
@@ -105,19 +105,27 @@ export class GLUtils
             gl.deleteShader(fragmentShader);
             gl.deleteShader(vertexShader);
 
+            // find the offending line of the fragment shader, e.g., "ERROR: 0:12: ..."
+            const lines = fragmentShaderSource.split('\n');
+            const match = String(errors[0]).match(/ERROR:\s*\d+:(\d+):/);
+            const lineNumber = match ? Number(match[1]) : 0;
+            const lineOfCode = lines[lineNumber - 1] || '';
+
             // display error
             const spaces = i => Math.max(0, 2 - Math.floor(Math.log10(i)));
             const col = k => Array(spaces(k)).fill(' ').join('') + k + '. ';
-            const formattedSource = fragmentShaderSource.split('\n')
+            const formattedSource = lines
                 .map((line, no) => col(1+no) + line)
                 .join('\n');
 
-            throw new GLError(
-                `Can't create shader.\n\n` +
+            throw new ShaderCompilationError(
+                `\n` +
                 `---------- ERROR ----------\n` +
                 errors.join('\n') + '\n\n' +
                 `---------- SOURCE CODE ----------\n` +
-                formattedSource
+                formattedSource,
+                lineNumber,
+                lineOfCode
             );
         }
 
@@ -276,6 +284,50 @@ export class GLUtils
         return texture;
     }
 
+    /**
+     * Upload a raw buffer of pixels to a WebGL texture
+     * Greyscale data is replicated across the RGB channels
+     * @param {WebGL2RenderingContext} gl
+     * @param {WebGLTexture} texture
+     * @param {GLsizei} width image width
+     * @param {GLsizei} height image height
+     * @param {Uint8Array|Uint8ClampedArray} pixels tightly packed pixel data
+     * @param {number} [channels] 1 (greyscale), 3 (RGB) or 4 (RGBA)
+     * @param {GLint} [lod] mipmap level-of-detail
+     * @returns {WebGLTexture} texture
+     */
+    static uploadRawToTexture(gl, texture, width, height, pixels, channels = 4, lod = 0)
+    {
+        const format = ({
+            1: gl.LUMINANCE,
+            3: gl.RGB,
+            4: gl.RGBA,
+        })[channels];
+
+        // validate
+        if(format === undefined)
+            throw new IllegalArgumentError(`Can't upload pixels with ${channels} channels`);
+        else if(pixels.length < width * height * channels)
+            throw new IllegalArgumentError(`Can't upload pixels: expected ${width * height * channels} bytes, found ${pixels.length}`);
+
+        // upload. Rows of greyscale & RGB data need not be 4-byte aligned
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+        gl.texImage2D(gl.TEXTURE_2D,        // target
+                      lod,                  // mip level
+                      format == gl.RGBA ? gl.RGBA8 : format, // internal format
+                      width,                // texture width
+                      height,               // texture height
+                      0,                    // border
+                      format,               // source format
+                      gl.UNSIGNED_BYTE,     // source type
+                      pixels);              // source data
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 4);
+
+        gl.bindTexture(gl.TEXTURE_2D, null);
+        return texture;
+    }
+
     /**
      * Generate texture mipmap with bilinear interpolation
      * @param {WebGL2RenderingContext} gl 
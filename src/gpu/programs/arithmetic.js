@@ -0,0 +1,211 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * arithmetic.js
+ * Pixel-wise operations between two images
+ */
+
+import { SpeedyProgramGroup } from '../speedy-program-group';
+import { importShader } from '../shader-declaration';
+import { IllegalArgumentError } from '../../utils/errors';
+
+
+
+//
+// Shaders
+//
+
+// map: operation -> OPERATION_* constant of arithmetic.glsl
+const OPERATION = Object.freeze({
+    'absdiff': 0,
+    'add': 1,
+    'subtract': 2,
+    'multiply': 3,
+    'and': 4,
+    'or': 5,
+    'xor': 6,
+});
+
+// Pixel-wise arithmetic & bitwise operations
+const arithmetic = operation => importShader('arithmetic/arithmetic.glsl')
+                               .withArguments('image', 'operand')
+                               .withDefines({ 'OPERATION': OPERATION[operation] });
+
+// Alpha blending
+const blend = importShader('arithmetic/blend.glsl').withArguments('image', 'operand', 'alpha');
+
+// Masking
+const applyMask = importShader('arithmetic/apply-mask.glsl').withArguments('image', 'mask');
+
+
+
+/**
+ * GPUArithmetic
+ * Pixel-wise operations between two images
+ */
+export class GPUArithmetic extends SpeedyProgramGroup
+{
+    /**
+     * Class constructor
+     * @param {SpeedyGPU} gpu
+     * @param {number} width
+     * @param {number} height
+     */
+    constructor(gpu, width, height)
+    {
+        super(gpu, width, height);
+        this
+            // arithmetic operations
+            // (pingpong rendering lets us chain operations of the same kind)
+            .declare('_absdiff', arithmetic('absdiff'), {
+                ...this.program.usesPingpongRendering()
+            })
+            .declare('_add', arithmetic('add'), {
+                ...this.program.usesPingpongRendering()
+            })
+            .declare('_subtract', arithmetic('subtract'), {
+                ...this.program.usesPingpongRendering()
+            })
+            .declare('_multiply', arithmetic('multiply'), {
+                ...this.program.usesPingpongRendering()
+            })
+
+            // bitwise operations
+            .declare('_and', arithmetic('and'), {
+                ...this.program.usesPingpongRendering()
+            })
+            .declare('_or', arithmetic('or'), {
+                ...this.program.usesPingpongRendering()
+            })
+            .declare('_xor', arithmetic('xor'), {
+                ...this.program.usesPingpongRendering()
+            })
+
+            // blending & masking
+            .declare('_blend', blend, {
+                ...this.program.usesPingpongRendering()
+            })
+            .declare('_applyMask', applyMask, {
+                ...this.program.usesPingpongRendering()
+            })
+        ;
+    }
+
+    /**
+     * Absolute difference: |image - operand|
+     * @param {SpeedyTexture} image
+     * @param {SpeedyTexture} operand image of the same size
+     * @returns {SpeedyTexture}
+     */
+    absdiff(image, operand)
+    {
+        return this._absdiff(image, operand);
+    }
+
+    /**
+     * Saturated addition: image + operand
+     * @param {SpeedyTexture} image
+     * @param {SpeedyTexture} operand image of the same size
+     * @returns {SpeedyTexture}
+     */
+    add(image, operand)
+    {
+        return this._add(image, operand);
+    }
+
+    /**
+     * Saturated subtraction: image - operand
+     * @param {SpeedyTexture} image
+     * @param {SpeedyTexture} operand image of the same size
+     * @returns {SpeedyTexture}
+     */
+    subtract(image, operand)
+    {
+        return this._subtract(image, operand);
+    }
+
+    /**
+     * Multiplication of the normalized intensities: image * operand
+     * @param {SpeedyTexture} image
+     * @param {SpeedyTexture} operand image of the same size
+     * @returns {SpeedyTexture}
+     */
+    multiply(image, operand)
+    {
+        return this._multiply(image, operand);
+    }
+
+    /**
+     * Bitwise and
+     * @param {SpeedyTexture} image
+     * @param {SpeedyTexture} operand image of the same size
+     * @returns {SpeedyTexture}
+     */
+    bitwiseAnd(image, operand)
+    {
+        return this._and(image, operand);
+    }
+
+    /**
+     * Bitwise or
+     * @param {SpeedyTexture} image
+     * @param {SpeedyTexture} operand image of the same size
+     * @returns {SpeedyTexture}
+     */
+    bitwiseOr(image, operand)
+    {
+        return this._or(image, operand);
+    }
+
+    /**
+     * Bitwise xor
+     * @param {SpeedyTexture} image
+     * @param {SpeedyTexture} operand image of the same size
+     * @returns {SpeedyTexture}
+     */
+    bitwiseXor(image, operand)
+    {
+        return this._xor(image, operand);
+    }
+
+    /**
+     * Alpha blending: (1 - alpha) * image + alpha * operand
+     * @param {SpeedyTexture} image
+     * @param {SpeedyTexture} operand image of the same size
+     * @param {number} alpha weight of the operand, in [0,1]
+     * @returns {SpeedyTexture}
+     */
+    blend(image, operand, alpha)
+    {
+        if(!(alpha >= 0 && alpha <= 1))
+            throw new IllegalArgumentError(`Invalid alpha for blending: ${alpha}. It must be in [0,1]`);
+
+        return this._blend(image, operand, alpha);
+    }
+
+    /**
+     * Keep the pixels of the image where the mask is non-zero
+     * and set all other pixels to black
+     * @param {SpeedyTexture} image
+     * @param {SpeedyTexture} mask greyscale or binary image of the same size
+     * @returns {SpeedyTexture}
+     */
+    applyMask(image, mask)
+    {
+        return this._applyMask(image, mask);
+    }
+}
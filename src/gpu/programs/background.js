@@ -0,0 +1,172 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * background.js
+ * Background subtraction
+ */
+
+import { SpeedyProgramGroup } from '../speedy-program-group';
+import { importShader } from '../shader-declaration';
+import { SpeedyTexture } from '../speedy-texture';
+import { IllegalArgumentError } from '../../utils/errors';
+
+
+
+//
+// Shaders
+//
+
+// Running average
+const runningAverage = importShader('background/running-average.glsl').withArguments('image', 'model', 'learningRate');
+
+// Approximate median
+const medianApprox = importShader('background/median-approx.glsl').withArguments('image', 'model', 'stepSize');
+
+// Difference between an image and its background
+const backgroundDifference = importShader('background/background-difference.glsl').withArguments('image', 'model', 'threshold');
+
+// Mixture of Gaussians
+const mogUpdate = output => importShader('background/mog-update.glsl')
+                           .withArguments('image', 'model0', 'model1', 'threshold', 'learningRate')
+                           .withDefines({ 'MOG_OUTPUT': output });
+const mogForeground = importShader('background/mog-foreground.glsl').withArguments('image', 'model0', 'model1', 'threshold');
+
+// map: method -> number of textures of the background model
+const MODEL_TEXTURES = Object.freeze({
+    'running-average': 1,
+    'median-approx': 1,
+    'mog': 2,
+});
+
+
+
+/**
+ * GPUBackground
+ * Background subtraction
+ */
+export class GPUBackground extends SpeedyProgramGroup
+{
+    /**
+     * Class constructor
+     * @param {SpeedyGPU} gpu
+     * @param {number} width
+     * @param {number} height
+     */
+    constructor(gpu, width, height)
+    {
+        super(gpu, width, height);
+        this
+            // update the background model
+            // (the textures of the model are owned by the caller)
+            .declare('_runningAverage', runningAverage, {
+                ...this.program.doesNotRecycleTextures()
+            })
+            .declare('_medianApprox', medianApprox, {
+                ...this.program.doesNotRecycleTextures()
+            })
+            .declare('_mogUpdate0', mogUpdate(0), {
+                ...this.program.doesNotRecycleTextures()
+            })
+            .declare('_mogUpdate1', mogUpdate(1), {
+                ...this.program.doesNotRecycleTextures()
+            })
+
+            // find the foreground
+            .declare('_backgroundDifference', backgroundDifference)
+            .declare('_mogForeground', mogForeground)
+        ;
+    }
+
+    /**
+     * Create a background model initialized with an image
+     * @param {SpeedyTexture} image greyscale image
+     * @param {string} method "running-average" | "median-approx" | "mog"
+     * @returns {SpeedyTexture[]} the textures of the model (release them afterwards)
+     */
+    createModel(image, method)
+    {
+        if(!MODEL_TEXTURES.hasOwnProperty(method))
+            throw new IllegalArgumentError(`Invalid background subtraction method: "${method}"`);
+
+        // a learning rate of 1 makes the model fit the image
+        const gl = this._gpu.gl;
+        const blank = Array.from({ length: MODEL_TEXTURES[method] }, () => new SpeedyTexture(gl, image.width, image.height));
+        const model = this.updateModel(image, blank, method, 1, 0);
+        blank.forEach(texture => texture.release());
+
+        return model;
+    }
+
+    /**
+     * Update a background model with a new image
+     * @param {SpeedyTexture} image greyscale image
+     * @param {SpeedyTexture[]} model the textures of the model
+     * @param {string} method "running-average" | "median-approx" | "mog"
+     * @param {number} learningRate in (0,1]. It's the step of the "median-approx" method
+     * @param {number} threshold used by the "mog" method: maximum distance to the mean of a Gaussian, in standard deviations
+     * @returns {SpeedyTexture[]} the textures of the updated model (release them afterwards)
+     */
+    updateModel(image, model, method, learningRate, threshold)
+    {
+        if(!(learningRate > 0 && learningRate <= 1))
+            throw new IllegalArgumentError(`Invalid learning rate for background subtraction: ${learningRate}. It must be in (0,1]`);
+
+        switch(method) {
+            case 'running-average':
+                return [ this._runningAverage(image, model[0], learningRate) ];
+
+            case 'median-approx':
+                return [ this._medianApprox(image, model[0], learningRate) ];
+
+            case 'mog':
+                return [
+                    this._mogUpdate0(image, model[0], model[1], threshold, learningRate),
+                    this._mogUpdate1(image, model[0], model[1], threshold, learningRate)
+                ];
+
+            default:
+                throw new IllegalArgumentError(`Invalid background subtraction method: "${method}"`);
+        }
+    }
+
+    /**
+     * Find the foreground of an image
+     * @param {SpeedyTexture} image greyscale image
+     * @param {SpeedyTexture[]} model the textures of the model
+     * @param {string} method "running-average" | "median-approx" | "mog"
+     * @param {number} threshold minimum difference to the background, in [0,255], or
+     *                           maximum distance to the mean of a Gaussian, in standard deviations ("mog")
+     * @returns {SpeedyTexture} binary image: the foreground is white
+     */
+    foreground(image, model, method, threshold)
+    {
+        if(!(threshold >= 0))
+            throw new IllegalArgumentError(`Invalid threshold for background subtraction: ${threshold}`);
+
+        switch(method) {
+            case 'running-average':
+            case 'median-approx':
+                return this._backgroundDifference(image, model[0], threshold / 255);
+
+            case 'mog':
+                return this._mogForeground(image, model[0], model[1], threshold);
+
+            default:
+                throw new IllegalArgumentError(`Invalid background subtraction method: "${method}"`);
+        }
+    }
+}
@@ -31,6 +31,14 @@ import { importShader } from '../shader-declaration';
 // Convert to greyscale
 const rgb2grey = importShader('colors/rgb2grey.glsl').withArguments('image');
 
+// Convert between RGB and other color spaces
+const convertColor = conversion => importShader('colors/convert-color.glsl')
+                                   .withArguments('image')
+                                   .withDefines({ 'CONVERT_COLOR': conversion });
+
+// Check if the pixels lie within a color range
+const inRange = importShader('colors/in-range.glsl').withArguments('image', 'lower', 'upper', 'wrapAround');
+
 
 
 
@@ -52,6 +60,21 @@ export class GPUColors extends SpeedyProgramGroup
         this
             // convert to greyscale
             .declare('rgb2grey', rgb2grey)
+
+            // convert from RGB
+            .declare('rgb2hsv', convertColor('rgb2hsv'))
+            .declare('rgb2hsl', convertColor('rgb2hsl'))
+            .declare('rgb2ycbcr', convertColor('rgb2ycbcr'))
+            .declare('rgb2lab', convertColor('rgb2lab'))
+
+            // convert to RGB
+            .declare('hsv2rgb', convertColor('hsv2rgb'))
+            .declare('hsl2rgb', convertColor('hsl2rgb'))
+            .declare('ycbcr2rgb', convertColor('ycbcr2rgb'))
+            .declare('lab2rgb', convertColor('lab2rgb'))
+
+            // color range segmentation
+            .declare('inRange', inRange)
         ;
     }
 }
\ No newline at end of file
@@ -0,0 +1,163 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * edges.js
+ * Edge detection
+ */
+
+import { SpeedyProgramGroup } from '../speedy-program-group';
+import { importShader } from '../shader-declaration';
+import { Utils } from '../../utils/utils';
+import { IllegalArgumentError } from '../../utils/errors';
+
+
+
+//
+// Shaders
+//
+
+// Canny edge detector
+const cannyGradient = importShader('edges/canny-gradient.glsl').withArguments('image');
+const cannySuppression = importShader('edges/canny-suppression.glsl').withArguments('gradient', 'lowThreshold', 'highThreshold');
+const cannyHysteresis = importShader('edges/canny-hysteresis.glsl').withArguments('edges');
+
+// Number of hysteresis passes of the Canny edge detector:
+// weak edges are kept if they're connected to a strong edge
+// that is at most this number of pixels away from them
+const CANNY_HYSTERESIS_PASSES = 32;
+
+// Image derivatives with separable kernels
+const sobelDerivative = kernelSize => importShader('edges/sobel-derivative.glsl')
+                                      .withArguments('image', 'kernelX', 'kernelY')
+                                      .withDefines({ 'KERNEL_SIZE': kernelSize });
+
+// Magnitude & orientation of the gradient
+const gradientMagnitude = importShader('edges/gradient.glsl')
+                         .withArguments('image')
+                         .withDefines({ 'GRADIENT_OUTPUT': 0 });
+const gradientOrientation = importShader('edges/gradient.glsl')
+                           .withArguments('image')
+                           .withDefines({ 'GRADIENT_OUTPUT': 1 });
+
+// Normalized Scharr kernels: smoothing & first derivative
+const SCHARR_SMOOTHING = [ 3/16, 10/16, 3/16 ];
+const SCHARR_DERIVATIVE = [ -1/2, 0, 1/2 ];
+
+
+
+/**
+ * GPUEdges
+ * Edge detection
+ */
+export class GPUEdges extends SpeedyProgramGroup
+{
+    /**
+     * Class constructor
+     * @param {SpeedyGPU} gpu
+     * @param {number} width
+     * @param {number} height
+     */
+    constructor(gpu, width, height)
+    {
+        super(gpu, width, height);
+        this
+            // Canny edge detector
+            .declare('_cannyGradient', cannyGradient)
+            .declare('_cannySuppression', cannySuppression)
+            .declare('_cannyHysteresis', cannyHysteresis, {
+                ...this.program.usesPingpongRendering()
+            })
+
+            // image derivatives
+            .declare('_sobelDerivative3', sobelDerivative(3))
+            .declare('_sobelDerivative5', sobelDerivative(5))
+            .declare('_sobelDerivative7', sobelDerivative(7))
+
+            // magnitude & orientation of the gradient
+            .declare('gradientMagnitude', gradientMagnitude)
+            .declare('gradientOrientation', gradientOrientation)
+        ;
+    }
+
+    /**
+     * Canny edge detector
+     * @param {SpeedyTexture} image greyscale image
+     * @param {number} lowThreshold edges whose gradient magnitude is below this are discarded
+     * @param {number} highThreshold edges whose gradient magnitude is at least this are kept
+     * @param {number} [blurSize] size of the Gaussian kernel used to smooth the image: 3, 5 or 7, or 0 for no smoothing
+     * @returns {SpeedyTexture} binary image
+     */
+    canny(image, lowThreshold, highThreshold, blurSize = 5)
+    {
+        if(!(lowThreshold >= 0 && highThreshold >= lowThreshold))
+            throw new IllegalArgumentError(`Invalid thresholds for the Canny edge detector: low = ${lowThreshold}, high = ${highThreshold}`);
+        else if(blurSize != 0 && blurSize != 3 && blurSize != 5 && blurSize != 7)
+            throw new IllegalArgumentError(`Invalid blur size for the Canny edge detector: ${blurSize}`);
+
+        // smooth the image
+        const smoothed = blurSize > 0 ? this._gpu.programs.filters['gauss' + blurSize](image) : image;
+
+        // find edge candidates
+        const gradient = this._cannyGradient(smoothed);
+        let edges = this._cannySuppression(gradient, lowThreshold, highThreshold);
+
+        // edge tracking by hysteresis
+        for(let i = 0; i < CANNY_HYSTERESIS_PASSES; i++)
+            edges = this._cannyHysteresis(edges);
+
+        // keep the strong edges only
+        return this._gpu.programs.filters.threshold(edges, 191);
+    }
+
+    /**
+     * Sobel derivatives
+     * @param {SpeedyTexture} image greyscale image
+     * @param {number} dx order of the derivative in the x-axis: 0, 1 or 2
+     * @param {number} dy order of the derivative in the y-axis: 0, 1 or 2
+     * @param {number} [kernelSize] 3, 5 or 7
+     * @returns {SpeedyTexture} derivatives encoded as fixed-point numbers
+     */
+    sobel(image, dx, dy, kernelSize = 3)
+    {
+        if(kernelSize != 3 && kernelSize != 5 && kernelSize != 7)
+            throw new IllegalArgumentError(`Invalid kernel size for Sobel derivatives: ${kernelSize}`);
+        else if(![0, 1, 2].includes(dx) || ![0, 1, 2].includes(dy) || dx + dy == 0)
+            throw new IllegalArgumentError(`Invalid order of Sobel derivatives: dx = ${dx}, dy = ${dy}`);
+
+        const program = this['_sobelDerivative' + kernelSize];
+        return program(image, Utils.derivativeKernel(dx, kernelSize), Utils.derivativeKernel(dy, kernelSize));
+    }
+
+    /**
+     * Scharr derivatives: a more accurate 3x3 alternative to Sobel
+     * @param {SpeedyTexture} image greyscale image
+     * @param {number} dx order of the derivative in the x-axis: 0 or 1
+     * @param {number} dy order of the derivative in the y-axis: 0 or 1
+     * @returns {SpeedyTexture} derivatives encoded as fixed-point numbers
+     */
+    scharr(image, dx, dy)
+    {
+        if(!((dx == 1 && dy == 0) || (dx == 0 && dy == 1)))
+            throw new IllegalArgumentError(`Invalid order of Scharr derivatives: dx = ${dx}, dy = ${dy}`);
+
+        return this._sobelDerivative3(image,
+            dx ? SCHARR_DERIVATIVE : SCHARR_SMOOTHING,
+            dy ? SCHARR_DERIVATIVE : SCHARR_SMOOTHING
+        );
+    }
+}
+
@@ -284,16 +284,6 @@ export class GPUEncoders extends SpeedyProgramGroup
             if(performance.now() >= this._spawnedAt + 2000)
                 this._tuner.feedObservation(downloadTime);
 
-            // debug
-            /*
-            window._p = window._p || 0;
-            window._m = window._m || 0;
-            window._m = 0.9 * window._m + 0.1 * downloadTime;
-            if(window._p++ % 50 == 0)
-                console.log(window._m, ' | ', maxIterations);
-            //console.log(JSON.stringify(this._tuner.info()));
-            */
-
             // done!
             return pixels;
         }
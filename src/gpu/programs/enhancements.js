@@ -21,6 +21,7 @@
 
 import { SpeedyProgramGroup } from '../speedy-program-group';
 import { importShader } from '../shader-declaration';
+import { SpeedyTexture } from '../speedy-texture';
 import { convX, convY } from '../shaders/filters/convolution';
 import { PixelComponent } from '../../utils/types';
 import { Utils } from '../../utils/utils';
@@ -45,6 +46,39 @@ const nightvisionGreyscale = importShader('enhancements/nightvision.glsl')
                             .withArguments('image', 'illuminationMap', 'gain', 'offset', 'decay')
                             .withDefines({ 'GREYSCALE': 1 });
 
+// Histogram equalization
+const histogramEqualization = importShader('enhancements/histogram-equalization.glsl').withArguments('histogram');
+
+// Contrast Limited Adaptive Histogram Equalization (CLAHE)
+const claheHistograms = importShader('enhancements/clahe-histograms.glsl').withArguments('image', 'tiles');
+const claheLUT = importShader('enhancements/clahe-lut.glsl').withArguments('histograms', 'clipLimit');
+
+// Map the pixel intensities using lookup tables
+const applyLUT = importShader('enhancements/apply-lut.glsl')
+                .withArguments('image', 'lut', 'tiles')
+                .withDefines({ 'GREYSCALE': 0 });
+const applyLUTGreyscale = importShader('enhancements/apply-lut.glsl')
+                         .withArguments('image', 'lut', 'tiles')
+                         .withDefines({ 'GREYSCALE': 1 });
+
+// Brightness, contrast, gamma & saturation
+const adjust = importShader('enhancements/adjust.glsl')
+              .withArguments('image', 'brightness', 'contrast', 'gamma', 'saturation');
+
+// Map the intensities of each channel using a lookup table
+const colorLUT = importShader('enhancements/color-lut.glsl')
+                .withArguments('image', 'lut')
+                .withDefines({ 'GREYSCALE': 0 });
+const colorLUTGreyscale = importShader('enhancements/color-lut.glsl')
+                         .withArguments('image', 'lut')
+                         .withDefines({ 'GREYSCALE': 1 });
+
+// Number of bins of a histogram
+const HISTOGRAM_BINS = 256;
+
+// Maximum number of tiles of CLAHE, per axis
+const CLAHE_MAX_TILES = 16;
+
 
 
 
@@ -82,6 +116,30 @@ export class GPUEnhancements extends SpeedyProgramGroup
             .compose('_illuminationMapHi', '_illuminationMapHiX', '_illuminationMapHiY')
             .declare('_illuminationMapHiX', convX(Utils.gaussianKernel(80, 255)))
             .declare('_illuminationMapHiY', convY(Utils.gaussianKernel(80, 255)))
+
+            // histogram equalization
+            .declare('_histogramEqualization', histogramEqualization, {
+                ...this.program.hasTextureSize(HISTOGRAM_BINS, 1)
+            })
+            .declare('_claheHistograms', claheHistograms)
+            .declare('_claheLUT', claheLUT)
+            .declare('_applyLUT', applyLUT, {
+                ...this.program.usesPingpongRendering()
+            })
+            .declare('_applyLUTGreyscale', applyLUTGreyscale, {
+                ...this.program.usesPingpongRendering()
+            })
+
+            // tone adjustments
+            .declare('_adjust', adjust, {
+                ...this.program.usesPingpongRendering()
+            })
+            .declare('_colorLUT', colorLUT, {
+                ...this.program.usesPingpongRendering()
+            })
+            .declare('_colorLUTGreyscale', colorLUTGreyscale, {
+                ...this.program.usesPingpongRendering()
+            })
         ;
     }
 
@@ -152,4 +210,110 @@ export class GPUEnhancements extends SpeedyProgramGroup
         const enhancedImage = strategy(image, illuminationMap, gain, offset, decay);
         return enhancedImage;
     }
+
+    /**
+     * Histogram equalization
+     * @param {SpeedyTexture} image
+     * @param {boolean} [greyscale] is the image greyscale? If not, equalize its luma
+     * @returns {SpeedyTexture}
+     */
+    equalizeHistogram(image, greyscale = false)
+    {
+        const gpu = this._gpu;
+        const luma = greyscale ? image : gpu.programs.colors.rgb2grey(image);
+        const histogram = gpu.programs.utils.histogram(luma);
+        const lut = this._histogramEqualization(histogram);
+
+        const strategy = greyscale ? this._applyLUTGreyscale : this._applyLUT;
+        return strategy(image, lut, 1);
+    }
+
+    /**
+     * Contrast Limited Adaptive Histogram Equalization (CLAHE)
+     * @param {SpeedyTexture} image
+     * @param {number} [clipLimit] the bins of the histograms are clipped at clipLimit times their average count
+     * @param {number} [tiles] the image is divided into (tiles x tiles) tiles, from 1 to 16
+     * @param {boolean} [greyscale] is the image greyscale? If not, equalize its luma
+     * @returns {SpeedyTexture}
+     */
+    clahe(image, clipLimit = 2.0, tiles = 8, greyscale = false)
+    {
+        const gpu = this._gpu;
+
+        // validate
+        if(!(clipLimit > 0))
+            throw new IllegalArgumentError(`Invalid clip limit for CLAHE: ${clipLimit}`);
+        else if(!(Number.isInteger(tiles) && tiles >= 1 && tiles <= CLAHE_MAX_TILES))
+            throw new IllegalArgumentError(`Invalid number of tiles for CLAHE: ${tiles}. It must be an integer from 1 to ${CLAHE_MAX_TILES}`);
+
+        // compute the lookup tables of the tiles
+        const luma = greyscale ? image : gpu.programs.colors.rgb2grey(image);
+        this._claheHistograms.resize(HISTOGRAM_BINS, tiles * tiles);
+        this._claheLUT.resize(HISTOGRAM_BINS, tiles * tiles);
+        const histograms = this._claheHistograms(luma, tiles);
+        const lut = this._claheLUT(histograms, clipLimit);
+
+        // interpolate the lookup tables
+        const strategy = greyscale ? this._applyLUTGreyscale : this._applyLUT;
+        return strategy(image, lut, tiles);
+    }
+
+    /**
+     * Adjust brightness, contrast, gamma & saturation
+     * @param {SpeedyTexture} image RGB or greyscale image
+     * @param {number} [brightness] added to the intensities, in [-255,255]
+     * @param {number} [contrast] non-negative; scales the intensities around mid-grey
+     * @param {number} [gamma] positive; the intensities are raised to this power
+     * @param {number} [saturation] non-negative; 0 removes the colors
+     * @returns {SpeedyTexture}
+     */
+    adjust(image, brightness = 0, contrast = 1, gamma = 1, saturation = 1)
+    {
+        // validate
+        if(!(brightness >= -255 && brightness <= 255))
+            throw new IllegalArgumentError(`Invalid brightness: ${brightness}. It must be in [-255,255]`);
+        else if(!(contrast >= 0))
+            throw new IllegalArgumentError(`Invalid contrast: ${contrast}. It must be non-negative`);
+        else if(!(gamma > 0))
+            throw new IllegalArgumentError(`Invalid gamma: ${gamma}. It must be positive`);
+        else if(!(saturation >= 0))
+            throw new IllegalArgumentError(`Invalid saturation: ${saturation}. It must be non-negative`);
+
+        return this._adjust(image, brightness / 255, contrast, gamma, saturation);
+    }
+
+    /**
+     * Create a lookup table to be used with lut()
+     * @param {Array<ArrayLike<number>>} tables the lookup tables of the R, G, B & A channels:
+     *                                          256 entries each, in [0,255]
+     * @returns {SpeedyTexture} texture of size HISTOGRAM_BINS x 1
+     */
+    createLUT(tables)
+    {
+        if(tables.length != 4 || tables.some(table => table.length != HISTOGRAM_BINS))
+            throw new IllegalArgumentError(`Can't create a lookup table: expected 4 channels of ${HISTOGRAM_BINS} entries each`);
+
+        const pixels = new Uint8Array(HISTOGRAM_BINS * 4);
+        for(let i = 0; i < HISTOGRAM_BINS; i++) {
+            for(let c = 0; c < 4; c++)
+                pixels[4*i + c] = Math.max(0, Math.min(Math.round(+tables[c][i]), 255));
+        }
+
+        const texLUT = new SpeedyTexture(this._gpu.gl, HISTOGRAM_BINS, 1);
+        texLUT.uploadRaw(pixels, HISTOGRAM_BINS, 1, 4);
+        return texLUT;
+    }
+
+    /**
+     * Map the intensities of each channel using a lookup table
+     * @param {SpeedyTexture} image
+     * @param {SpeedyTexture} texLUT created with createLUT()
+     * @param {boolean} [greyscale] is the image greyscale? If so, use the table of the green channel
+     * @returns {SpeedyTexture}
+     */
+    lut(image, texLUT, greyscale = false)
+    {
+        const strategy = greyscale ? this._colorLUTGreyscale : this._colorLUT;
+        return strategy(image, texLUT);
+    }
 }
\ No newline at end of file
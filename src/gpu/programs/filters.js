@@ -20,10 +20,13 @@
  */
 
 import { SpeedyProgramGroup } from '../speedy-program-group';
+import { SpeedyTexture } from '../speedy-texture';
 import { importShader } from '../shader-declaration';
 import { convX, convY, texConvX, texConvY, texConv2D, createKernel2D, createKernel1D } from '../shaders/filters/convolution';
 import { median } from '../shaders/filters/median';
 import { Utils } from '../../utils/utils';
+import { IllegalArgumentError } from '../../utils/errors';
+import { MAX_CONVOLUTION_KERNEL_SIZE } from '../../utils/globals';
 
 
 
@@ -34,12 +37,85 @@ import { Utils } from '../../utils/utils';
 // Fast median filter: 3x3 window
 const fastMedian3 = importShader('filters/fast-median.glsl')
                    .withArguments('image')
-                   .withDefines({ 'WINDOW_SIZE': 3 });
+                   .withDefines({ 'WINDOW_SIZE': 3, 'GREYSCALE': 1 });
 
 // Fast median filter: 5x5 window
 const fastMedian5 = importShader('filters/fast-median.glsl')
                    .withArguments('image')
-                   .withDefines({ 'WINDOW_SIZE': 5 });
+                   .withDefines({ 'WINDOW_SIZE': 5, 'GREYSCALE': 1 });
+
+// Fast median filter for RGB images: 3x3 window
+const fastMedianRGB3 = importShader('filters/fast-median.glsl')
+                      .withArguments('image')
+                      .withDefines({ 'WINDOW_SIZE': 3, 'GREYSCALE': 0 });
+
+// Fast median filter for RGB images: 5x5 window
+const fastMedianRGB5 = importShader('filters/fast-median.glsl')
+                      .withArguments('image')
+                      .withDefines({ 'WINDOW_SIZE': 5, 'GREYSCALE': 0 });
+
+
+
+//
+// Edge-preserving smoothing
+//
+
+// Bilateral filter for greyscale images
+const bilateral = importShader('filters/bilateral.glsl')
+                 .withArguments('image', 'radius', 'sigmaColor', 'sigmaSpace')
+                 .withDefines({ 'GREYSCALE': 1 });
+
+// Bilateral filter for RGB images
+const bilateralRGB = importShader('filters/bilateral.glsl')
+                    .withArguments('image', 'radius', 'sigmaColor', 'sigmaSpace')
+                    .withDefines({ 'GREYSCALE': 0 });
+
+// Maximum diameter of the bilateral filter
+const MAX_BILATERAL_DIAMETER = 15;
+
+
+
+//
+// Thresholding
+//
+
+// Binary thresholding with a constant threshold
+const threshold = importShader('filters/threshold.glsl')
+                 .withArguments('image', 'threshold', 'invert');
+
+// Binary thresholding with a threshold map
+const thresholdMap = importShader('filters/threshold.glsl')
+                    .withArguments('image', 'thresholdMap', 'threshold', 'invert')
+                    .withDefines({ 'USE_THRESHOLD_MAP': 1 });
+
+// Find a global threshold with Otsu's method
+const otsu = importShader('filters/otsu.glsl').withArguments('histogram');
+
+
+
+//
+// Second derivatives
+//
+
+// Sum of two convolutions with separable kernels (signed output)
+const separableSum = kernelSize => importShader('filters/separable-sum.glsl')
+                                   .withArguments('image', 'kernelAX', 'kernelAY', 'kernelBX', 'kernelBY')
+                                   .withDefines({ 'KERNEL_SIZE': kernelSize });
+
+// Maximum kernel size of separableSum
+const MAX_SEPARABLE_SUM_SIZE = 31;
+
+
+
+//
+// Texture-based convolutions of arbitrary size
+//
+
+// Convolution with a kernel stored in a texture
+// axis: 0 (2D), 1 (x-axis) or 2 (y-axis)
+const textureConvolution = (kernelSize, axis) => importShader('filters/texture-convolution.glsl')
+                                                 .withArguments('image', 'texKernel', 'scale', 'offset')
+                                                 .withDefines({ 'KERNEL_SIZE': kernelSize, 'CONVOLUTION_AXIS': axis });
 
 
 
@@ -50,6 +126,47 @@ const fastMedian5 = importShader('filters/fast-median.glsl')
 // Handy conversion for Gaussian filters
 const ksize2sigma = ksize => Math.max(1.0, ksize / 6.0);
 
+/**
+ * Size of a Gaussian kernel that covers 3 standard deviations
+ * @param {number} sigma standard deviation of the Gaussian
+ * @returns {number} odd number
+ */
+function gaussianKernelSize(sigma)
+{
+    const kernelSize = 2 * Math.ceil(3 * sigma) + 1;
+
+    if(!(sigma > 0 && kernelSize <= MAX_SEPARABLE_SUM_SIZE))
+        throw new IllegalArgumentError(`Invalid sigma: ${sigma}. It must be positive and at most ${(MAX_SEPARABLE_SUM_SIZE - 1) / 6}`);
+
+    return Math.max(3, kernelSize);
+}
+
+/**
+ * Encode the entries of a convolution kernel into RGBA pixels,
+ * as in the createKernel* shaders of convolution.js
+ * @param {Array<number>|Float32Array} kernel entries in [0,1]
+ * @returns {Uint8Array} 4 bytes per entry
+ */
+function encodeKernel(kernel)
+{
+    const pixels = new Uint8Array(kernel.length * 4);
+
+    for(let i = 0; i < kernel.length; i++) {
+        const val = Math.max(0, Math.min(+kernel[i], 1));
+        const e0 = Math.floor(val);
+        const e1 = 256 * (val - e0);
+        const e2 = 256 * (e1 - Math.floor(e1));
+        const e3 = 256 * (e2 - Math.floor(e2));
+
+        pixels[4*i + 0] = Math.round(255 * e0);
+        pixels[4*i + 1] = Math.round(255 * Math.floor(e1) / 256);
+        pixels[4*i + 2] = Math.round(255 * Math.floor(e2) / 256);
+        pixels[4*i + 3] = Math.round(255 * Math.floor(e3) / 256);
+    }
+
+    return pixels;
+}
+
 /**
  * GPUFilters
  * Image filtering
@@ -81,9 +198,60 @@ export class GPUFilters extends SpeedyProgramGroup
             .compose('box11', '_box11x', '_box11y') // size: 11x11
 
             // median filters
-            .declare('median3', fastMedian3) // 3x3 window
-            .declare('median5', fastMedian5) // 5x5 window
-            .declare('median7', median(7)) // 7x7 window
+            .declare('median3', fastMedian3, { // 3x3 window
+                ...this.program.usesPingpongRendering()
+            })
+            .declare('median5', fastMedian5, { // 5x5 window
+                ...this.program.usesPingpongRendering()
+            })
+            .declare('median7', median(7), { // 7x7 window
+                ...this.program.usesPingpongRendering()
+            })
+            .declare('medianRGB3', fastMedianRGB3, { // 3x3 window, RGB
+                ...this.program.usesPingpongRendering()
+            })
+            .declare('medianRGB5', fastMedianRGB5, { // 5x5 window, RGB
+                ...this.program.usesPingpongRendering()
+            })
+            .declare('medianRGB7', median(7, false), { // 7x7 window, RGB
+                ...this.program.usesPingpongRendering()
+            })
+
+            // bilateral filters
+            .declare('_bilateral', bilateral, {
+                ...this.program.usesPingpongRendering()
+            })
+            .declare('_bilateralRGB', bilateralRGB, {
+                ...this.program.usesPingpongRendering()
+            })
+
+            // thresholding
+            .declare('_threshold', threshold, {
+                ...this.program.usesPingpongRendering()
+            })
+            .declare('_thresholdMap', thresholdMap, {
+                ...this.program.usesPingpongRendering()
+            })
+            .declare('_otsu', otsu, {
+                ...(this.program.hasTextureSize(1, 1))
+            })
+
+            // second derivatives (signed output)
+            .declare('_separableSum3', separableSum(3))
+            .declare('_separableSum5', separableSum(5))
+            .declare('_separableSum7', separableSum(7))
+            .declare('_separableSum9', separableSum(9))
+            .declare('_separableSum11', separableSum(11))
+            .declare('_separableSum13', separableSum(13))
+            .declare('_separableSum15', separableSum(15))
+            .declare('_separableSum17', separableSum(17))
+            .declare('_separableSum19', separableSum(19))
+            .declare('_separableSum21', separableSum(21))
+            .declare('_separableSum23', separableSum(23))
+            .declare('_separableSum25', separableSum(25))
+            .declare('_separableSum27', separableSum(27))
+            .declare('_separableSum29', separableSum(29))
+            .declare('_separableSum31', separableSum(31))
 
             // difference of gaussians
             .compose('dog16_1', '_dog16_1x', '_dog16_1y') // sigma_2 / sigma_1 = 1.6 (approx. laplacian with sigma = 1)
@@ -239,4 +407,220 @@ export class GPUFilters extends SpeedyProgramGroup
             ]))
         ;
     }
+
+    /**
+     * Create a texture-based convolution kernel of arbitrary size
+     * The returned texture must be released manually
+     * @param {Array<number>|Float32Array} kernel (width x height) entries in [0,1], in row-major order
+     * @param {number} width
+     * @param {number} [height]
+     * @returns {SpeedyTexture}
+     */
+    createKernel(kernel, width, height = 1)
+    {
+        if(kernel.length != width * height)
+            throw new IllegalArgumentError(`Can't create a ${width}x${height} texture kernel with ${kernel.length} entries`);
+
+        const texKernel = new SpeedyTexture(this._gpu.gl, width, height);
+        texKernel.uploadRaw(encodeKernel(kernel), width, height, 4);
+        return texKernel;
+    }
+
+    /**
+     * 2D convolution with a texture-based kernel of size kernelSize x kernelSize
+     * The entries of the kernel are multiplied by scale and added to offset
+     * @param {SpeedyTexture} image
+     * @param {SpeedyTexture} texKernel created with createKernel()
+     * @param {number} kernelSize an odd number from 3 to 31
+     * @param {number} [scale]
+     * @param {number} [offset]
+     * @returns {SpeedyTexture}
+     */
+    convolve(image, texKernel, kernelSize, scale = 1, offset = 0)
+    {
+        return this._textureConvolution(kernelSize, 0)(image, texKernel, scale, offset);
+    }
+
+    /**
+     * 1D convolution on the x-axis with a texture-based kernel of size kernelSize x 1
+     * @param {SpeedyTexture} image
+     * @param {SpeedyTexture} texKernel created with createKernel()
+     * @param {number} kernelSize an odd number from 3 to 31
+     * @param {number} [scale]
+     * @param {number} [offset]
+     * @returns {SpeedyTexture}
+     */
+    convolveX(image, texKernel, kernelSize, scale = 1, offset = 0)
+    {
+        return this._textureConvolution(kernelSize, 1)(image, texKernel, scale, offset);
+    }
+
+    /**
+     * 1D convolution on the y-axis with a texture-based kernel of size kernelSize x 1
+     * @param {SpeedyTexture} image
+     * @param {SpeedyTexture} texKernel created with createKernel()
+     * @param {number} kernelSize an odd number from 3 to 31
+     * @param {number} [scale]
+     * @param {number} [offset]
+     * @returns {SpeedyTexture}
+     */
+    convolveY(image, texKernel, kernelSize, scale = 1, offset = 0)
+    {
+        return this._textureConvolution(kernelSize, 2)(image, texKernel, scale, offset);
+    }
+
+    /**
+     * Bilateral filter: edge-preserving smoothing
+     * @param {SpeedyTexture} image greyscale or RGB image
+     * @param {boolean} greyscale is the image greyscale?
+     * @param {number} diameter diameter of the pixel neighborhood: an odd number from 3 to 15
+     * @param {number} sigmaColor standard deviation in the color space, in [0,255] units
+     * @param {number} sigmaSpace standard deviation in the coordinate space, in pixels
+     * @returns {SpeedyTexture}
+     */
+    bilateral(image, greyscale, diameter, sigmaColor, sigmaSpace)
+    {
+        if(!(diameter >= 3 && diameter <= MAX_BILATERAL_DIAMETER && diameter % 2 == 1))
+            throw new IllegalArgumentError(`Invalid diameter for the bilateral filter: ${diameter}. It must be an odd number from 3 to ${MAX_BILATERAL_DIAMETER}`);
+        else if(!(sigmaColor > 0))
+            throw new IllegalArgumentError(`Invalid sigmaColor for the bilateral filter: ${sigmaColor}`);
+        else if(!(sigmaSpace > 0))
+            throw new IllegalArgumentError(`Invalid sigmaSpace for the bilateral filter: ${sigmaSpace}`);
+
+        const program = greyscale ? this._bilateral : this._bilateralRGB;
+        return program(image, (diameter - 1) >> 1, sigmaColor, sigmaSpace);
+    }
+
+    /**
+     * Binary thresholding with a constant threshold
+     * @param {SpeedyTexture} image greyscale image
+     * @param {number} value threshold, in [0,255]
+     * @param {boolean} [invert] output white if the pixel intensity is at most the threshold, instead of above it
+     * @returns {SpeedyTexture} binary image
+     */
+    threshold(image, value, invert = false)
+    {
+        return this._threshold(image, value, invert);
+    }
+
+    /**
+     * Binary thresholding with Otsu's method
+     * @param {SpeedyTexture} image greyscale image
+     * @param {boolean} [invert] output white if the pixel intensity is at most the threshold, instead of above it
+     * @returns {SpeedyTexture} binary image
+     */
+    otsuThreshold(image, invert = false)
+    {
+        const histogram = this._gpu.programs.utils.histogram(image);
+        const otsu = this._otsu(histogram);
+        return this._thresholdMap(image, otsu, 0, invert);
+    }
+
+    /**
+     * Adaptive thresholding: compare each pixel to a
+     * weighted mean of its neighborhood
+     * @param {SpeedyTexture} image greyscale image
+     * @param {string} filter "gaussian" | "box"
+     * @param {number} blockSize size of the neighborhood: 3, 5, 7, 9 or 11
+     * @param {number} [c] constant subtracted from the mean, in [-255,255]
+     * @param {boolean} [invert] output white if the pixel intensity is at most the threshold, instead of above it
+     * @returns {SpeedyTexture} binary image
+     */
+    adaptiveThreshold(image, filter, blockSize, c = 0, invert = false)
+    {
+        if(filter != 'gaussian' && filter != 'box')
+            throw new IllegalArgumentError(`Invalid filter for adaptive thresholding: "${filter}"`);
+        else if(![3, 5, 7, 9, 11].includes(blockSize))
+            throw new IllegalArgumentError(`Invalid block size for adaptive thresholding: ${blockSize}`);
+
+        const fname = (filter == 'gaussian' ? 'gauss' : 'box') + blockSize;
+        const mean = this[fname](image);
+        return this._thresholdMap(image, mean, -c, invert);
+    }
+
+    /**
+     * Laplacian
+     * @param {SpeedyTexture} image greyscale image
+     * @param {number} [kernelSize] 1, 3, 5 or 7. If 1, use the 3x3 kernel
+     *                              [0 1 0; 1 -4 1; 0 1 0]. Otherwise, add
+     *                              up normalized second-order Sobel derivatives
+     * @returns {SpeedyTexture} encoded as fixed-point numbers
+     */
+    laplacian(image, kernelSize = 1)
+    {
+        if(kernelSize == 1)
+            return this._separableSum3(image, [ 1, -2, 1 ], [ 0, 1, 0 ], [ 0, 1, 0 ], [ 1, -2, 1 ]);
+        else if(kernelSize != 3 && kernelSize != 5 && kernelSize != 7)
+            throw new IllegalArgumentError(`Invalid kernel size for the Laplacian: ${kernelSize}`);
+
+        const dxx = Utils.derivativeKernel(2, kernelSize);
+        const smooth = Utils.derivativeKernel(0, kernelSize);
+        return this['_separableSum' + kernelSize](image, dxx, smooth, smooth, dxx);
+    }
+
+    /**
+     * Laplacian of Gaussian (LoG)
+     * @param {SpeedyTexture} image greyscale image
+     * @param {number} sigma standard deviation of the Gaussian, up to 5
+     * @returns {SpeedyTexture} encoded as fixed-point numbers
+     */
+    laplacianOfGaussian(image, sigma)
+    {
+        const kernelSize = gaussianKernelSize(sigma);
+        const gauss = Utils.gaussianKernel(sigma, kernelSize);
+        const N = kernelSize >> 1;
+
+        // second derivative of the gaussian, with zero sum and
+        // normalized so that it maps x^2 to 2
+        const g2 = gauss.map((g, i) => g * ((i - N) * (i - N) - sigma * sigma));
+        const mean = g2.reduce((sum, g) => sum + g, 0);
+        const zeroSum = g2.map((g, i) => g - mean * gauss[i]);
+        const scale = 2 / zeroSum.reduce((sum, g, i) => sum + g * (i - N) * (i - N), 0);
+        const gxx = zeroSum.map(g => g * scale);
+
+        return this['_separableSum' + kernelSize](image, gxx, gauss, gauss, gxx);
+    }
+
+    /**
+     * Difference of Gaussians (DoG)
+     * @param {SpeedyTexture} image greyscale image
+     * @param {number} sigma1 standard deviation of the first Gaussian, up to 5
+     * @param {number} sigma2 standard deviation of the second Gaussian, up to 5
+     * @returns {SpeedyTexture} gaussian(sigma1) - gaussian(sigma2), encoded as fixed-point numbers
+     */
+    differenceOfGaussians(image, sigma1, sigma2)
+    {
+        const kernelSize = Math.max(gaussianKernelSize(sigma1), gaussianKernelSize(sigma2));
+        const gauss1 = Utils.gaussianKernel(sigma1, kernelSize);
+        const gauss2 = Utils.gaussianKernel(sigma2, kernelSize);
+
+        return this['_separableSum' + kernelSize](image, gauss1, gauss1, gauss2, gauss2.map(g => -g));
+    }
+
+    /**
+     * Get a texture-based convolution program
+     * @param {number} kernelSize an odd number from 3 to 31
+     * @param {number} axis 0 (2D), 1 (x-axis) or 2 (y-axis)
+     * @returns {SpeedyProgram}
+     */
+    _textureConvolution(kernelSize, axis)
+    {
+        if(!(kernelSize >= 3 && kernelSize <= MAX_CONVOLUTION_KERNEL_SIZE && kernelSize % 2 == 1))
+            throw new IllegalArgumentError(`Invalid kernel size: ${kernelSize}. It must be an odd number from 3 to ${MAX_CONVOLUTION_KERNEL_SIZE}`);
+
+        // use the unrolled programs for the most common sizes
+        const maxUnrolledSize = axis == 0 ? 7 : 11;
+        if(kernelSize <= maxUnrolledSize)
+            return this[[ 'texConv2D', 'texConvX', 'texConvY' ][axis] + kernelSize];
+
+        // declare the other programs on demand
+        const name = [ '_texConv2D_', '_texConvX_', '_texConvY_' ][axis] + kernelSize;
+        if(!(name in this)) {
+            this.declare(name, textureConvolution(kernelSize, axis), axis == 0 ? {
+                ...this.program.usesPingpongRendering()
+            } : { });
+        }
+
+        return this[name];
+    }
 }
@@ -0,0 +1,193 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * morphology.js
+ * Morphological image processing
+ */
+
+import { SpeedyProgramGroup } from '../speedy-program-group';
+import { importShader } from '../shader-declaration';
+import { IllegalArgumentError } from '../../utils/errors';
+
+
+
+//
+// Shaders
+//
+
+// Erosion: minimum of the neighborhood
+const erode = importShader('morphology/morphology.glsl')
+             .withArguments('image', 'shape', 'radius')
+             .withDefines({ 'MORPHOLOGY_OPERATION': 'min' });
+
+// Dilation: maximum of the neighborhood
+const dilate = importShader('morphology/morphology.glsl')
+              .withArguments('image', 'shape', 'radius')
+              .withDefines({ 'MORPHOLOGY_OPERATION': 'max' });
+
+// Difference between two images
+const difference = importShader('morphology/morphology-difference.glsl').withArguments('image', 'subtrahend');
+
+// map: shape of the structuring element -> SHAPE_* constant of the shaders
+const SHAPE = Object.freeze({
+    'rect': 0,
+    'cross': 1,
+    'ellipse': 2,
+});
+
+// maximum size of the structuring element
+const MAX_SIZE = 15;
+
+
+
+/**
+ * GPUMorphology
+ * Morphological image processing
+ */
+export class GPUMorphology extends SpeedyProgramGroup
+{
+    /**
+     * Class constructor
+     * @param {SpeedyGPU} gpu
+     * @param {number} width
+     * @param {number} height
+     */
+    constructor(gpu, width, height)
+    {
+        super(gpu, width, height);
+        this
+            // erosion & dilation
+            .declare('_erode', erode, {
+                ...this.program.usesPingpongRendering()
+            })
+            .declare('_dilate', dilate, {
+                ...this.program.usesPingpongRendering()
+            })
+
+            // difference between images
+            .declare('_difference', difference)
+        ;
+    }
+
+    /**
+     * Erosion
+     * @param {SpeedyTexture} image
+     * @param {string} shape shape of the structuring element: "rect" | "cross" | "ellipse"
+     * @param {number} size size of the structuring element: an odd number from 3 to 15
+     * @param {number} [iterations] how many times the operation is applied
+     * @returns {SpeedyTexture}
+     */
+    erode(image, shape, size, iterations = 1)
+    {
+        return this._repeat(this._erode, image, shape, size, iterations);
+    }
+
+    /**
+     * Dilation
+     * @param {SpeedyTexture} image
+     * @param {string} shape shape of the structuring element: "rect" | "cross" | "ellipse"
+     * @param {number} size size of the structuring element: an odd number from 3 to 15
+     * @param {number} [iterations] how many times the operation is applied
+     * @returns {SpeedyTexture}
+     */
+    dilate(image, shape, size, iterations = 1)
+    {
+        return this._repeat(this._dilate, image, shape, size, iterations);
+    }
+
+    /**
+     * Opening: erosion followed by dilation
+     * @param {SpeedyTexture} image
+     * @param {string} shape shape of the structuring element: "rect" | "cross" | "ellipse"
+     * @param {number} size size of the structuring element: an odd number from 3 to 15
+     * @param {number} [iterations] how many times erosion & dilation are applied
+     * @returns {SpeedyTexture}
+     */
+    open(image, shape, size, iterations = 1)
+    {
+        const eroded = this.erode(image, shape, size, iterations);
+        return this.dilate(eroded, shape, size, iterations);
+    }
+
+    /**
+     * Closing: dilation followed by erosion
+     * @param {SpeedyTexture} image
+     * @param {string} shape shape of the structuring element: "rect" | "cross" | "ellipse"
+     * @param {number} size size of the structuring element: an odd number from 3 to 15
+     * @param {number} [iterations] how many times dilation & erosion are applied
+     * @returns {SpeedyTexture}
+     */
+    close(image, shape, size, iterations = 1)
+    {
+        const dilated = this.dilate(image, shape, size, iterations);
+        return this.erode(dilated, shape, size, iterations);
+    }
+
+    /**
+     * Morphological gradient: dilation minus erosion
+     * @param {SpeedyTexture} image
+     * @param {string} shape shape of the structuring element: "rect" | "cross" | "ellipse"
+     * @param {number} size size of the structuring element: an odd number from 3 to 15
+     * @param {number} [iterations] how many times erosion & dilation are applied
+     * @returns {SpeedyTexture}
+     */
+    gradient(image, shape, size, iterations = 1)
+    {
+        const dilated = this.dilate(image, shape, size, iterations);
+        const eroded = this.erode(image, shape, size, iterations);
+        return this._difference(dilated, eroded);
+    }
+
+    /**
+     * Top hat: image minus its opening
+     * @param {SpeedyTexture} image
+     * @param {string} shape shape of the structuring element: "rect" | "cross" | "ellipse"
+     * @param {number} size size of the structuring element: an odd number from 3 to 15
+     * @param {number} [iterations] how many times erosion & dilation are applied
+     * @returns {SpeedyTexture}
+     */
+    tophat(image, shape, size, iterations = 1)
+    {
+        const opened = this.open(image, shape, size, iterations);
+        return this._difference(image, opened);
+    }
+
+    /**
+     * Apply an erosion or a dilation repeatedly
+     * @param {SpeedyProgram} program
+     * @param {SpeedyTexture} image
+     * @param {string} shape shape of the structuring element
+     * @param {number} size size of the structuring element
+     * @param {number} iterations how many times the program is applied
+     * @returns {SpeedyTexture}
+     */
+    _repeat(program, image, shape, size, iterations)
+    {
+        if(!SHAPE.hasOwnProperty(shape))
+            throw new IllegalArgumentError(`Invalid structuring element: "${shape}"`);
+        else if(!(size >= 3 && size <= MAX_SIZE && size % 2 == 1))
+            throw new IllegalArgumentError(`Invalid size of the structuring element: ${size}. It must be an odd number from 3 to ${MAX_SIZE}`);
+        else if(!(iterations >= 1 && iterations == Math.floor(iterations)))
+            throw new IllegalArgumentError(`Invalid number of iterations: ${iterations}`);
+
+        let texture = image;
+        for(let i = 0; i < iterations; i++)
+            texture = program(texture, SHAPE[shape], (size - 1) >> 1);
+
+        return texture;
+    }
+}
@@ -132,4 +132,34 @@ export class GPUPyramids extends SpeedyProgramGroup
                 this.program.hasTextureSize(2 * this._width / 3, 2 * this._height / 3))
         ;
     }
+
+    /**
+     * Resize the group. The sizes of the pyramid
+     * programs are derived from the new size
+     * @param {number} width
+     * @param {number} height
+     */
+    resize(width, height)
+    {
+        super.resize(width, height);
+
+        const sizes = {
+            'output1': [ width, height ],
+            'output2': [ 2 * width, 2 * height ],
+            'output3': [ 3 * width, 3 * height ],
+            '_smoothX2': [ 2 * width, 2 * height ],
+            '_smoothY2': [ 2 * width, 2 * height ],
+            '_smoothX3': [ 3 * width, 3 * height ],
+            '_smoothY3': [ 3 * width, 3 * height ],
+            '_upsample2': [ 2 * width, 2 * height ],
+            '_downsample2': [ (1 + width) / 2, (1 + height) / 2 ],
+            '_upsample3': [ 3 * width, 3 * height ],
+            '_downsample3': [ (2 + width) / 3, (2 + height) / 3 ],
+            '_downsample2/3': [ 3 * width / 2, 3 * height / 2 ],
+            '_downsample3/2': [ 2 * width / 3, 2 * height / 3 ],
+        };
+
+        for(const [ name, [ w, h ] ] of Object.entries(sizes))
+            this._resizeProgram(name, w | 0, h | 0);
+    }
 }
\ No newline at end of file
@@ -0,0 +1,225 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * transforms.js
+ * Geometric transformations
+ */
+
+import { SpeedyProgramGroup } from '../speedy-program-group';
+import { importShader } from '../shader-declaration';
+import { IllegalArgumentError } from '../../utils/errors';
+
+
+
+//
+// Shaders
+//
+
+// Resize image
+const resizeNearest = importShader('transforms/resize-nearest.glsl').withArguments('image');
+const resizeBilinear = importShader('transforms/resize-bilinear.glsl').withArguments('image');
+const resizeArea = importShader('transforms/resize-area.glsl').withArguments('image');
+
+// Crop a rectangle of the image
+const crop = importShader('transforms/crop.glsl').withArguments('image', 'offset');
+
+// Warp image using a homography
+const warpPerspective = importShader('transforms/warp-perspective.glsl').withArguments('image', 'inverseHomography', 'borderMode', 'borderColor');
+
+// Flip, rotate or transpose an image
+const reorient = importShader('transforms/reorient.glsl').withArguments('image', 'origin', 'xAxis', 'yAxis');
+
+// map: interpolation method -> program name
+const RESIZE_PROGRAM = Object.freeze({
+    'nearest': '_resizeNearest',
+    'bilinear': '_resizeBilinear',
+    'area': '_resizeArea',
+});
+
+// map: border mode -> BORDER_* constant of the shaders
+const BORDER_MODE = Object.freeze({
+    'constant': 0,
+    'replicate': 1,
+    'reflect': 2,
+});
+
+
+
+/**
+ * GPUTransforms
+ * Geometric transformations
+ */
+export class GPUTransforms extends SpeedyProgramGroup
+{
+    /**
+     * Class constructor
+     * @param {SpeedyGPU} gpu
+     * @param {number} width
+     * @param {number} height
+     */
+    constructor(gpu, width, height)
+    {
+        super(gpu, width, height);
+        this
+            // resize image
+            .declare('_resizeNearest', resizeNearest, {
+                ...this.program.usesPingpongRendering()
+            })
+            .declare('_resizeBilinear', resizeBilinear, {
+                ...this.program.usesPingpongRendering()
+            })
+            .declare('_resizeArea', resizeArea, {
+                ...this.program.usesPingpongRendering()
+            })
+
+            // crop image
+            .declare('_crop', crop, {
+                ...this.program.usesPingpongRendering()
+            })
+
+            // warp image
+            .declare('_warpPerspective', warpPerspective, {
+                ...this.program.usesPingpongRendering()
+            })
+
+            // flip, rotate or transpose image
+            .declare('_reorient', reorient, {
+                ...this.program.usesPingpongRendering()
+            })
+        ;
+    }
+
+    /**
+     * Resize an image
+     * @param {SpeedyTexture} image
+     * @param {number} width width of the output image
+     * @param {number} height height of the output image
+     * @param {string} [method] interpolation method: "nearest" | "bilinear" | "area"
+     * @returns {SpeedyTexture} texture of size width x height
+     */
+    resize(image, width, height, method = 'bilinear')
+    {
+        if(!RESIZE_PROGRAM.hasOwnProperty(method))
+            throw new IllegalArgumentError(`Invalid interpolation method: "${method}"`);
+
+        const program = this[RESIZE_PROGRAM[method]];
+        program.resize(width, height);
+        return program(image);
+    }
+
+    /**
+     * Crop a rectangle of an image
+     * @param {SpeedyTexture} image
+     * @param {number} x x-coordinate of the top-left corner of the rectangle
+     * @param {number} y y-coordinate of the top-left corner of the rectangle
+     * @param {number} width width of the rectangle
+     * @param {number} height height of the rectangle
+     * @returns {SpeedyTexture} texture of size width x height
+     */
+    crop(image, x, y, width, height)
+    {
+        this._crop.resize(width, height);
+        return this._crop(image, [ x | 0, y | 0 ]);
+    }
+
+    /**
+     * Warp an image using a homography
+     * @param {SpeedyTexture} image
+     * @param {number[]} inverseHomography 3x3 matrix in column-major format mapping output pixels to input pixels
+     * @param {number} width width of the output image
+     * @param {number} height height of the output image
+     * @param {string} [border] border mode: "constant" | "replicate" | "reflect"
+     * @param {number[]} [borderColor] RGBA color in [0,1] used with the "constant" border mode
+     * @returns {SpeedyTexture} texture of size width x height
+     */
+    warpPerspective(image, inverseHomography, width, height, border = 'constant', borderColor = [0, 0, 0, 1])
+    {
+        if(!BORDER_MODE.hasOwnProperty(border))
+            throw new IllegalArgumentError(`Invalid border mode: "${border}"`);
+
+        this._warpPerspective.resize(width, height);
+        return this._warpPerspective(image, inverseHomography, BORDER_MODE[border], borderColor);
+    }
+
+    /**
+     * Flip an image
+     * @param {SpeedyTexture} image
+     * @param {boolean} horizontal flip around the vertical axis?
+     * @param {boolean} vertical flip around the horizontal axis?
+     * @returns {SpeedyTexture}
+     */
+    flip(image, horizontal, vertical)
+    {
+        const { width, height } = image;
+
+        return this._remapAxes(image, width, height,
+            [ horizontal ? width - 1 : 0, vertical ? height - 1 : 0 ],
+            [ horizontal ? -1 : 1, 0 ],
+            [ 0, vertical ? -1 : 1 ]
+        );
+    }
+
+    /**
+     * Rotate an image clockwise by a multiple of 90 degrees
+     * @param {SpeedyTexture} image
+     * @param {number} angle 0, 90, 180 or 270
+     * @returns {SpeedyTexture}
+     */
+    rotate(image, angle)
+    {
+        const { width, height } = image;
+
+        switch(angle) {
+            case 0:
+                return this._remapAxes(image, width, height, [ 0, 0 ], [ 1, 0 ], [ 0, 1 ]);
+            case 90:
+                return this._remapAxes(image, height, width, [ 0, height - 1 ], [ 0, -1 ], [ 1, 0 ]);
+            case 180:
+                return this._remapAxes(image, width, height, [ width - 1, height - 1 ], [ -1, 0 ], [ 0, -1 ]);
+            case 270:
+                return this._remapAxes(image, height, width, [ width - 1, 0 ], [ 0, 1 ], [ -1, 0 ]);
+            default:
+                throw new IllegalArgumentError(`Invalid rotation angle: ${angle}`);
+        }
+    }
+
+    /**
+     * Transpose an image, i.e., swap its rows and columns
+     * @param {SpeedyTexture} image
+     * @returns {SpeedyTexture}
+     */
+    transpose(image)
+    {
+        return this._remapAxes(image, image.height, image.width, [ 0, 0 ], [ 0, 1 ], [ 1, 0 ]);
+    }
+
+    /**
+     * Map the axes of the output image to the axes of the input image
+     * @param {SpeedyTexture} image
+     * @param {number} width width of the output image
+     * @param {number} height height of the output image
+     * @param {number[]} origin input pixel mapped to the output pixel (0,0)
+     * @param {number[]} xAxis input offset of a unit step in the x-axis of the output
+     * @param {number[]} yAxis input offset of a unit step in the y-axis of the output
+     * @returns {SpeedyTexture} texture of size width x height
+     */
+    _remapAxes(image, width, height, origin, xAxis, yAxis)
+    {
+        this._reorient.resize(width, height);
+        return this._reorient(image, origin, xAxis, yAxis);
+    }
+}
@@ -52,6 +52,18 @@ const copyComponents = importShader('utils/copy-components.glsl').withArguments(
 // Scan the entire image and find the minimum & maximum pixel intensity
 const scanMinMax2D = importShader('utils/scan-minmax2d.glsl').withArguments('image', 'iterationNumber');
 
+// Compute the histogram of the pixel intensities of each row of the image
+const histogramScan = importShader('utils/histogram-scan.glsl').withArguments('image', 'channel');
+
+// Sum up the rows of a histogram scan
+const histogramReduce = importShader('utils/histogram-reduce.glsl').withArguments('histogram', 'iterationNumber');
+
+// Copy the first row of a histogram, so that we can read it
+const histogramOutput = importShader('transforms/crop.glsl').withArguments('image', 'offset');
+
+// Number of bins of a histogram
+const HISTOGRAM_BINS = 256;
+
 
 
 /**
@@ -104,6 +116,15 @@ export class GPUUtils extends SpeedyProgramGroup
             .declare('_scanMinMax2D', scanMinMax2D, {
                 ...this.program.usesPingpongRendering()
             })
+
+            // compute the histogram of the pixel intensities
+            .declare('_histogramScan', histogramScan)
+            .declare('_histogramReduce', histogramReduce, {
+                ...this.program.usesPingpongRendering()
+            })
+            .declare('_histogramOutput', histogramOutput, {
+                ...this.program.hasTextureSize(HISTOGRAM_BINS, 1)
+            })
         ;
     }
 
@@ -133,6 +154,54 @@ export class GPUUtils extends SpeedyProgramGroup
         return this.copyComponents(image, minmax2d, pixelComponent, PixelComponent.GREEN);
     }
 
+    /**
+     * Compute the histogram of the pixel intensities of an image
+     * @param {SpeedyTexture} image greyscale image (or any image, if you specify a pixelComponent)
+     * @param {number} [pixelComponent] a single PixelComponent flag: the component of the pixels we count
+     * @returns {SpeedyTexture} texture of size 256 x image.height whose first row
+     *                          stores the histogram (bins are encoded as 32-bit
+     *                          unsigned integers in RGBA, little-endian)
+     */
+    histogram(image, pixelComponent = PixelComponent.GREEN)
+    {
+        const height = image.height;
+        const numIterations = Math.ceil(Math.log2(height)) | 0;
+
+        if(!ColorComponentId.hasOwnProperty(pixelComponent))
+            throw new IllegalArgumentError(`Invalid pixel component for the histogram: ${pixelComponent}`);
+
+        this._histogramScan.resize(HISTOGRAM_BINS, height);
+        this._histogramReduce.resize(HISTOGRAM_BINS, height);
+
+        let texture = this._histogramScan(image, ColorComponentId[pixelComponent]);
+        for(let i = 0; i < numIterations; i++)
+            texture = this._histogramReduce(texture, i);
+
+        return texture;
+    }
+
+    /**
+     * Compute the histogram of the pixel intensities of an image
+     * and download it from the GPU
+     * @param {SpeedyTexture} image greyscale image (or any image, if you specify a pixelComponent)
+     * @param {number} [pixelComponent] a single PixelComponent flag: the component of the pixels we count
+     * @returns {Promise<Uint32Array>} resolves to the 256 bins of the histogram
+     */
+    readHistogram(image, pixelComponent = PixelComponent.GREEN)
+    {
+        const histogram = this.histogram(image, pixelComponent);
+        this._histogramOutput(histogram, [ 0, 0 ]);
+
+        return this._histogramOutput.readPixelsAsync(0, 0, HISTOGRAM_BINS, 1, false).then(pixels => {
+            const bins = new Uint32Array(HISTOGRAM_BINS);
+
+            for(let i = 0; i < HISTOGRAM_BINS; i++) // little-endian
+                bins[i] = (pixels[4*i] | (pixels[4*i+1] << 8) | (pixels[4*i+2] << 16) | (pixels[4*i+3] << 24)) >>> 0;
+
+            return bins;
+        });
+    }
+
     /**
      * Copy color component
      * @param {SpeedyTexture} dest
@@ -0,0 +1,72 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * arithmetic.glsl
+ * Pixel-wise arithmetic & bitwise operations between two images
+ */
+
+uniform sampler2D image;
+uniform sampler2D operand; // an image of the same size
+
+// operations
+#define OPERATION_ABSDIFF 0
+#define OPERATION_ADD 1
+#define OPERATION_SUBTRACT 2
+#define OPERATION_MULTIPLY 3
+#define OPERATION_AND 4
+#define OPERATION_OR 5
+#define OPERATION_XOR 6
+
+#ifndef OPERATION
+#error Undefined OPERATION
+#endif
+
+//
+// The operations are applied to the RGB components
+// (the alpha channel of the image is kept). Results
+// are saturated to [0,255]
+//
+void main()
+{
+    vec4 pixel = threadPixel(image);
+    vec3 a = pixel.rgb;
+    vec3 b = threadPixel(operand).rgb;
+
+#if OPERATION == OPERATION_ABSDIFF
+    vec3 result = abs(a - b);
+#elif OPERATION == OPERATION_ADD
+    vec3 result = a + b;
+#elif OPERATION == OPERATION_SUBTRACT
+    vec3 result = a - b;
+#elif OPERATION == OPERATION_MULTIPLY
+    vec3 result = a * b;
+#else
+    uvec3 ua = uvec3(round(a * 255.0f));
+    uvec3 ub = uvec3(round(b * 255.0f));
+#if OPERATION == OPERATION_AND
+    vec3 result = vec3(ua & ub) / 255.0f;
+#elif OPERATION == OPERATION_OR
+    vec3 result = vec3(ua | ub) / 255.0f;
+#elif OPERATION == OPERATION_XOR
+    vec3 result = vec3(ua ^ ub) / 255.0f;
+#else
+#error Invalid OPERATION
+#endif
+#endif
+
+    color = vec4(clamp(result, 0.0f, 1.0f), pixel.a);
+}
@@ -0,0 +1,31 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * blend.glsl
+ * Alpha blending of two images
+ */
+
+uniform sampler2D image;
+uniform sampler2D operand; // an image of the same size
+uniform float alpha; // weight of the operand, in [0,1]
+
+void main()
+{
+    vec4 pixel = threadPixel(image);
+
+    color = mix(pixel, threadPixel(operand), alpha);
+}
@@ -0,0 +1,37 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * median-approx.glsl
+ * Update a background model using an approximate median
+ * (the background moves towards each frame by a fixed step)
+ */
+
+@include "background.glsl"
+
+uniform sampler2D image; // greyscale image
+uniform sampler2D model; // background model: RGBA(background, unused, unused)
+uniform float stepSize; // in (0,1]
+
+void main()
+{
+    highp float x = threadPixel(image).g;
+    highp float background = decodeUnorm16(threadPixel(model).rg);
+
+    background += clamp(x - background, -stepSize, stepSize);
+
+    color = vec4(encodeUnorm16(background), 0.0f, 1.0f);
+}
@@ -0,0 +1,40 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * mog-foreground.glsl
+ * Find the foreground using a background model based on a mixture of Gaussians
+ */
+
+@include "background.glsl"
+
+uniform sampler2D image; // greyscale image
+uniform sampler2D model0; // first texture of the model
+uniform sampler2D model1; // second texture of the model
+uniform float threshold; // maximum distance to the mean, in standard deviations
+
+//
+// Output format: binary image
+// the foreground is white and the background is black
+//
+void main()
+{
+    highp float x = threadPixel(image).g;
+    MixtureOfGaussians mog = decodeMOG(threadPixel(model0), threadPixel(model1));
+    float foreground = float(!isBackgroundMOG(mog, x, threshold));
+
+    color = vec4(foreground, foreground, foreground, 1.0f);
+}
@@ -0,0 +1,53 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * mog-update.glsl
+ * Update a background model based on a mixture of Gaussians
+ */
+
+@include "background.glsl"
+
+uniform sampler2D image; // greyscale image
+uniform sampler2D model0; // first texture of the model
+uniform sampler2D model1; // second texture of the model
+uniform float threshold; // maximum distance to the mean, in standard deviations
+uniform float learningRate; // in (0,1]
+
+//
+// Since we can't write to two textures at once,
+// MOG_OUTPUT selects which texture of the model
+// we output: 0 or 1
+//
+#ifndef MOG_OUTPUT
+#error Undefined MOG_OUTPUT
+#endif
+
+void main()
+{
+    highp float x = threadPixel(image).g;
+    MixtureOfGaussians mog = decodeMOG(threadPixel(model0), threadPixel(model1));
+
+    mog = updateMOG(mog, x, threshold, learningRate);
+
+#if MOG_OUTPUT == 0
+    color = encodeMOG0(mog);
+#elif MOG_OUTPUT == 1
+    color = encodeMOG1(mog);
+#else
+#error Invalid MOG_OUTPUT
+#endif
+}
@@ -0,0 +1,34 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * convert-color.glsl
+ * Convert image to a different color space
+ */
+
+@include "colors.glsl"
+
+uniform sampler2D image;
+
+// CONVERT_COLOR must be defined as one of the color conversion functions
+// of colors.glsl, e.g., rgb2hsv
+
+void main()
+{
+    vec4 pixel = threadPixel(image);
+
+    color = vec4(CONVERT_COLOR(pixel.rgb), pixel.a);
+}
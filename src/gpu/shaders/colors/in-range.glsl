@@ -0,0 +1,37 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * in-range.glsl
+ * Check if the pixels of an image lie within a color range
+ */
+
+uniform sampler2D image;
+uniform vec3 lower; // lower bound of the range, in [0,1]
+uniform vec3 upper; // upper bound of the range, in [0,1]
+uniform bool wrapAround; // if true, the range of the first component (e.g., a hue) is [lower.x, 1] U [0, upper.x]
+
+void main()
+{
+    vec3 pixel = threadPixel(image).rgb;
+    bvec3 inside = bvec3(
+        wrapAround ? (pixel.x >= lower.x || pixel.x <= upper.x) : (pixel.x >= lower.x && pixel.x <= upper.x),
+        pixel.y >= lower.y && pixel.y <= upper.y,
+        pixel.z >= lower.z && pixel.z <= upper.z
+    );
+
+    color = vec4(vec3(float(all(inside))), 1.0f);
+}
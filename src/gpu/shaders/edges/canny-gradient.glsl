@@ -0,0 +1,57 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * canny-gradient.glsl
+ * Canny edge detector: compute the gradient of the image
+ */
+
+@include "edges.glsl"
+
+uniform sampler2D image; // greyscale image
+
+// tan(22.5 degrees)
+const float TAN_22_5 = 0.41421356f;
+
+void main()
+{
+    // read neighboring pixels
+    float p00 = pixelAtShortOffset(image, ivec2(-1, -1)).g;
+    float p10 = pixelAtShortOffset(image, ivec2(0, -1)).g;
+    float p20 = pixelAtShortOffset(image, ivec2(1, -1)).g;
+    float p01 = pixelAtShortOffset(image, ivec2(-1, 0)).g;
+    float p21 = pixelAtShortOffset(image, ivec2(1, 0)).g;
+    float p02 = pixelAtShortOffset(image, ivec2(-1, 1)).g;
+    float p12 = pixelAtShortOffset(image, ivec2(0, 1)).g;
+    float p22 = pixelAtShortOffset(image, ivec2(1, 1)).g;
+
+    // Sobel derivatives (the y-axis points down)
+    vec2 df = vec2(
+        (p20 + 2.0f * p21 + p22) - (p00 + 2.0f * p01 + p02),
+        (p02 + 2.0f * p12 + p22) - (p00 + 2.0f * p10 + p20)
+    );
+
+    // quantize the direction of the gradient
+    vec2 adf = abs(df);
+    int direction = (
+        (adf.y <= TAN_22_5 * adf.x) ? GRADIENT_0DEG :
+        (adf.x <= TAN_22_5 * adf.y) ? GRADIENT_90DEG :
+        (df.x * df.y > 0.0f) ? GRADIENT_45DEG : GRADIENT_135DEG
+    );
+
+    // done! the magnitude is given in the units of a [0,255] image
+    color = encodeGradient(255.0f * length(df), direction);
+}
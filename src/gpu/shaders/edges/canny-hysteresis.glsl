@@ -0,0 +1,55 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * canny-hysteresis.glsl
+ * Canny edge detector: edge tracking by hysteresis
+ */
+
+uniform sampler2D edges; // output of canny-suppression.glsl or of a previous pass
+
+//
+// A weak edge becomes a strong edge if it's connected
+// to a strong edge. Each pass propagates strong edges
+// by one pixel
+//
+// Input & output format:
+// 1 = strong edge, 0.5 = weak edge, 0 = no edge
+//
+void main()
+{
+    float edge = threadPixel(edges).g;
+
+    // only weak edges change
+    color = vec4(vec3(edge), 1.0f);
+    if(edge < 0.25f || edge > 0.75f)
+        return;
+
+    // is there a strong edge in the 8-neighborhood?
+    float strongest = max(
+        max(
+            max(pixelAtShortOffset(edges, ivec2(-1, -1)).g, pixelAtShortOffset(edges, ivec2(0, -1)).g),
+            max(pixelAtShortOffset(edges, ivec2(1, -1)).g, pixelAtShortOffset(edges, ivec2(-1, 0)).g)
+        ),
+        max(
+            max(pixelAtShortOffset(edges, ivec2(1, 0)).g, pixelAtShortOffset(edges, ivec2(-1, 1)).g),
+            max(pixelAtShortOffset(edges, ivec2(0, 1)).g, pixelAtShortOffset(edges, ivec2(1, 1)).g)
+        )
+    );
+
+    if(strongest > 0.75f)
+        color = vec4(1.0f);
+}
@@ -0,0 +1,61 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * canny-suppression.glsl
+ * Canny edge detector: non-maximum suppression & double thresholding
+ */
+
+@include "edges.glsl"
+@include "interpolation.glsl"
+
+uniform sampler2D gradient; // output of canny-gradient.glsl
+uniform highp float lowThreshold; // in the units of a [0,255] image
+uniform highp float highThreshold; // in the units of a [0,255] image
+
+//
+// Output format:
+// 1 = strong edge, 0.5 = weak edge, 0 = no edge
+//
+void main()
+{
+    ivec2 thread = threadLocation();
+    vec4 pixel = threadPixel(gradient);
+    highp float magnitude = decodeGradientMagnitude(pixel);
+    int direction = decodeGradientDirection(pixel);
+
+    // find the neighbors along the direction of the gradient
+    ivec2 offset = (
+        (direction == GRADIENT_0DEG) ? ivec2(1, 0) :
+        (direction == GRADIENT_45DEG) ? ivec2(1, 1) :
+        (direction == GRADIENT_90DEG) ? ivec2(0, 1) :
+        ivec2(1, -1)
+    );
+    highp float m1 = decodeGradientMagnitude(pixelAtClamped(gradient, thread + offset));
+    highp float m2 = decodeGradientMagnitude(pixelAtClamped(gradient, thread - offset));
+
+    // non-maximum suppression
+    bool isMaximum = (magnitude > m1 && magnitude >= m2);
+
+    // double thresholding
+    float edge = float(isMaximum) * (
+        (magnitude >= highThreshold) ? 1.0f :
+        (magnitude >= lowThreshold) ? 0.5f :
+        0.0f
+    );
+
+    color = vec4(vec3(edge), 1.0f);
+}
@@ -0,0 +1,69 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * gradient.glsl
+ * Magnitude or orientation of the gradient of an image
+ */
+
+@include "fixed-point.glsl"
+
+uniform sampler2D image; // greyscale image
+
+//
+// Output format:
+// RG: the magnitude, in the units of a [0,255] image, or the orientation,
+//     in degrees, in [0,360), stored as a signed fixed-point number
+//     (see encodeFixed16() in fixed-point.glsl)
+// B: 0
+// A: 1
+//
+// GRADIENT_OUTPUT must be defined as either:
+// 0 (magnitude) or 1 (orientation)
+//
+#ifndef GRADIENT_OUTPUT
+#error Undefined GRADIENT_OUTPUT
+#endif
+
+void main()
+{
+    // read neighboring pixels
+    float p00 = pixelAtShortOffset(image, ivec2(-1, -1)).g;
+    float p10 = pixelAtShortOffset(image, ivec2(0, -1)).g;
+    float p20 = pixelAtShortOffset(image, ivec2(1, -1)).g;
+    float p01 = pixelAtShortOffset(image, ivec2(-1, 0)).g;
+    float p21 = pixelAtShortOffset(image, ivec2(1, 0)).g;
+    float p02 = pixelAtShortOffset(image, ivec2(-1, 1)).g;
+    float p12 = pixelAtShortOffset(image, ivec2(0, 1)).g;
+    float p22 = pixelAtShortOffset(image, ivec2(1, 1)).g;
+
+    // normalized 3x3 Sobel derivatives (the y-axis points down)
+    highp vec2 df = vec2(
+        (p20 + 2.0f * p21 + p22) - (p00 + 2.0f * p01 + p02),
+        (p02 + 2.0f * p12 + p22) - (p00 + 2.0f * p10 + p20)
+    ) / 8.0f;
+
+#if GRADIENT_OUTPUT == 0
+    highp float value = 255.0f * length(df);
+    fixed_t f = fixed_t(round(value * FIX_RESOLUTION));
+#else
+    highp float value = any(notEqual(df, vec2(0.0f))) ? degrees(atan(df.y, df.x)) : 0.0f;
+    value += float(value < 0.0f) * 360.0f;
+    fixed_t f = fixed_t(round(value * FIX_RESOLUTION)) % itofix(360);
+#endif
+
+    color = vec4(encodeFixed16(f), 0.0f, 1.0f);
+}
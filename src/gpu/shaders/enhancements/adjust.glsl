@@ -0,0 +1,47 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * adjust.glsl
+ * Brightness, contrast, gamma & saturation adjustments
+ */
+
+@include "colors.glsl"
+
+uniform sampler2D image;
+uniform float brightness; // added to the intensities, in [-1,1] (default: 0)
+uniform float contrast; // non-negative; scales the intensities around mid-grey (default: 1)
+uniform float gamma; // positive; exponent of the intensities (default: 1)
+uniform float saturation; // non-negative; 0 is greyscale (default: 1)
+
+void main()
+{
+    vec4 pixel = threadPixel(image);
+    vec3 rgb = pixel.rgb;
+
+    // saturation (greyscale images are not affected)
+    float luma = rgb2ycbcr(rgb).x;
+    rgb = mix(vec3(luma), rgb, saturation);
+
+    // contrast & brightness
+    rgb = (rgb - vec3(0.5f)) * contrast + vec3(0.5f + brightness);
+    rgb = clamp(rgb, 0.0f, 1.0f);
+
+    // gamma
+    rgb = pow(rgb, vec3(gamma));
+
+    color = vec4(rgb, pixel.a);
+}
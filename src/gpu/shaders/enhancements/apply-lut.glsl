@@ -0,0 +1,69 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * apply-lut.glsl
+ * Map the pixel intensities of an image using lookup tables
+ */
+
+@include "colors.glsl"
+@include "histogram.glsl"
+
+uniform sampler2D image;
+uniform sampler2D lut; // texture of size HISTOGRAM_BINS x (tiles * tiles): one lookup table per row
+uniform int tiles; // the image is divided into (tiles x tiles) tiles. Use 1 for a global lookup table
+
+//
+// If GREYSCALE is non-zero, map the intensities of a greyscale image
+// Otherwise, map the luma of a RGB image (keep the chroma)
+//
+#ifndef GREYSCALE
+#error Undefined GREYSCALE
+#endif
+
+void main()
+{
+    vec4 pixel = threadPixel(image);
+
+#if GREYSCALE
+    float intensity = pixel.g;
+#else
+    vec3 ycbcr = rgb2ycbcr(pixel.rgb);
+    float intensity = ycbcr.x;
+#endif
+
+    // find the 4 tiles whose centers are the nearest
+    int bin = histogramBin(intensity);
+    vec2 tileSize = vec2(textureSize(image, 0)) / float(tiles);
+    vec2 pos = (vec2(threadLocation()) + vec2(0.5f)) / tileSize - vec2(0.5f);
+    vec2 frac = fract(pos);
+    ivec2 lo = clamp(ivec2(floor(pos)), ivec2(0), ivec2(tiles - 1));
+    ivec2 hi = clamp(ivec2(floor(pos)) + ivec2(1), ivec2(0), ivec2(tiles - 1));
+
+    // bilinear interpolation of the mapped intensities
+    float a = pixelAt(lut, ivec2(bin, lo.y * tiles + lo.x)).r;
+    float b = pixelAt(lut, ivec2(bin, lo.y * tiles + hi.x)).r;
+    float c = pixelAt(lut, ivec2(bin, hi.y * tiles + lo.x)).r;
+    float d = pixelAt(lut, ivec2(bin, hi.y * tiles + hi.x)).r;
+    float value = mix(mix(a, b, frac.x), mix(c, d, frac.x), frac.y);
+
+#if GREYSCALE
+    color = vec4(value, value, value, pixel.a);
+#else
+    ycbcr.x = value;
+    color = vec4(ycbcr2rgb(ycbcr), pixel.a);
+#endif
+}
@@ -0,0 +1,51 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * clahe-histograms.glsl
+ * Compute the histograms of the tiles of an image
+ */
+
+@include "histogram.glsl"
+
+uniform sampler2D image; // greyscale image
+uniform int tiles; // the image is divided into (tiles x tiles) tiles
+
+//
+// Output format: (texture of size HISTOGRAM_BINS x (tiles * tiles))
+// output_b_t = number of pixels of tile t whose intensity is b
+//
+// Tiles are numbered in row-major order. The counts
+// are encoded as described in histogram.glsl
+//
+void main()
+{
+    ivec2 thread = threadLocation();
+    ivec2 size = textureSize(image, 0);
+    ivec2 tile = ivec2(thread.y % tiles, thread.y / tiles);
+    ivec2 start = (tile * size) / tiles;
+    ivec2 end = ((tile + ivec2(1)) * size) / tiles;
+    uint count = 0u;
+
+    for(int y = start.y; y < end.y; y++) {
+        for(int x = start.x; x < end.x; x++) {
+            float pixel = pixelAt(image, ivec2(x, y)).g;
+            count += uint(histogramBin(pixel) == thread.x);
+        }
+    }
+
+    color = encodeHistogramBin(count);
+}
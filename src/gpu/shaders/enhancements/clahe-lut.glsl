@@ -0,0 +1,60 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * clahe-lut.glsl
+ * Compute the lookup tables of the tiles of an image
+ * (Contrast Limited Adaptive Histogram Equalization)
+ */
+
+@include "histogram.glsl"
+
+uniform sampler2D histograms; // output of clahe-histograms.glsl
+uniform float clipLimit; // the bins are clipped at clipLimit times the average count
+
+//
+// Output format: (texture of size HISTOGRAM_BINS x (tiles * tiles))
+// output_b_t = equalized intensity of bin b in tile t, in [0,1],
+//              stored in the RGB components
+//
+// The counts that exceed the clip limit are
+// redistributed uniformly among all bins
+//
+void main()
+{
+    ivec2 thread = threadLocation();
+    highp float total = 0.0f, cdf = 0.0f, excess = 0.0f;
+
+    // count the pixels of the tile
+    for(int b = 0; b < HISTOGRAM_BINS; b++)
+        total += float(decodeHistogramBin(pixelAt(histograms, ivec2(b, thread.y))));
+
+    // clip the histogram & compute the cumulative distribution function
+    highp float clip = max(1.0f, clipLimit * total / float(HISTOGRAM_BINS));
+    for(int b = 0; b < HISTOGRAM_BINS; b++) {
+        highp float count = float(decodeHistogramBin(pixelAt(histograms, ivec2(b, thread.y))));
+        highp float clipped = min(count, clip);
+        excess += count - clipped;
+        cdf += (b <= thread.x) ? clipped : 0.0f;
+    }
+
+    // redistribute the excess
+    cdf += excess * float(thread.x + 1) / float(HISTOGRAM_BINS);
+
+    // equalize (keep the intensities of empty tiles)
+    highp float value = (total > 0.0f) ? cdf / total : float(thread.x) / 255.0f;
+    color = vec4(value, value, value, 1.0f);
+}
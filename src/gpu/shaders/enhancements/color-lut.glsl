@@ -0,0 +1,50 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * color-lut.glsl
+ * Map the pixel intensities of each channel using a lookup table
+ */
+
+uniform sampler2D image;
+uniform sampler2D lut; // texture of size 256 x 1: the lookup tables of the R, G, B & A channels
+
+//
+// If GREYSCALE is non-zero, map the intensities of a greyscale
+// image using the lookup table of the green channel
+//
+#ifndef GREYSCALE
+#error Undefined GREYSCALE
+#endif
+
+void main()
+{
+    vec4 pixel = threadPixel(image);
+    ivec4 entry = ivec4(round(pixel * 255.0f));
+
+#if GREYSCALE
+    float g = pixelAt(lut, ivec2(entry.g, 0)).g;
+    float a = pixelAt(lut, ivec2(entry.a, 0)).a;
+    color = vec4(g, g, g, a);
+#else
+    color = vec4(
+        pixelAt(lut, ivec2(entry.r, 0)).r,
+        pixelAt(lut, ivec2(entry.g, 0)).g,
+        pixelAt(lut, ivec2(entry.b, 0)).b,
+        pixelAt(lut, ivec2(entry.a, 0)).a
+    );
+#endif
+}
@@ -0,0 +1,49 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * histogram-equalization.glsl
+ * Compute the lookup table of a histogram equalization
+ */
+
+@include "histogram.glsl"
+
+uniform sampler2D histogram; // its first row stores the bins (see GPUUtils.histogram)
+
+//
+// Output format: (texture of size HISTOGRAM_BINS x 1)
+// output_b = equalized intensity of bin b, in [0,1], stored in the RGB components
+//
+void main()
+{
+    int bin = threadLocation().x;
+    highp uint total = 0u, cdf = 0u, cdfMin = 0u;
+
+    // compute the cumulative distribution function
+    for(int b = 0; b < HISTOGRAM_BINS; b++) {
+        uint count = decodeHistogramBin(pixelAt(histogram, ivec2(b, 0)));
+        total += count;
+        cdf += (b <= bin) ? count : 0u;
+        cdfMin = (cdfMin == 0u) ? total : cdfMin; // cdf of the first non-empty bin
+    }
+
+    // equalize (keep the intensities if the image has a single color)
+    highp float value = (total > cdfMin) ?
+        float(cdf - min(cdf, cdfMin)) / float(total - cdfMin) :
+        float(bin) / 255.0f;
+
+    color = vec4(value, value, value, 1.0f);
+}
@@ -0,0 +1,71 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * bilateral.glsl
+ * Bilateral filter: edge-preserving smoothing
+ */
+
+uniform sampler2D image;
+uniform int radius; // the filter fits in a (2 * radius + 1) x (2 * radius + 1) window
+uniform float sigmaColor; // standard deviation in the color space, in [0,255] units
+uniform float sigmaSpace; // standard deviation in the coordinate space, in pixels
+
+//
+// If GREYSCALE is non-zero, compare intensities (green channel)
+// Otherwise, compare colors in the RGB space
+//
+#ifndef GREYSCALE
+#error Undefined GREYSCALE
+#endif
+
+void main()
+{
+    ivec2 thread = threadLocation();
+    ivec2 last = textureSize(image, 0) - ivec2(1);
+    vec4 center = threadPixel(image);
+
+    // weights are computed in [0,255] units (use highp to avoid overflow)
+    highp float colorFactor = -(255.0f * 255.0f) / (2.0f * sigmaColor * sigmaColor);
+    highp float spaceFactor = -1.0f / (2.0f * sigmaSpace * sigmaSpace);
+    int radiusSquared = radius * radius + radius; // circular window
+    highp vec3 sum = vec3(0.0f);
+    highp float totalWeight = 0.0f;
+
+    for(int dy = -radius; dy <= radius; dy++) {
+        for(int dx = -radius; dx <= radius; dx++) {
+            int distanceSquared = dx * dx + dy * dy;
+            if(distanceSquared > radiusSquared)
+                continue;
+
+            vec3 pixel = pixelAt(image, clamp(thread + ivec2(dx, dy), ivec2(0), last)).rgb;
+#if GREYSCALE
+            float diff = pixel.g - center.g;
+            highp float colorDistanceSquared = diff * diff;
+#else
+            vec3 diff = pixel - center.rgb;
+            highp float colorDistanceSquared = dot(diff, diff);
+#endif
+            highp float weight = exp(float(distanceSquared) * spaceFactor + colorDistanceSquared * colorFactor);
+
+            sum += weight * pixel;
+            totalWeight += weight;
+        }
+    }
+
+    // totalWeight >= 1, as the center pixel has weight 1
+    color = vec4(sum / totalWeight, center.a);
+}
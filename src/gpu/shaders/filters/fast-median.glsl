@@ -16,12 +16,24 @@
  * limitations under the License.
  *
  * fast-median.glsl
- * Fast median filters for fixed-size windows (greyscale images)
+ * Fast median filters for fixed-size windows
  */
 
 // input image
 uniform sampler2D image;
 
+// greyscale images store a single intensity per pixel;
+// otherwise, each RGB channel is filtered independently
+#if GREYSCALE
+#define pixel_t float
+#define readPixel(offset) pixelAtShortOffset(image, (offset)).g
+#define medianColor(m) vec4((m), (m), (m), 1.0f)
+#else
+#define pixel_t vec3
+#define readPixel(offset) pixelAtShortOffset(image, (offset)).rgb
+#define medianColor(m) vec4((m), 1.0f)
+#endif
+
 // sorting macro: given indices i,j, set p[i],p[j] such that p[i] <= p[j]
 #define SORT(i, j) t = p[i] + p[j]; p[i] = min(p[i], p[j]); p[j] = t - p[i];
 //#define SORT(i, j) v = vec2(min(p[i], p[j]), max(p[i], p[j])); p[i] = v.x; p[j] = v.y;
@@ -30,23 +42,23 @@ uniform sampler2D image;
 // (based on Nicolas Devillard's optimized sorting networks code)
 void main()
 {
-    float median, t;
+    pixel_t median, t;
 
 #if WINDOW_SIZE == 3
 
     // 3x3 window
-    float p[9];
+    pixel_t p[9];
 
     // read pixels
-    p[0] = pixelAtShortOffset(image, ivec2(-1,-1)).g;
-    p[1] = pixelAtShortOffset(image, ivec2(0,-1)).g;
-    p[2] = pixelAtShortOffset(image, ivec2(1,-1)).g;
-    p[3] = pixelAtShortOffset(image, ivec2(-1,0)).g;
-    p[4] = pixelAtShortOffset(image, ivec2(0,0)).g;
-    p[5] = pixelAtShortOffset(image, ivec2(1,0)).g;
-    p[6] = pixelAtShortOffset(image, ivec2(-1,1)).g;
-    p[7] = pixelAtShortOffset(image, ivec2(0,1)).g;
-    p[8] = pixelAtShortOffset(image, ivec2(1,1)).g;
+    p[0] = readPixel(ivec2(-1,-1));
+    p[1] = readPixel(ivec2(0,-1));
+    p[2] = readPixel(ivec2(1,-1));
+    p[3] = readPixel(ivec2(-1,0));
+    p[4] = readPixel(ivec2(0,0));
+    p[5] = readPixel(ivec2(1,0));
+    p[6] = readPixel(ivec2(-1,1));
+    p[7] = readPixel(ivec2(0,1));
+    p[8] = readPixel(ivec2(1,1));
 
     // sorting network
     SORT(1,2);
@@ -75,34 +87,34 @@ void main()
 #elif WINDOW_SIZE == 5
 
     // 5x5 window
-    float p[25];
+    pixel_t p[25];
 
     // read pixels
-    p[0] = pixelAtShortOffset(image, ivec2(-2,-2)).g;
-    p[1] = pixelAtShortOffset(image, ivec2(-1,-2)).g;
-    p[2] = pixelAtShortOffset(image, ivec2(0,-2)).g;
-    p[3] = pixelAtShortOffset(image, ivec2(1,-2)).g;
-    p[4] = pixelAtShortOffset(image, ivec2(2,-2)).g;
-    p[5] = pixelAtShortOffset(image, ivec2(-2,-1)).g;
-    p[6] = pixelAtShortOffset(image, ivec2(-1,-1)).g;
-    p[7] = pixelAtShortOffset(image, ivec2(0,-1)).g;
-    p[8] = pixelAtShortOffset(image, ivec2(1,-1)).g;
-    p[9] = pixelAtShortOffset(image, ivec2(2,-1)).g;
-    p[10] = pixelAtShortOffset(image, ivec2(-2,0)).g;
-    p[11] = pixelAtShortOffset(image, ivec2(-1,0)).g;
-    p[12] = pixelAtShortOffset(image, ivec2(0,0)).g;
-    p[13] = pixelAtShortOffset(image, ivec2(1,0)).g;
-    p[14] = pixelAtShortOffset(image, ivec2(2,0)).g;
-    p[15] = pixelAtShortOffset(image, ivec2(-2,1)).g;
-    p[16] = pixelAtShortOffset(image, ivec2(-1,1)).g;
-    p[17] = pixelAtShortOffset(image, ivec2(0,1)).g;
-    p[18] = pixelAtShortOffset(image, ivec2(1,1)).g;
-    p[19] = pixelAtShortOffset(image, ivec2(2,1)).g;
-    p[20] = pixelAtShortOffset(image, ivec2(-2,2)).g;
-    p[21] = pixelAtShortOffset(image, ivec2(-1,2)).g;
-    p[22] = pixelAtShortOffset(image, ivec2(0,2)).g;
-    p[23] = pixelAtShortOffset(image, ivec2(1,2)).g;
-    p[24] = pixelAtShortOffset(image, ivec2(2,2)).g;
+    p[0] = readPixel(ivec2(-2,-2));
+    p[1] = readPixel(ivec2(-1,-2));
+    p[2] = readPixel(ivec2(0,-2));
+    p[3] = readPixel(ivec2(1,-2));
+    p[4] = readPixel(ivec2(2,-2));
+    p[5] = readPixel(ivec2(-2,-1));
+    p[6] = readPixel(ivec2(-1,-1));
+    p[7] = readPixel(ivec2(0,-1));
+    p[8] = readPixel(ivec2(1,-1));
+    p[9] = readPixel(ivec2(2,-1));
+    p[10] = readPixel(ivec2(-2,0));
+    p[11] = readPixel(ivec2(-1,0));
+    p[12] = readPixel(ivec2(0,0));
+    p[13] = readPixel(ivec2(1,0));
+    p[14] = readPixel(ivec2(2,0));
+    p[15] = readPixel(ivec2(-2,1));
+    p[16] = readPixel(ivec2(-1,1));
+    p[17] = readPixel(ivec2(0,1));
+    p[18] = readPixel(ivec2(1,1));
+    p[19] = readPixel(ivec2(2,1));
+    p[20] = readPixel(ivec2(-2,2));
+    p[21] = readPixel(ivec2(-1,2));
+    p[22] = readPixel(ivec2(0,2));
+    p[23] = readPixel(ivec2(1,2));
+    p[24] = readPixel(ivec2(2,2));
 
     // sorting network
     SORT(0,1);
@@ -215,5 +227,5 @@ void main()
 #endif
 
     // output
-    color = vec4(median, median, median, 1.0f);
+    color = medianColor(median);
 }
\ No newline at end of file
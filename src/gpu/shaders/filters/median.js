@@ -26,10 +26,10 @@ import { IllegalArgumentError } from '../../../utils/errors';
 /**
  * Generate a median filter with a
  * (windowSize x windowSize) window
- * (for greyscale images only)
  * @param {number} windowSize 3, 5, 7, ...
+ * @param {boolean} [greyscale] filter greyscale images? If false, filter each RGB channel independently
  */
-export function median(windowSize)
+export function median(windowSize, greyscale = true)
 {
     // validate argument
     windowSize |= 0;
@@ -49,7 +49,7 @@ export function median(windowSize)
         (pair, idx) => fn(idx, pair[0], pair[1])
     ).join('\n');
     const readPixel = (k, j, i) => `
-        v[${k}] = ${pixelAtOffset}(image, ivec2(${i}, ${j})).g;
+        v[${k}] = ${pixelAtOffset}(image, ivec2(${i}, ${j}))[c];
     `;
 
     // selection sort: unrolled & branchless
@@ -73,16 +73,23 @@ export function median(windowSize)
     void main()
     {
         float v[${n}], swpv;
+        vec3 result;
         int m;
 
-        // read pixels
-        ${foreachWindowElement(readPixel)}
+        // for each channel
+        for(int c = ${greyscale ? 1 : 0}; c < ${greyscale ? 2 : 3}; c++) {
+            // read pixels
+            ${foreachWindowElement(readPixel)}
 
-        // sort v[0..med]
-        ${foreachVectorElement(selectMinimum)}
+            // sort v[0..med]
+            ${foreachVectorElement(selectMinimum)}
+
+            // store the median
+            result[c] = v[${med}];
+        }
 
         // return the median
-        color = vec4(v[${med}], v[${med}], v[${med}], 1.0f);
+        color = ${greyscale ? `vec4(result.ggg, 1.0f)` : `vec4(result, 1.0f)`};
     }
     `;
 
@@ -0,0 +1,66 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * otsu.glsl
+ * Find a global threshold with Otsu's method
+ */
+
+@include "histogram.glsl"
+
+uniform sampler2D histogram; // output of histogram-reduce.glsl
+
+//
+// Output format: (texture of size 1x1)
+// the threshold, in [0,1]
+//
+// Otsu's method picks the threshold that maximizes
+// the between-class variance of the pixel intensities
+//
+void main()
+{
+    highp float total = 0.0f, sum = 0.0f;
+
+    // count the pixels and sum up their intensities
+    for(int b = 0; b < HISTOGRAM_BINS; b++) {
+        highp float count = float(decodeHistogramBin(pixelAt(histogram, ivec2(b, 0))));
+        total += count;
+        sum += float(b) * count;
+    }
+
+    // maximize the between-class variance
+    highp float weightB = 0.0f, sumB = 0.0f, bestVariance = -1.0f;
+    int threshold = 0;
+    for(int t = 0; t < HISTOGRAM_BINS; t++) {
+        highp float count = float(decodeHistogramBin(pixelAt(histogram, ivec2(t, 0))));
+        weightB += count;
+        sumB += float(t) * count;
+
+        highp float weightF = total - weightB;
+        if(weightB == 0.0f || weightF == 0.0f)
+            continue;
+
+        highp float meanB = sumB / weightB;
+        highp float meanF = (sum - sumB) / weightF;
+        highp float variance = weightB * weightF * (meanB - meanF) * (meanB - meanF);
+        if(variance > bestVariance) {
+            bestVariance = variance;
+            threshold = t;
+        }
+    }
+
+    color = vec4(float(threshold) / 255.0f);
+}
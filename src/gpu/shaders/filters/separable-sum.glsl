@@ -0,0 +1,54 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * separable-sum.glsl
+ * Sum of two convolutions with separable kernels
+ */
+
+@include "fixed-point.glsl"
+
+uniform sampler2D image; // greyscale image
+uniform float kernelAX[KERNEL_SIZE]; // first convolution: horizontal kernel
+uniform float kernelAY[KERNEL_SIZE]; // first convolution: vertical kernel
+uniform float kernelBX[KERNEL_SIZE]; // second convolution: horizontal kernel
+uniform float kernelBY[KERNEL_SIZE]; // second convolution: vertical kernel
+
+//
+// Output format:
+// RG: the sum, in the units of a [0,255] image, stored as a
+//     signed fixed-point number (see encodeFixed16() in fixed-point.glsl)
+// B: 0
+// A: 1
+//
+void main()
+{
+    const int radius = KERNEL_SIZE / 2;
+    ivec2 thread = threadLocation();
+    ivec2 last = textureSize(image, 0) - ivec2(1);
+    highp float sum = 0.0f;
+
+    for(int j = 0; j < KERNEL_SIZE; j++) {
+        highp vec2 row = vec2(0.0f);
+        for(int i = 0; i < KERNEL_SIZE; i++) {
+            ivec2 pos = clamp(thread + ivec2(i - radius, j - radius), ivec2(0), last);
+            row += vec2(kernelAX[i], kernelBX[i]) * pixelAt(image, pos).g;
+        }
+        sum += kernelAY[j] * row.x + kernelBY[j] * row.y;
+    }
+
+    color = vec4(encodeFixed16(fixed_t(round(255.0f * sum * FIX_RESOLUTION))), 0.0f, 1.0f);
+}
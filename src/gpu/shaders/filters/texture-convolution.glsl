@@ -0,0 +1,69 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * texture-convolution.glsl
+ * Convolution with a kernel of arbitrary (odd) size stored in a texture
+ */
+
+uniform sampler2D image; // target image
+uniform sampler2D texKernel; // convolution kernel (all entries in [0,1]), encoded as in convolution.js
+uniform float scale; // multiply the kernel entries by this number (like 1.0)
+uniform float offset; // add this number to all kernel entries (like 0.0)
+
+const vec4 magic = vec4(1.0f, 1.0f, 1.0f / 256.0f, 1.0f / 65536.0f);
+
+//
+// KERNEL_SIZE must be an odd number
+//
+// CONVOLUTION_AXIS must be one of the following:
+// 0: 2D convolution with a (KERNEL_SIZE x KERNEL_SIZE) kernel
+// 1: 1D convolution on the x-axis with a (KERNEL_SIZE x 1) kernel
+// 2: 1D convolution on the y-axis with a (KERNEL_SIZE x 1) kernel
+//
+#if !defined(KERNEL_SIZE) || !defined(CONVOLUTION_AXIS)
+#error Undefined KERNEL_SIZE or CONVOLUTION_AXIS
+#elif KERNEL_SIZE % 2 == 0
+#error KERNEL_SIZE must be odd
+#endif
+
+void main()
+{
+    const int radius = KERNEL_SIZE / 2;
+    float alpha = threadPixel(image).a;
+    vec4 result = vec4(0.0f);
+
+#if CONVOLUTION_AXIS == 0
+    for(int j = 0; j < KERNEL_SIZE; j++) {
+        for(int i = 0; i < KERNEL_SIZE; i++) {
+            float value = dot(pixelAt(texKernel, ivec2(i, j)), magic) * scale + offset;
+            result += pixelAtLongOffset(image, ivec2(i - radius, j - radius)) * value;
+        }
+    }
+#else
+    for(int i = 0; i < KERNEL_SIZE; i++) {
+        float value = dot(pixelAt(texKernel, ivec2(i, 0)), magic) * scale + offset;
+#if CONVOLUTION_AXIS == 1
+        result += pixelAtLongOffset(image, ivec2(i - radius, 0)) * value;
+#else
+        result += pixelAtLongOffset(image, ivec2(0, i - radius)) * value;
+#endif
+    }
+#endif
+
+    result = clamp(result, 0.0f, 1.0f);
+    color = vec4(result.rgb, alpha);
+}
@@ -0,0 +1,43 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * threshold.glsl
+ * Binary thresholding
+ */
+
+uniform sampler2D image; // greyscale image
+uniform float threshold; // in [0,255]; added to the threshold map, if there is one
+uniform bool invert; // output white if the pixel is at most the threshold, instead of above it
+
+#if USE_THRESHOLD_MAP
+uniform sampler2D thresholdMap; // same size as the image, or 1x1 for a global threshold
+#endif
+
+void main()
+{
+    ivec2 thread = threadLocation();
+    float pixel = round(threadPixel(image).g * 255.0f);
+    float t = threshold;
+
+#if USE_THRESHOLD_MAP
+    ivec2 last = textureSize(thresholdMap, 0) - ivec2(1);
+    t += round(pixelAt(thresholdMap, min(thread, last)).g * 255.0f);
+#endif
+
+    bool white = (pixel > t) != invert;
+    color = vec4(vec3(float(white)), 1.0f);
+}
@@ -0,0 +1,199 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * background.glsl
+ * Background models
+ */
+
+#ifndef _BACKGROUND_GLSL
+#define _BACKGROUND_GLSL
+
+//
+// Background models are stored in RGBA textures.
+// Intensities that require more precision than 8
+// bits are encoded as 16-bit unsigned normalized
+// integers (little-endian) in two color components
+//
+
+/**
+ * Encode a number in [0,1] as a 16-bit unsigned normalized integer
+ * @param {float} x in [0,1]
+ * @returns {vec2} in [0,1]^2, to be stored in two color components
+ */
+vec2 encodeUnorm16(highp float x)
+{
+    int u = int(clamp(x, 0.0f, 1.0f) * 65535.0f + 0.5f);
+    return vec2(float(u & 255), float(u >> 8)) / 255.0f;
+}
+
+/**
+ * Decode a number encoded with encodeUnorm16()
+ * @param {vec2} v two color components
+ * @returns {float} in [0,1]
+ */
+highp float decodeUnorm16(vec2 v)
+{
+    ivec2 bytes = ivec2(v * 255.0f + 0.5f);
+    return float(bytes.x | (bytes.y << 8)) / 65535.0f;
+}
+
+
+
+//
+// Mixture of 2 Gaussians (MOG) per pixel, as in Stauffer & Grimson,
+// "Adaptive background mixture models for real-time tracking" (1999)
+//
+// The model is stored in two textures:
+// model0 = RGBA(mean_0, mean_1), 16 bits each
+// model1 = RGBA(sd_0, sd_1, weight_0), 8, 8 & 16 bits
+// weight_1 = 1 - weight_0
+//
+
+// Range of the standard deviations
+#define MOG_MIN_SD 0.015f // ~4 intensity levels
+#define MOG_MAX_SD 0.25f
+#define MOG_INITIAL_SD 0.06f // ~15 intensity levels
+
+// The most probable components whose weights add up to
+// at least this ratio are considered to be background
+#define MOG_BACKGROUND_RATIO 0.7f
+
+/**
+ * Mixture of 2 Gaussians
+ */
+struct MixtureOfGaussians
+{
+    highp vec2 mean; // means of the components, in [0,1]
+    highp vec2 sd; // standard deviations of the components
+    highp vec2 weight; // weights of the components, adding up to 1
+};
+
+/**
+ * Decode a mixture of Gaussians
+ * @param {vec4} model0 pixel of the first texture of the model
+ * @param {vec4} model1 pixel of the second texture of the model
+ * @returns {MixtureOfGaussians}
+ */
+MixtureOfGaussians decodeMOG(vec4 model0, vec4 model1)
+{
+    MixtureOfGaussians mog;
+    highp float weight = decodeUnorm16(model1.ba);
+
+    mog.mean = vec2(decodeUnorm16(model0.rg), decodeUnorm16(model0.ba));
+    mog.sd = clamp(model1.rg * MOG_MAX_SD, MOG_MIN_SD, MOG_MAX_SD);
+    mog.weight = vec2(weight, 1.0f - weight);
+
+    return mog;
+}
+
+/**
+ * Encode the first texture of a mixture of Gaussians
+ * @param {MixtureOfGaussians} mog
+ * @returns {vec4} pixel data
+ */
+vec4 encodeMOG0(MixtureOfGaussians mog)
+{
+    return vec4(encodeUnorm16(mog.mean.x), encodeUnorm16(mog.mean.y));
+}
+
+/**
+ * Encode the second texture of a mixture of Gaussians
+ * @param {MixtureOfGaussians} mog
+ * @returns {vec4} pixel data
+ */
+vec4 encodeMOG1(MixtureOfGaussians mog)
+{
+    return vec4(mog.sd / MOG_MAX_SD, encodeUnorm16(mog.weight.x));
+}
+
+/**
+ * The index of the most probable component of a mixture of Gaussians
+ * @param {MixtureOfGaussians} mog
+ * @returns {int} 0 or 1
+ */
+int mostProbableComponent(MixtureOfGaussians mog)
+{
+    highp vec2 fitness = mog.weight / mog.sd;
+    return fitness.x >= fitness.y ? 0 : 1;
+}
+
+/**
+ * Find the component of a mixture of Gaussians that matches an intensity
+ * @param {MixtureOfGaussians} mog
+ * @param {float} x intensity in [0,1]
+ * @param {float} threshold maximum distance to the mean, in standard deviations
+ * @returns {int} 0 or 1, or -1 if there is no match
+ */
+int matchMOG(MixtureOfGaussians mog, highp float x, float threshold)
+{
+    bvec2 matches = lessThanEqual(abs(vec2(x) - mog.mean), threshold * mog.sd);
+    int first = mostProbableComponent(mog);
+    int second = 1 - first;
+
+    return matches[first] ? first : (matches[second] ? second : -1);
+}
+
+/**
+ * Checks if an intensity belongs to the background
+ * @param {MixtureOfGaussians} mog
+ * @param {float} x intensity in [0,1]
+ * @param {float} threshold maximum distance to the mean, in standard deviations
+ * @returns {bool}
+ */
+bool isBackgroundMOG(MixtureOfGaussians mog, highp float x, float threshold)
+{
+    int k = matchMOG(mog, x, threshold);
+    int first = mostProbableComponent(mog);
+
+    return k >= 0 && (k == first || mog.weight[first] < MOG_BACKGROUND_RATIO);
+}
+
+/**
+ * Update a mixture of Gaussians with a new intensity
+ * @param {MixtureOfGaussians} mog
+ * @param {float} x intensity in [0,1]
+ * @param {float} threshold maximum distance to the mean, in standard deviations
+ * @param {float} learningRate in (0,1]
+ * @returns {MixtureOfGaussians} updated mixture
+ */
+MixtureOfGaussians updateMOG(MixtureOfGaussians mog, highp float x, float threshold, float learningRate)
+{
+    int k = matchMOG(mog, x, threshold);
+
+    if(k >= 0) {
+        // update the matched component
+        highp float d = x - mog.mean[k];
+        highp float variance = mog.sd[k] * mog.sd[k];
+        mog.mean[k] += learningRate * d;
+        mog.sd[k] = sqrt(variance + learningRate * (d * d - variance));
+    }
+    else {
+        // replace the least probable component
+        k = 1 - mostProbableComponent(mog);
+        mog.mean[k] = x;
+        mog.sd[k] = MOG_INITIAL_SD;
+    }
+
+    // update the weights
+    vec2 owner = vec2(equal(ivec2(k), ivec2(0, 1)));
+    mog.weight = mix(mog.weight, owner, learningRate);
+    mog.sd = clamp(mog.sd, MOG_MIN_SD, MOG_MAX_SD);
+
+    return mog;
+}
+
+#endif
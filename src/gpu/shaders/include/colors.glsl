@@ -16,7 +16,7 @@
  * limitations under the License.
  *
  * colors.glsl
- * Color constants
+ * Color constants & conversions
  */
 
 #ifndef _COLORS_GLSL
@@ -27,4 +27,151 @@
 #define PIXELCOMPONENT_BLUE  @PIXELCOMPONENT_BLUE@
 #define PIXELCOMPONENT_ALPHA @PIXELCOMPONENT_ALPHA@
 
+//
+// COLOR CONVERSIONS
+// All components are encoded in [0,1]
+//
+
+/**
+ * Convert RGB to HSV
+ * @param {vec3} rgb
+ * @returns {vec3} hue, saturation, value
+ */
+vec3 rgb2hsv(vec3 rgb)
+{
+    // branchless conversion by Sam Hocevar
+    const vec4 K = vec4(0.0f, -1.0f / 3.0f, 2.0f / 3.0f, -1.0f);
+    const float eps = 1e-5f;
+    vec4 p = mix(vec4(rgb.bg, K.wz), vec4(rgb.gb, K.xy), step(rgb.b, rgb.g));
+    vec4 q = mix(vec4(p.xyw, rgb.r), vec4(rgb.r, p.yzx), step(p.x, rgb.r));
+    float d = q.x - min(q.w, q.y);
+
+    return vec3(abs(q.z + (q.w - q.y) / (6.0f * d + eps)), d / (q.x + eps), q.x);
+}
+
+/**
+ * Convert HSV to RGB
+ * @param {vec3} hsv hue, saturation, value
+ * @returns {vec3} rgb
+ */
+vec3 hsv2rgb(vec3 hsv)
+{
+    const vec4 K = vec4(1.0f, 2.0f / 3.0f, 1.0f / 3.0f, 3.0f);
+    vec3 p = abs(fract(hsv.xxx + K.xyz) * 6.0f - K.www);
+
+    return hsv.z * mix(K.xxx, clamp(p - K.xxx, 0.0f, 1.0f), hsv.y);
+}
+
+/**
+ * Convert RGB to HSL
+ * @param {vec3} rgb
+ * @returns {vec3} hue, saturation, lightness
+ */
+vec3 rgb2hsl(vec3 rgb)
+{
+    vec3 hsv = rgb2hsv(rgb);
+    float l = hsv.z * (1.0f - 0.5f * hsv.y);
+    float m = min(l, 1.0f - l);
+    float s = m > 1e-5f ? (hsv.z - l) / m : 0.0f;
+
+    return vec3(hsv.x, s, l);
+}
+
+/**
+ * Convert HSL to RGB
+ * @param {vec3} hsl hue, saturation, lightness
+ * @returns {vec3} rgb
+ */
+vec3 hsl2rgb(vec3 hsl)
+{
+    float v = hsl.z + hsl.y * min(hsl.z, 1.0f - hsl.z);
+    float s = v > 1e-5f ? 2.0f * (1.0f - hsl.z / v) : 0.0f;
+
+    return hsv2rgb(vec3(hsl.x, s, v));
+}
+
+/**
+ * Convert RGB to YCbCr (ITU-R BT.601, full range)
+ * @param {vec3} rgb
+ * @returns {vec3} luma, blue-difference chroma, red-difference chroma
+ */
+vec3 rgb2ycbcr(vec3 rgb)
+{
+    const mat3 M = mat3( // column-major
+        0.299f, -0.168736f,  0.5f,
+        0.587f, -0.331264f, -0.418688f,
+        0.114f,  0.5f,      -0.081312f
+    );
+
+    return clamp(M * rgb + vec3(0.0f, 0.5f, 0.5f), 0.0f, 1.0f);
+}
+
+/**
+ * Convert YCbCr (ITU-R BT.601, full range) to RGB
+ * @param {vec3} ycbcr luma, blue-difference chroma, red-difference chroma
+ * @returns {vec3} rgb
+ */
+vec3 ycbcr2rgb(vec3 ycbcr)
+{
+    const mat3 M = mat3( // column-major
+        1.0f,    1.0f,      1.0f,
+        0.0f,   -0.344136f, 1.772f,
+        1.402f, -0.714136f, 0.0f
+    );
+
+    return clamp(M * (ycbcr - vec3(0.0f, 0.5f, 0.5f)), 0.0f, 1.0f);
+}
+
+/**
+ * Convert RGB to CIE L*a*b* (sRGB, D65 white point)
+ * L is mapped from [0,100] to [0,1]; a and b are mapped from [-128,127] to [0,1]
+ * @param {vec3} rgb
+ * @returns {vec3} L, a, b
+ */
+vec3 rgb2lab(vec3 rgb)
+{
+    const mat3 RGB2XYZ = mat3( // column-major, divided by the D65 white point
+        0.4124564f / 0.95047f, 0.2126729f, 0.0193339f / 1.08883f,
+        0.3575761f / 0.95047f, 0.7151522f, 0.1191920f / 1.08883f,
+        0.1804375f / 0.95047f, 0.0721750f, 0.9503041f / 1.08883f
+    );
+
+    // linearize sRGB
+    highp vec3 linear = mix(rgb / 12.92f, pow((rgb + 0.055f) / 1.055f, vec3(2.4f)), step(0.04045f, rgb));
+
+    // XYZ
+    highp vec3 xyz = RGB2XYZ * linear;
+    highp vec3 f = mix(xyz / 0.128418f + 4.0f / 29.0f, pow(xyz, vec3(1.0f / 3.0f)), step(0.008856f, xyz));
+
+    // Lab
+    highp vec3 lab = vec3(116.0f * f.y - 16.0f, 500.0f * (f.x - f.y), 200.0f * (f.y - f.z));
+    return clamp(vec3(lab.x / 100.0f, (lab.yz + 128.0f) / 255.0f), 0.0f, 1.0f);
+}
+
+/**
+ * Convert CIE L*a*b* (sRGB, D65 white point) to RGB
+ * @param {vec3} lab L, a, b encoded as in rgb2lab()
+ * @returns {vec3} rgb
+ */
+vec3 lab2rgb(vec3 lab)
+{
+    const mat3 XYZ2RGB = mat3( // column-major, multiplied by the D65 white point
+         3.2404542f * 0.95047f, -0.9692660f * 0.95047f,  0.0556434f * 0.95047f,
+        -1.5371385f,             1.8760108f,            -0.2040259f,
+        -0.4985314f * 1.08883f,  0.0415560f * 1.08883f,  1.0572252f * 1.08883f
+    );
+
+    // decode L, a, b
+    highp vec3 v = vec3(lab.x * 100.0f, lab.yz * 255.0f - 128.0f);
+
+    // XYZ
+    highp float fy = (v.x + 16.0f) / 116.0f;
+    highp vec3 f = vec3(fy + v.y / 500.0f, fy, fy - v.z / 200.0f);
+    highp vec3 xyz = mix(0.128418f * (f - 4.0f / 29.0f), f * f * f, step(6.0f / 29.0f, f));
+
+    // sRGB
+    highp vec3 linear = clamp(XYZ2RGB * xyz, 0.0f, 1.0f);
+    return mix(linear * 12.92f, 1.055f * pow(linear, vec3(1.0f / 2.4f)) - 0.055f, step(0.0031308f, linear));
+}
+
 #endif
\ No newline at end of file
@@ -0,0 +1,73 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * edges.glsl
+ * Utilities for edge detection
+ */
+
+#ifndef _EDGES_GLSL
+#define _EDGES_GLSL
+
+//
+// Gradients are encoded as follows:
+//
+// RG: magnitude, a 16-bit fixed-point number with GRADIENT_FIX_BITS
+//     fractional bits, given in the units of a [0,255] image
+// B: direction of the gradient, quantized to one of the GRADIENT_* constants
+// A: unused
+//
+
+// Quantized directions of the gradient (modulo 180 degrees)
+#define GRADIENT_0DEG 0
+#define GRADIENT_45DEG 1
+#define GRADIENT_90DEG 2
+#define GRADIENT_135DEG 3
+
+// Number of fractional bits of the magnitude
+#define GRADIENT_FIX_BITS 5
+
+/**
+ * Encode a gradient
+ * @param {float} magnitude in [0, 2048)
+ * @param {int} direction one of the GRADIENT_* constants
+ * @returns {vec4} pixel data
+ */
+vec4 encodeGradient(highp float magnitude, int direction)
+{
+    int m = clamp(int(magnitude * float(1 << GRADIENT_FIX_BITS) + 0.5f), 0, 65535);
+    return vec4(float(m & 255), float(m >> 8), float(direction), 0.0f) / 255.0f;
+}
+
+/**
+ * Decode the magnitude of a gradient
+ * @param {vec4} pixel pixel data
+ * @returns {float} magnitude
+ */
+highp float decodeGradientMagnitude(vec4 pixel)
+{
+    ivec2 bytes = ivec2(pixel.rg * 255.0f + 0.5f);
+    return float(bytes.r | (bytes.g << 8)) / float(1 << GRADIENT_FIX_BITS);
+}
+
+/**
+ * Decode the direction of a gradient
+ * @param {vec4} pixel pixel data
+ * @returns {int} one of the GRADIENT_* constants
+ */
+#define decodeGradientDirection(pixel) int((pixel).b * 255.0f + 0.5f)
+
+#endif
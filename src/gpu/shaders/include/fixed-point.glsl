@@ -88,4 +88,28 @@ const float FIX_RESOLUTION = float(@FIX_RESOLUTION@);
  */
 #define fixtovec2(f) (vec2(f) / FIX_RESOLUTION)
 
+/**
+ * Encode a fixed-point number as a signed 16-bit
+ * integer (two's complement, little-endian)
+ * @param {fixed_t} f in [-32768, 32767]
+ * @returns {vec2} in [0,1]^2, to be stored in two color components
+ */
+vec2 encodeFixed16(fixed_t f)
+{
+    int u = clamp(f, -32768, 32767) & 0xFFFF;
+    return vec2(float(u & 255), float(u >> 8)) / 255.0f;
+}
+
+/**
+ * Decode a fixed-point number encoded with encodeFixed16()
+ * @param {vec2} v two color components
+ * @returns {fixed_t}
+ */
+fixed_t decodeFixed16(vec2 v)
+{
+    ivec2 bytes = ivec2(v * 255.0f + 0.5f);
+    int u = bytes.x | (bytes.y << 8);
+    return fixed_t(u - ((u & 0x8000) << 1));
+}
+
 #endif
\ No newline at end of file
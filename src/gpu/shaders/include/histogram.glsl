@@ -0,0 +1,63 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * histogram.glsl
+ * Histogram utilities
+ */
+
+#ifndef _HISTOGRAM_GLSL
+#define _HISTOGRAM_GLSL
+
+//
+// The bins of a histogram are stored as 32-bit
+// unsigned integers in the RGBA components of the
+// pixels, in little-endian format
+//
+
+// Number of bins of a histogram
+#define HISTOGRAM_BINS 256
+
+/**
+ * Find the bin of a pixel intensity
+ * @param {float} intensity in [0,1]
+ * @returns {int} in [0, HISTOGRAM_BINS - 1]
+ */
+#define histogramBin(intensity) int(clamp((intensity) * 255.0f + 0.5f, 0.0f, 255.0f))
+
+/**
+ * Encode the count of a histogram bin
+ * @param {uint} count
+ * @returns {vec4} pixel data
+ */
+vec4 encodeHistogramBin(uint count)
+{
+    uvec4 bytes = (uvec4(count) >> uvec4(0, 8, 16, 24)) & uvec4(255u);
+    return vec4(bytes) / 255.0f;
+}
+
+/**
+ * Decode the count of a histogram bin
+ * @param {vec4} pixel pixel data
+ * @returns {uint} count
+ */
+uint decodeHistogramBin(vec4 pixel)
+{
+    uvec4 bytes = uvec4(pixel * 255.0f + 0.5f);
+    return bytes.r | (bytes.g << 8u) | (bytes.b << 16u) | (bytes.a << 24u);
+}
+
+#endif
@@ -0,0 +1,97 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * interpolation.glsl
+ * Sampling images at subpixel positions
+ */
+
+#ifndef _INTERPOLATION_GLSL
+#define _INTERPOLATION_GLSL
+
+// border modes
+#define BORDER_CONSTANT 0   // iiiiii|abcdefgh|iiiiiii with a constant i
+#define BORDER_REPLICATE 1  // aaaaaa|abcdefgh|hhhhhhh
+#define BORDER_REFLECT 2    // fedcba|abcdefgh|hgfedcb
+
+/**
+ * Read a pixel of an image, replicating its borders
+ * @param {sampler2D} img
+ * @param {ivec2} pos in texel space
+ * @returns {vec4} pixel data
+ */
+#define pixelAtClamped(img, pos) texelFetch((img), clamp((pos), ivec2(0), textureSize((img), 0) - 1), 0)
+
+/**
+ * Read a pixel of an image, possibly outside of its borders
+ * @param {sampler2D} img
+ * @param {ivec2} pos in texel space
+ * @param {int} borderMode BORDER_CONSTANT | BORDER_REPLICATE | BORDER_REFLECT
+ * @param {vec4} borderColor used with BORDER_CONSTANT
+ * @returns {vec4} pixel data
+ */
+vec4 pixelAtBorder(sampler2D img, ivec2 pos, int borderMode, vec4 borderColor)
+{
+    ivec2 size = textureSize(img, 0);
+
+    if(borderMode == BORDER_CONSTANT) {
+        if(any(lessThan(pos, ivec2(0))) || any(greaterThanEqual(pos, size)))
+            return borderColor;
+    }
+    else if(borderMode == BORDER_REFLECT) {
+        // note: the % operator is undefined for negative operands
+        ivec2 period = 2 * size;
+        pos.x = (pos.x < 0 ? -pos.x - 1 : pos.x) % period.x;
+        pos.y = (pos.y < 0 ? -pos.y - 1 : pos.y) % period.y;
+        pos.x = pos.x < size.x ? pos.x : period.x - 1 - pos.x;
+        pos.y = pos.y < size.y ? pos.y : period.y - 1 - pos.y;
+    }
+
+    return pixelAtClamped(img, pos);
+}
+
+/**
+ * Bilinear interpolation in texel space
+ * Pixel (x,y) is centered at position (x,y)
+ * @param {sampler2D} img
+ * @param {vec2} pos subpixel position
+ * @param {int} borderMode BORDER_CONSTANT | BORDER_REPLICATE | BORDER_REFLECT
+ * @param {vec4} borderColor used with BORDER_CONSTANT
+ * @returns {vec4} interpolated pixel data
+ */
+vec4 bilinearPixelAtBorder(sampler2D img, highp vec2 pos, int borderMode, vec4 borderColor)
+{
+    highp vec2 frc = fract(pos);
+    ivec2 p = ivec2(floor(pos));
+
+    vec4 p00 = pixelAtBorder(img, p, borderMode, borderColor);
+    vec4 p10 = pixelAtBorder(img, p + ivec2(1, 0), borderMode, borderColor);
+    vec4 p01 = pixelAtBorder(img, p + ivec2(0, 1), borderMode, borderColor);
+    vec4 p11 = pixelAtBorder(img, p + ivec2(1, 1), borderMode, borderColor);
+
+    return mix(mix(p00, p10, frc.x), mix(p01, p11, frc.x), frc.y);
+}
+
+/**
+ * Bilinear interpolation in texel space, replicating the borders
+ * of the image. Pixel (x,y) is centered at position (x,y)
+ * @param {sampler2D} img
+ * @param {vec2} pos subpixel position
+ * @returns {vec4} interpolated pixel data
+ */
+#define bilinearPixelAt(img, pos) bilinearPixelAtBorder((img), (pos), BORDER_REPLICATE, vec4(0.0f))
+
+#endif
@@ -0,0 +1,31 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * morphology-difference.glsl
+ * Difference between two images, used to compose morphological operations
+ */
+
+uniform sampler2D image;
+uniform sampler2D subtrahend;
+
+void main()
+{
+    vec4 pixel = threadPixel(image);
+    vec3 difference = max(pixel.rgb - threadPixel(subtrahend).rgb, 0.0f);
+
+    color = vec4(difference, pixel.a);
+}
@@ -0,0 +1,62 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * morphology.glsl
+ * Erosion & dilation with a structuring element
+ */
+
+uniform sampler2D image;
+uniform int shape; // shape of the structuring element: one of the SHAPE_* constants
+uniform int radius; // the structuring element fits in a (2 * radius + 1) x (2 * radius + 1) window
+
+// Shapes of the structuring element
+#define SHAPE_RECT 0
+#define SHAPE_CROSS 1
+#define SHAPE_ELLIPSE 2
+
+//
+// MORPHOLOGY_OPERATION must be defined as either:
+// min (erosion) or max (dilation)
+//
+#ifndef MORPHOLOGY_OPERATION
+#error Undefined MORPHOLOGY_OPERATION
+#endif
+
+void main()
+{
+    ivec2 thread = threadLocation();
+    ivec2 last = textureSize(image, 0) - ivec2(1);
+    vec4 center = threadPixel(image);
+    vec3 result = center.rgb;
+
+    for(int dy = -radius; dy <= radius; dy++) {
+        for(int dx = -radius; dx <= radius; dx++) {
+            bool inside = (
+                (shape == SHAPE_RECT) ||
+                (shape == SHAPE_CROSS && (dx == 0 || dy == 0)) ||
+                (shape == SHAPE_ELLIPSE && dx * dx + dy * dy < radius * (radius + 1))
+            );
+
+            if(inside) {
+                vec3 pixel = pixelAt(image, clamp(thread + ivec2(dx, dy), ivec2(0), last)).rgb;
+                result = MORPHOLOGY_OPERATION(result, pixel);
+            }
+        }
+    }
+
+    color = vec4(result, center.a);
+}
@@ -0,0 +1,33 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * reorient.glsl
+ * Flip, rotate or transpose an image
+ */
+
+uniform sampler2D image;
+uniform ivec2 origin; // position of the input pixel mapped to the output pixel (0,0)
+uniform ivec2 xAxis;  // input pixel offset corresponding to a unit step in the x-axis of the output
+uniform ivec2 yAxis;  // input pixel offset corresponding to a unit step in the y-axis of the output
+
+void main()
+{
+    ivec2 thread = threadLocation();
+    ivec2 pos = origin + thread.x * xAxis + thread.y * yAxis;
+
+    color = pixelAt(image, pos);
+}
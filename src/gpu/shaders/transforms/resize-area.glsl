@@ -0,0 +1,64 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * resize-area.glsl
+ * Resize image using pixel area relation
+ */
+
+uniform sampler2D image;
+
+// we read at most MAX_SAMPLES x MAX_SAMPLES pixels per output pixel;
+// larger areas are sampled with a stride
+#define MAX_SAMPLES 16
+
+void main()
+{
+    ivec2 thread = threadLocation();
+    ivec2 size = textureSize(image, 0);
+    vec2 scale = vec2(size) / texSize;
+
+    // the area of the input image covered by this pixel
+    vec2 start = vec2(thread) * scale;
+    vec2 end = start + scale;
+    ivec2 first = ivec2(floor(start));
+    ivec2 last = min(ivec2(ceil(end)) - 1, size - 1);
+    ivec2 stride = (last - first) / MAX_SAMPLES + 1;
+
+    // weighted average of the pixels, weighted by their coverage
+    vec4 sum = vec4(0.0f);
+    float totalWeight = 0.0f;
+    for(int j = 0; j < MAX_SAMPLES; j++) {
+        int y = first.y + j * stride.y;
+        if(y > last.y)
+            break;
+
+        for(int i = 0; i < MAX_SAMPLES; i++) {
+            int x = first.x + i * stride.x;
+            if(x > last.x)
+                break;
+
+            vec2 p = vec2(x, y);
+            vec2 overlap = min(p + vec2(1.0f), end) - max(p, start);
+            float weight = overlap.x * overlap.y;
+
+            sum += weight * pixelAt(image, ivec2(x, y));
+            totalWeight += weight;
+        }
+    }
+
+    color = sum / max(totalWeight, 1e-5f);
+}
@@ -0,0 +1,33 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * resize-bilinear.glsl
+ * Resize image using bilinear interpolation
+ */
+
+@include "interpolation.glsl"
+
+uniform sampler2D image;
+
+void main()
+{
+    ivec2 thread = threadLocation();
+    vec2 scale = vec2(textureSize(image, 0)) / texSize;
+    vec2 pos = (vec2(thread) + vec2(0.5f)) * scale - vec2(0.5f);
+
+    color = bilinearPixelAt(image, pos);
+}
@@ -0,0 +1,41 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * warp-perspective.glsl
+ * Warp image using a homography
+ */
+
+@include "interpolation.glsl"
+
+uniform sampler2D image;
+uniform highp mat3 inverseHomography; // maps output pixels to input pixels
+uniform int borderMode;
+uniform vec4 borderColor;
+
+void main()
+{
+    ivec2 thread = threadLocation();
+    highp vec3 p = inverseHomography * vec3(vec2(thread), 1.0f);
+
+    // points mapped to infinity are out of bounds
+    if(abs(p.z) < 1e-6f) {
+        color = borderMode == BORDER_CONSTANT ? borderColor : vec4(0.0f);
+        return;
+    }
+
+    color = bilinearPixelAtBorder(image, p.xy / p.z, borderMode, borderColor);
+}
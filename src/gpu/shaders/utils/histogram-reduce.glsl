@@ -0,0 +1,51 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * histogram-reduce.glsl
+ * Sum up the rows of a histogram scan
+ */
+
+@include "histogram.glsl"
+
+uniform sampler2D histogram; // output of histogram-scan.glsl or of a previous pass
+uniform int iterationNumber; // 0, 1, 2, 3...
+
+//
+// Output format: (after M passes)
+// output_b_0 = number of pixels of the image whose intensity is b
+//
+// At each pass, row y accumulates row y + 2^iterationNumber
+// whenever y is a multiple of 2^(1 + iterationNumber)
+//
+// This algorithm takes M = ceil(log2 n) passes to run, where
+// n = imageHeight
+//
+void main()
+{
+    ivec2 thread = threadLocation();
+    int jump = 1 << iterationNumber;
+    int clusterMask = (jump << 1) - 1;
+    ivec2 next = thread + ivec2(0, jump);
+    vec4 pixel = pixelAt(histogram, thread);
+
+    color = pixel;
+    if((thread.y & clusterMask) != 0 || next.y >= outputSize().y)
+        return;
+
+    uint count = decodeHistogramBin(pixel) + decodeHistogramBin(pixelAt(histogram, next));
+    color = encodeHistogramBin(count);
+}
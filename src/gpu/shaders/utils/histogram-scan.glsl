@@ -0,0 +1,45 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * histogram-scan.glsl
+ * Count the pixel intensities of each row of the image
+ */
+
+@include "histogram.glsl"
+
+uniform sampler2D image;
+uniform int channel; // which component of the pixels we count: 0 (red), 1 (green), 2 (blue) or 3 (alpha)
+
+//
+// Output format: (texture of size HISTOGRAM_BINS x imageHeight)
+// output_b_y = number of pixels of row y whose intensity is b
+//
+// The counts are encoded as described in histogram.glsl
+//
+void main()
+{
+    ivec2 thread = threadLocation();
+    int width = textureSize(image, 0).x;
+    uint count = 0u;
+
+    for(int x = 0; x < width; x++) {
+        float pixel = pixelAt(image, ivec2(x, thread.y))[channel];
+        count += uint(histogramBin(pixel) == thread.x);
+    }
+
+    color = encodeHistogramBin(count);
+}
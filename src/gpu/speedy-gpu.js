@@ -24,7 +24,9 @@ import { SpeedyTexture } from './speedy-texture';
 import { Utils } from '../utils/utils';
 import { SpeedyProgramCenter } from './speedy-program-center';
 import { MAX_TEXTURE_LENGTH } from '../utils/globals';
-import { NotSupportedError, IllegalArgumentError } from '../utils/errors';
+import { PixelBufferFormat } from '../utils/types';
+import { isPixelBuffer, validatePixelBuffer } from '../utils/pixel-buffer';
+import { NotSupportedError, IllegalArgumentError, IllegalOperationError } from '../utils/errors';
 
 // Constants
 const UPLOAD_BUFFER_SIZE = 4; // how many textures we allocate for uploading data
@@ -48,21 +50,14 @@ export class SpeedyGPU
         this._width = 0;
         this._height = 0;
         this._programs = null;
-        this._inputTexture = null;
-        this._inputTextureIndex = 0;
+        this._inputTextures = new Map();
         this._omitGLContextWarning = false;
 
         // does the browser support WebGL2?
         checkWebGL2Availability();
 
         // read & validate texture size
-        this._width = Math.max(1, width | 0);
-        this._height = Math.max(1, height | 0);
-        if(this._width > MAX_TEXTURE_LENGTH || this._height > MAX_TEXTURE_LENGTH) {
-            Utils.warning(`Maximum texture size exceeded (using ${this._width} x ${this._height}).`);
-            this._width = Math.min(this._width, MAX_TEXTURE_LENGTH);
-            this._height = Math.min(this._height, MAX_TEXTURE_LENGTH);
-        }
+        [ this._width, this._height ] = validateTextureSize(width, height);
 
         // setup WebGL
         this._setupWebGL();
@@ -96,57 +91,85 @@ export class SpeedyGPU
         return this._programs;
     }
 
+    /**
+     * Set the current resolution of the GPU programs.
+     * A single SpeedyGPU may be shared by media of different sizes:
+     * the programs are resized whenever the resolution changes
+     * @param {number} width
+     * @param {number} height
+     */
+    setResolution(width, height)
+    {
+        [ width, height ] = validateTextureSize(width, height);
+
+        if(width !== this._width || height !== this._height) {
+            this._width = width;
+            this._height = height;
+            this._programs.resize(width, height);
+        }
+
+        // the output of the programs must fit the canvas
+        if(!this._gl.isContextLost())
+            growCanvas(this._canvas, width, height);
+    }
+
     /**
      * Upload data to the GPU
-     * We reuse textures by means of an internal buffer of size UPLOAD_BUFFER_SIZE
-     * @param {ImageBitmap|ImageData|ArrayBufferView|HTMLImageElement|HTMLVideoElement|HTMLCanvasElement} data 
+     * We reuse textures by means of an internal buffer of size UPLOAD_BUFFER_SIZE,
+     * unless an output texture of size width x height is provided
+     * Raw pixel buffers are given as { data, width, height, format } descriptors
+     * and must keep the dimensions they had when they were loaded
+     * @param {ImageBitmap|ImageData|object|HTMLImageElement|HTMLVideoElement|HTMLCanvasElement} data 
      * @param {number} [width]
      * @param {number} [height] 
+     * @param {SpeedyTexture} [outputTexture] upload the data to this texture
      * @returns {SpeedyTexture}
      */
-    upload(data, width = -1, height = -1)
+    upload(data, width = -1, height = -1, outputTexture = null)
     {
         const gl = this._gl;
 
         // lost GL context?
         if(gl.isContextLost()) {
             Utils.warning(`Can't upload texture without a WebGL context`);
-            return (this._inputTexture = null);
+            return null;
         }
 
+        // raw pixel buffer? its contents may have changed since it was loaded
+        const isRawPixelBuffer = isPixelBuffer(data);
+        if(isRawPixelBuffer)
+            validatePixelBuffer(data);
+
         // default values
         if(width < 0)
-            width = gl.canvas.width;
+            width = this._width;
         if(height < 0)
-            height = gl.canvas.height;
+            height = this._height;
+
+        // the dimensions of a media are set when it's loaded
+        if(isRawPixelBuffer && (data.width != width || data.height != height))
+            throw new IllegalOperationError(`Can't upload pixel data of size ${data.width} x ${data.height}: expected ${width} x ${height}`);
 
         // invalid dimensions?
         if(width == 0 || height == 0)
             throw new IllegalArgumentError(`Can't upload an image of area 0`);
 
-        // create (or recreate) internal textures
-        if(this._inputTexture === null) {
-            gl.canvas.width = Math.max(gl.canvas.width, width);
-            gl.canvas.height = Math.max(gl.canvas.height, height);
-            this._inputTexture = Array(UPLOAD_BUFFER_SIZE).fill(null).map(_ =>
-                new SpeedyTexture(gl, gl.canvas.width, gl.canvas.height));
-        }
-        else if(width > gl.canvas.width || height > gl.canvas.height) {
-            Utils.log(`Resizing input texture to ${width} x ${height}`);
-            this._inputTexture.forEach(inputTexture =>
-                inputTexture.release());
-            this._inputTexture = null;
-            return this.upload(data, width, height);
-        }
+        // resize the canvas if necessary
+        growCanvas(gl.canvas, width, height);
+
+        // get the internal textures for this resolution
+        const inputTexture = outputTexture === null ? this._getInputTextures(width, height) : null;
 
         // bugfix: if the media is a video, we can't really
         // upload it to the GPU unless it's ready
-        if(data.constructor.name == 'HTMLVideoElement') {
+        if(!isRawPixelBuffer && data.constructor.name == 'HTMLVideoElement') {
             if(data.readyState < 2) {
                 // this may happen when the video loops (Firefox)
                 // return the previously uploaded texture
-                if(this._inputTexture[this._inputTextureIndex] != null)
-                    return this._inputTexture[this._inputTextureIndex];
+                if(outputTexture !== null)
+                    return outputTexture;
+                else if(inputTexture.uploaded)
+                    return inputTexture.textures[inputTexture.index];
                 else
                     Utils.warning(`Trying to process a video that isn't ready yet`);
             }
@@ -154,13 +177,19 @@ export class SpeedyGPU
 
         // use round-robin to mitigate WebGL's implicit synchronization
         // and maybe minimize texture upload times
-        this._inputTextureIndex = (1 + this._inputTextureIndex) % UPLOAD_BUFFER_SIZE;
+        if(inputTexture !== null) {
+            inputTexture.index = (1 + inputTexture.index) % UPLOAD_BUFFER_SIZE;
+            inputTexture.uploaded = true;
+        }
 
         // done! note: the input texture is upside-down, i.e.,
         // flipped on the y-axis. We need to unflip it on the
         // output, so that (0,0) becomes the top-left corner
-        const texture = this._inputTexture[this._inputTextureIndex];
-        texture.upload(data);
+        const texture = outputTexture || inputTexture.textures[inputTexture.index];
+        if(isRawPixelBuffer)
+            texture.uploadRaw(data.data, data.width, data.height, PixelBufferFormat[data.format || 'rgba']);
+        else
+            texture.upload(data);
         return texture;
     }
 
@@ -219,6 +248,27 @@ export class SpeedyGPU
         return this.loseAndRestoreWebGLContext(Infinity);
     }
 
+    // get the input textures of a given resolution
+    // (they're kept around, as trackers may hold previous uploads)
+    _getInputTextures(width, height)
+    {
+        const gl = this._gl;
+        const key = width + 'x' + height;
+        let inputTexture = this._inputTextures.get(key);
+
+        // create the input textures
+        if(inputTexture === undefined) {
+            inputTexture = {
+                textures: Array(UPLOAD_BUFFER_SIZE).fill(null).map(_ => new SpeedyTexture(gl, width, height)),
+                index: 0,
+                uploaded: false
+            };
+            this._inputTextures.set(key, inputTexture);
+        }
+
+        return inputTexture;
+    }
+
     // setup WebGL
     _setupWebGL()
     {
@@ -227,8 +277,7 @@ export class SpeedyGPU
 
         // initializing
         this._programs = null;
-        this._inputTexture = null;
-        this._inputTextureIndex = 0;
+        this._inputTextures = new Map();
         this._omitGLContextWarning = false;
         if(this._canvas !== undefined)
             delete this._canvas;
@@ -254,6 +303,31 @@ export class SpeedyGPU
     }
 }
 
+// Validate the size of a texture
+function validateTextureSize(width, height)
+{
+    width = Math.max(1, width | 0);
+    height = Math.max(1, height | 0);
+
+    if(width > MAX_TEXTURE_LENGTH || height > MAX_TEXTURE_LENGTH) {
+        Utils.warning(`Maximum texture size exceeded (using ${width} x ${height}).`);
+        width = Math.min(width, MAX_TEXTURE_LENGTH);
+        height = Math.min(height, MAX_TEXTURE_LENGTH);
+    }
+
+    return [ width, height ];
+}
+
+// Grow a canvas so that it fits width x height pixels
+// Note: setting the dimensions of a canvas clears it
+function growCanvas(canvas, width, height)
+{
+    if(width > canvas.width)
+        canvas.width = width;
+    if(height > canvas.height)
+        canvas.height = height;
+}
+
 // Create a canvas
 function createCanvas(width, height)
 {
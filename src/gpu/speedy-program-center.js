@@ -19,14 +19,20 @@
  * An access point to all programs that run on the GPU
  */
 
+import { SpeedyProgramGroup } from './speedy-program-group';
 import { GPUUtils } from './programs/utils';
 import { GPUColors } from './programs/colors';
 import { GPUFilters } from './programs/filters';
+import { GPUMorphology } from './programs/morphology';
+import { GPUEdges } from './programs/edges';
 import { GPUKeypoints } from './programs/keypoints';
 import { GPUEncoders } from './programs/encoders';
 import { GPUPyramids } from './programs/pyramids';
 import { GPUEnhancements } from './programs/enhancements';
 import { GPUTrackers } from './programs/trackers';
+import { GPUTransforms } from './programs/transforms';
+import { GPUArithmetic } from './programs/arithmetic';
+import { GPUBackground } from './programs/background';
 
 /**
  * An access point to all programs that run on the CPU
@@ -52,12 +58,17 @@ export class SpeedyProgramCenter
         this._utils = null;
         this._colors = null;
         this._filters = null;
+        this._morphology = null;
+        this._edges = null;
         this._keypoints = null;
         this._encoders = null;
         this._descriptors = null;
         this._pyramids = null;
         this._enhancements = null;
         this._trackers = null;
+        this._transforms = null;
+        this._arithmetic = null;
+        this._background = null;
     }
 
     /**
@@ -78,6 +89,36 @@ export class SpeedyProgramCenter
         return this._height;
     }
 
+    /**
+     * Resize the programs of all groups that have been instantiated
+     * @param {number} width new default width for output textures
+     * @param {number} height new default height for output textures
+     */
+    resize(width, height)
+    {
+        this._width = width;
+        this._height = height;
+
+        for(const key of Object.keys(this)) {
+            if(this[key] instanceof SpeedyProgramGroup)
+                this[key].resize(width, height);
+        }
+    }
+
+    /**
+     * Release all program groups that have been instantiated
+     * @returns {null}
+     */
+    release()
+    {
+        for(const key of Object.keys(this)) {
+            if(this[key] instanceof SpeedyProgramGroup)
+                this[key] = this[key].release();
+        }
+
+        return null;
+    }
+
     /**
      * Utility programs
      * @returns {GPUUtils}
@@ -105,6 +146,24 @@ export class SpeedyProgramCenter
         return this._filters || (this._filters = new GPUFilters(this._gpu, this._width, this._height));
     }
 
+    /**
+     * Morphological image processing
+     * @returns {GPUMorphology}
+     */
+    get morphology()
+    {
+        return this._morphology || (this._morphology = new GPUMorphology(this._gpu, this._width, this._height));
+    }
+
+    /**
+     * Edge detection
+     * @returns {GPUEdges}
+     */
+    get edges()
+    {
+        return this._edges || (this._edges = new GPUEdges(this._gpu, this._width, this._height));
+    }
+
     /**
      * Keypoint detection & description
      * @returns {GPUKeypoints}
@@ -149,4 +208,31 @@ export class SpeedyProgramCenter
     {
         return this._enhancements || (this._enhancements = new GPUEnhancements(this._gpu, this._width, this._height));
     }
+
+    /**
+     * Geometric transformations
+     * @returns {GPUTransforms}
+     */
+    get transforms()
+    {
+        return this._transforms || (this._transforms = new GPUTransforms(this._gpu, this._width, this._height));
+    }
+
+    /**
+     * Pixel-wise operations between two images
+     * @returns {GPUArithmetic}
+     */
+    get arithmetic()
+    {
+        return this._arithmetic || (this._arithmetic = new GPUArithmetic(this._gpu, this._width, this._height));
+    }
+
+    /**
+     * Background subtraction
+     * @returns {GPUBackground}
+     */
+    get background()
+    {
+        return this._background || (this._background = new GPUBackground(this._gpu, this._width, this._height));
+    }
 }
\ No newline at end of file
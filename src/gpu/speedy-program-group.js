@@ -40,6 +40,7 @@ export /* abstract */ class SpeedyProgramGroup
         this._gpu = gpu;
         this._width = width;
         this._height = height;
+        this._resizable = new Set(); // programs that follow the size of the group
     }
 
     /**
@@ -51,6 +52,10 @@ export /* abstract */ class SpeedyProgramGroup
      */
     /* protected */ declare(name, shaderdecl, settings = { })
     {
+        // programs without an explicit texture size are resized with the group
+        if(settings.output === undefined)
+            this._resizable.add(name);
+
         // lazy instantiation of kernels
         Object.defineProperty(this, name, {
             get: (() => {
@@ -106,6 +111,54 @@ export /* abstract */ class SpeedyProgramGroup
         return this;
     }
 
+    /**
+     * Release the resources of the programs
+     * that have been instantiated so far
+     * @returns {null}
+     */
+    release()
+    {
+        for(const key of Object.keys(this)) {
+            if(key.startsWith('__k_')) {
+                this[key].release();
+                delete this[key];
+            }
+            else if(key.startsWith('__c_'))
+                delete this[key];
+        }
+
+        return null;
+    }
+
+    /**
+     * Resize the group. The programs that have been
+     * instantiated without an explicit texture size
+     * are resized accordingly
+     * @param {number} width new default width of the output textures
+     * @param {number} height new default height of the output textures
+     */
+    resize(width, height)
+    {
+        this._width = width;
+        this._height = height;
+
+        for(const name of this._resizable)
+            this._resizeProgram(name, width, height);
+    }
+
+    /**
+     * Resize a program, if it has been instantiated
+     * @param {string} name Program name
+     * @param {number} width
+     * @param {number} height
+     */
+    /* protected */ _resizeProgram(name, width, height)
+    {
+        const program = this['__k_' + name];
+        if(program !== undefined)
+            program.resize(width, height);
+    }
+
     /**
      * Neat helpers to be used
      * when defining programs
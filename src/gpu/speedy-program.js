@@ -44,8 +44,15 @@ const UNIFORM_TYPES = {
     'bvec2':    'uniform2i',
     'bvec3':    'uniform3i',
     'bvec4':    'uniform4i',
+    'mat2':     'uniformMatrix2fv',
+    'mat3':     'uniformMatrix3fv',
+    'mat4':     'uniformMatrix4fv',
 };
 
+// compiled WebGL programs, indexed by WebGL context & shader source
+// (programs of different sizes may share the same compiled shader)
+const compiledPrograms = new WeakMap();
+
 // number of pixel buffer objects
 // used to get a performance boost in gl.readPixels()
 // (1 seems to perform better on mobile, 2 on the PC?)
@@ -103,6 +110,21 @@ export class SpeedyProgram extends Function
         this._stdprog.resize(width, height);
     }
 
+    /**
+     * Release the resources (textures, framebuffers, pixel buffers)
+     * allocated by this program. The compiled shader is kept, as it
+     * may be shared with other programs of the same WebGL context
+     * @returns {null}
+     */
+    release()
+    {
+        this._stdprog.detachFBO();
+        this._initPixelBuffers(this._gl);
+        this._ubo = null;
+
+        return null;
+    }
+
     /**
      * Read pixels from the output texture.
      * You may optionally specify a (x,y,width,height) sub-rectangle.
@@ -127,10 +149,10 @@ export class SpeedyProgram extends Function
             height = this._stdprog.height;
 
         // clamp values
-        width = Math.min(width, this._stdprog.width);
-        height = Math.min(height, this._stdprog.height);
-        x = Math.max(0, Math.min(x, width - 1));
-        y = Math.max(0, Math.min(y, height - 1));
+        x = Math.max(0, Math.min(x, this._stdprog.width - 1));
+        y = Math.max(0, Math.min(y, this._stdprog.height - 1));
+        width = Math.min(width, this._stdprog.width - x);
+        height = Math.min(height, this._stdprog.height - y);
 
         // allocate the pixel buffers
         if(this._pixelBuffer[0] == null)
@@ -158,7 +180,8 @@ export class SpeedyProgram extends Function
      * @param {number} [y] 
      * @param {number} [width]
      * @param {number} [height]
-     * @param {boolean} [useBufferedDownloads] optimize downloads
+     * @param {boolean} [useBufferedDownloads] optimize downloads. If false,
+     *        the pixels are read into a new array, so that calls may overlap
      * @returns {Promise<Uint8Array>} resolves to an array of pixels in the RGBA format
      */
     readPixelsAsync(x = 0, y = 0, width = -1, height = -1, useBufferedDownloads = true)
@@ -176,22 +199,24 @@ export class SpeedyProgram extends Function
             height = this._stdprog.height;
 
         // clamp values
-        width = Math.min(width, this._stdprog.width);
-        height = Math.min(height, this._stdprog.height);
-        x = Math.max(0, Math.min(x, width - 1));
-        y = Math.max(0, Math.min(y, height - 1));
-
-        // allocate the pixel buffers
-        if(this._pixelBuffer[0] == null)
-            this._reallocatePixelBuffers(this._stdprog.width, this._stdprog.height);
+        x = Math.max(0, Math.min(x, this._stdprog.width - 1));
+        y = Math.max(0, Math.min(y, this._stdprog.height - 1));
+        width = Math.min(width, this._stdprog.width - x);
+        height = Math.min(height, this._stdprog.height - y);
 
-        // do not optimize?
+        // do not optimize? read into a new array, as the
+        // caller may read again before this read is complete
         if(!useBufferedDownloads) {
-            return GLUtils.readPixelsViaPBO(gl, this._pixelBuffer[0], x, y, width, height, this._stdprog.fbo).then(downloadTime => {
-                return this._pixelBuffer[0];
+            const pixels = new Uint8Array(width * height * 4);
+            return GLUtils.readPixelsViaPBO(gl, pixels, x, y, width, height, this._stdprog.fbo).then(downloadTime => {
+                return pixels;
             });
         }
 
+        // allocate the pixel buffers
+        if(this._pixelBuffer[0] == null)
+            this._reallocatePixelBuffers(this._stdprog.width, this._stdprog.height);
+
         // GPU needs to produce data
         if(this._pboProducerQueue.length > 0) {
             const nextPBO = this._pboProducerQueue.shift();
@@ -344,10 +369,9 @@ export class SpeedyProgram extends Function
         gl.useProgram(stdprog.program);
 
         // update texSize uniform
-        if(stdprog.dirtySize) { // if the program was resized
-            gl.uniform2f(stdprog.uniform.texSize.location, stdprog.width, stdprog.height);
-            stdprog.dirtySize = false;
-        }
+        // (the compiled program may be shared with programs of other sizes)
+        gl.uniform2f(stdprog.uniform.texSize.location, stdprog.width, stdprog.height);
+        stdprog.dirtySize = false;
 
         // set uniforms[i] to args[i]
         for(let i = 0, texNo = 0; i < args.length; i++) {
@@ -386,6 +410,9 @@ export class SpeedyProgram extends Function
                       0,        // offset
                       4);       // count
 
+        // the textures replaced by resize() are no longer needed
+        stdprog.releaseOldTextures();
+
         // output texture
         let outputTexture = null;
         if(options.renderToTexture) {
@@ -425,6 +452,7 @@ export class SpeedyProgram extends Function
 
     // set uniform to value
     // arrays of arbitrary size are not supported, only fixed-size vectors (vecX, ivecX, etc.)
+    // matrices (matX) are given as arrays in column-major format
     _setUniform(uniform, value, texNo)
     {
         const gl = this._gl;
@@ -445,7 +473,9 @@ export class SpeedyProgram extends Function
         }
         else {
             // set value
-            if(typeof value == 'number' || typeof value == 'boolean')
+            if(uniform.type.startsWith('mat'))
+                (gl[UNIFORM_TYPES[uniform.type]])(uniform.location, false, value);
+            else if(typeof value == 'number' || typeof value == 'boolean')
                 (gl[UNIFORM_TYPES[uniform.type]])(uniform.location, value);
             else if(Array.isArray(value))
                 (gl[UNIFORM_TYPES[uniform.type]])(uniform.location, ...value);
@@ -510,11 +540,9 @@ export class SpeedyProgram extends Function
 function StandardProgram(gl, width, height, shaderdecl, uniforms = { })
 {
     // compile shaders
-    const program = GLUtils.createProgram(gl, shaderdecl.vertexSource, shaderdecl.fragmentSource);
+    const program = compileProgram(gl, shaderdecl);
 
     // setup geometry
-    gl.bindAttribLocation(program, LOCATION_ATTRIB_POSITION, shaderdecl.attributes.position);
-    gl.bindAttribLocation(program, LOCATION_ATTRIB_TEXCOORD, shaderdecl.attributes.texCoord);
     const vertexObjects = GLUtils.createStandardGeometry(gl, LOCATION_ATTRIB_POSITION, LOCATION_ATTRIB_TEXCOORD);
 
     // define texSize
@@ -562,6 +590,7 @@ function StandardProgram(gl, width, height, shaderdecl, uniforms = { })
     this.dirtySize = false;
     this.vertexObjects = vertexObjects;
     this._fbo = this._texture = null; this._texIndex = 0;
+    this._oldFBO = this._oldTexture = null; // released after the next render
     Object.defineProperty(this, 'fbo', {
         get: () => this._fbo ? this._fbo[this._texIndex] : null
     });
@@ -570,6 +599,25 @@ function StandardProgram(gl, width, height, shaderdecl, uniforms = { })
     });
 }
 
+// Compile a shader, or reuse a previously compiled one
+function compileProgram(gl, shaderdecl)
+{
+    if(!compiledPrograms.has(gl))
+        compiledPrograms.set(gl, new Map());
+
+    const cache = compiledPrograms.get(gl);
+    const key = shaderdecl.vertexSource + '\0' + shaderdecl.fragmentSource;
+    if(cache.has(key))
+        return cache.get(key);
+
+    const program = GLUtils.createProgram(gl, shaderdecl.vertexSource, shaderdecl.fragmentSource);
+    gl.bindAttribLocation(program, LOCATION_ATTRIB_POSITION, shaderdecl.attributes.position);
+    gl.bindAttribLocation(program, LOCATION_ATTRIB_TEXCOORD, shaderdecl.attributes.texCoord);
+    cache.set(key, program);
+
+    return program;
+}
+
 // Attach a framebuffer object to a standard program
 StandardProgram.prototype.attachFBO = function(pingpong = false)
 {
@@ -605,9 +653,28 @@ StandardProgram.prototype.detachFBO = function()
         this._texture = null;
     }
 
+    this.releaseOldTextures();
     this._texIndex = 0;
 }
 
+// Release the textures replaced by resize()
+StandardProgram.prototype.releaseOldTextures = function()
+{
+    const gl = this.gl;
+
+    if(this._oldFBO != null) {
+        for(let fbo of this._oldFBO)
+            GLUtils.destroyFramebuffer(gl, fbo);
+        this._oldFBO = null;
+    }
+
+    if(this._oldTexture != null) {
+        for(let texture of this._oldTexture)
+            texture.release();
+        this._oldTexture = null;
+    }
+}
+
 // Ping-pong rendering
 StandardProgram.prototype.pingpong = function()
 {
@@ -675,12 +742,11 @@ StandardProgram.prototype.resize = function(width, height)
             newFBO[i] = GLUtils.createFramebuffer(gl, newTexture[i].glTexture);
         }
 
-        // release old textures
-        for(let fbo of this._fbo)
-            GLUtils.destroyFramebuffer(gl, fbo);
-
-        for(let texture of this._texture)
-            texture.release();
+        // release old textures after the next render, as the
+        // input of the program may be its previous output
+        this.releaseOldTextures();
+        this._oldFBO = this._fbo;
+        this._oldTexture = this._texture;
 
         // update references
         this._texture = newTexture;
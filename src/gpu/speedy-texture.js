@@ -70,6 +70,20 @@ export class SpeedyTexture
         GLUtils.uploadToTexture(this._gl, this._glTexture, this._width, this._height, pixels, lod | 0);
     }
 
+    /**
+     * Upload a raw buffer of pixels to the texture
+     * @param {Uint8Array|Uint8ClampedArray} pixels tightly packed pixel data
+     * @param {number} width image width
+     * @param {number} height image height
+     * @param {number} [channels] 1 (greyscale), 3 (RGB) or 4 (RGBA)
+     * @param {number} [lod] mipmap level-of-detail
+     */
+    uploadRaw(pixels, width, height, channels = 4, lod = 0)
+    {
+        this._hasMipmaps = false;
+        GLUtils.uploadRawToTexture(this._gl, this._glTexture, width | 0, height | 0, pixels, channels | 0, lod | 0);
+    }
+
     /**
      * Generates mipmaps for this texture
      * This computes the image pyramid via hardware
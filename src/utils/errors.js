@@ -117,6 +117,48 @@ export class GLError extends SpeedyError
     }
 }
 
+/**
+ * Shader compilation error
+ * A GLSL shader could not be compiled
+ */
+export class ShaderCompilationError extends GLError
+{
+    /**
+     * Class constructor
+     * @param {string} [message] additional text
+     * @param {number} [lineNumber] the offending line of code, starting at 1, or 0 if unknown
+     * @param {string} [lineOfCode] the contents of the offending line
+     * @param {SpeedyError} [cause] cause of the error
+     */
+    constructor(message = '', lineNumber = 0, lineOfCode = '', cause = null)
+    {
+        const code = String(lineOfCode).trim();
+        const where = lineNumber > 0 ? `Error at line ${lineNumber}: ${code}\n` : (code ? `Error at: ${code}\n` : '');
+        super(`Can't compile shader. ${where}${message}`, cause);
+        this._lineNumber = lineNumber | 0;
+        this._lineOfCode = String(lineOfCode);
+    }
+
+    /**
+     * The number of the offending line of code, starting at 1
+     * If unknown, this will be zero
+     * @returns {number}
+     */
+    get lineNumber()
+    {
+        return this._lineNumber;
+    }
+
+    /**
+     * The offending line of code
+     * @returns {string}
+     */
+    get lineOfCode()
+    {
+        return this._lineOfCode;
+    }
+}
+
 /**
  * AbstractMethodError
  * Thrown when one tries to call an abstract method
@@ -28,8 +28,9 @@ export class FPSCounter
 {
     /**
      * Creates a new FPSCounter
+     * @param {boolean} [automatic] count animation frames automatically? If false, call tick() on each frame
      */
-    /* private */ constructor()
+    /* private */ constructor(automatic = true)
     {
         this._fps = 60;
         this._frames = 0;
@@ -37,6 +38,10 @@ export class FPSCounter
         this._lastUpdate = performance.now();
         this._boundUpdate = this._update.bind(this);
 
+        // manual counters are not tied to animation frames
+        if(!automatic)
+            return;
+
         // this should never happen...
         if(instance !== null)
             throw new IllegalOperationError(`Can't have multiple instances of FPSCounter`);
@@ -69,9 +74,9 @@ export class FPSCounter
     }
 
     /**
-     * Updates the FPS counter
+     * Counts a new frame
      */
-    _update()
+    tick()
     {
         const now = performance.now();
         const deltaTime = now - this._lastUpdate;
@@ -83,6 +88,18 @@ export class FPSCounter
         }
 
         this._frames++;
-        requestAnimationFrame(this._boundUpdate);
+    }
+
+    /**
+     * Updates the FPS counter
+     */
+    _update()
+    {
+        this.tick();
+
+        if(typeof requestAnimationFrame === 'function')
+            requestAnimationFrame(this._boundUpdate);
+        else
+            setTimeout(this._boundUpdate, 1000.0 / 60.0); // Web Workers may lack requestAnimationFrame()
     }
 }
\ No newline at end of file
@@ -49,6 +49,15 @@ export const FIX_RESOLUTION = 1.0 * (1 << FIX_BITS); // float(2^(FIX_BITS))
 
 
 
+// -----------------------------------------------------------------
+// CONVOLUTIONS
+// -----------------------------------------------------------------
+
+// Maximum size of a custom convolution kernel (it must be an odd number)
+export const MAX_CONVOLUTION_KERNEL_SIZE = 31;
+
+
+
 // -----------------------------------------------------------------
 // TEXTURE LIMITS
 // -----------------------------------------------------------------
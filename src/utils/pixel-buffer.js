@@ -0,0 +1,61 @@
+/*
+ * speedy-vision.js
+ * GPU-accelerated Computer Vision for JavaScript
+ * Copyright 2020 Alexandre Martins <alemartf(at)gmail.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * pixel-buffer.js
+ * Raw pixel buffers given as { data, width, height, format } descriptors
+ */
+
+import { PixelBufferFormat } from './types';
+import { IllegalArgumentError } from './errors';
+
+/**
+ * Is data a { data, width, height, format } descriptor of a raw pixel buffer?
+ * @param {any} data
+ * @returns {boolean}
+ */
+export function isPixelBuffer(data)
+{
+    if(data == null || typeof data !== 'object')
+        return false;
+
+    // plain objects, including those created with Object.create(null)
+    const proto = Object.getPrototypeOf(data);
+    return (proto === Object.prototype || proto === null) && ArrayBuffer.isView(data.data);
+}
+
+/**
+ * Validate a { data, width, height, format } descriptor
+ * @param {object} pixelBuffer
+ * @returns {object} pixelBuffer
+ */
+export function validatePixelBuffer(pixelBuffer)
+{
+    const { data, width, height, format } = pixelBuffer;
+
+    if(!(data instanceof Uint8Array || data instanceof Uint8ClampedArray))
+        throw new IllegalArgumentError(`Invalid pixel data: expected a Uint8Array or a Uint8ClampedArray`);
+    else if(!(width > 0 && height > 0 && width == (width | 0) && height == (height | 0)))
+        throw new IllegalArgumentError(`Invalid pixel data: invalid dimensions ${width} x ${height}`);
+    else if(format !== undefined && !PixelBufferFormat.hasOwnProperty(format))
+        throw new IllegalArgumentError(`Invalid pixel data: unrecognized format "${format}"`);
+
+    const expectedLength = width * height * PixelBufferFormat[format || 'rgba'];
+    if(data.length < expectedLength)
+        throw new IllegalArgumentError(`Invalid pixel data: expected ${expectedLength} bytes, found ${data.length}`);
+
+    return pixelBuffer;
+}
@@ -25,15 +25,28 @@ export const MediaType = Utils.enum(
     'Image',
     'Video',
     'Canvas',
-    'Bitmap'
+    'Bitmap',
+    'Data'
 );
 
 export const ColorFormat = Utils.enum(
     'RGB',
     'Greyscale',
-    'Binary'
+    'Binary',
+    'HSV',
+    'HSL',
+    'YCbCr',
+    'Lab',
+    'FixedPoint' // signed fixed-point numbers, such as image derivatives
 );
 
+export const PixelBufferFormat = Object.freeze({
+    'rgba':      4, // number of channels
+    'rgb':       3,
+    'greyscale': 1,
+    'grayscale': 1
+});
+
 export const PixelComponent = Object.freeze({
     RED:   1,
     GREEN: 2,
@@ -87,6 +87,19 @@ export class Utils
     //static setZeroTimeout(fn) { setTimeout(fn, 0); } // easier on the CPU
     static setZeroTimeout(fn)
     {
+        // there is no window in Web Workers: use a MessageChannel
+        if(typeof window === 'undefined') {
+            const ctx = (Utils._setZeroTimeoutChannel = Utils._setZeroTimeoutChannel || (() => {
+                const channel = new MessageChannel(), callbacks = [];
+                channel.port1.onmessage = () => (callbacks.shift()).call(self);
+                return { channel, callbacks };
+            })());
+
+            ctx.callbacks.push(fn);
+            ctx.channel.port2.postMessage(0);
+            return;
+        }
+
         const ctx = (Utils._setZeroTimeoutContext = Utils._setZeroTimeoutContext || (Utils._setZeroTimeoutContext = {
             callbacks: new Map(),
             _setup: window.addEventListener('message', ev => {
@@ -156,12 +169,16 @@ export class Utils
 
     /**
      * Creates a <canvas> element with the given dimensions
+     * If there is no DOM, an OffscreenCanvas is created instead
      * @param {number} width in pixels
      * @param {number} height in pixels
-     * @returns {HTMLCanvasElement}
+     * @returns {HTMLCanvasElement|OffscreenCanvas}
      */
     static createCanvas(width, height)
     {
+        if(typeof document === 'undefined' && typeof OffscreenCanvas === 'function')
+            return new OffscreenCanvas(width, height);
+
         const canvas = document.createElement('canvas');
         canvas.width = width;
         canvas.height = height;
@@ -267,6 +284,34 @@ export class Utils
         return normalized ? kernel.map(k => k / sum) : kernel;
     }
 
+    /**
+     * Generate a normalized 1D kernel of a Sobel derivative, i.e.,
+     * [1, 1]^(size - 1 - order) * [-1, 1]^order / 2^(size - 1 - order),
+     * where * denotes convolution
+     * @param {number} order order of the derivative (0 for smoothing)
+     * @param {number} kernelSize kernel size, odd number greater than order
+     * @returns {Array<number>}
+     */
+    static derivativeKernel(order, kernelSize)
+    {
+        // validate input
+        kernelSize |= 0; order |= 0;
+        if(kernelSize < 1 || kernelSize % 2 == 0)
+            throw new IllegalArgumentError(`Invalid kernel size given to derivativeKernel: ${kernelSize} x 1`);
+        else if(order < 0 || order >= kernelSize)
+            throw new IllegalArgumentError(`Invalid order given to derivativeKernel: ${order}`);
+
+        // compute the kernel
+        let kernel = [ 1 ];
+        for(let i = 0; i < kernelSize - 1; i++) {
+            const [ a, b ] = i < order ? [ -1, 1 ] : [ 0.5, 0.5 ];
+            kernel = kernel.concat(0).map((k, j) => a * k + b * (j > 0 ? kernel[j-1] : 0));
+        }
+
+        // done!
+        return kernel;
+    }
+
     /**
      * Cartesian product a x b: [ [ai, bj] for all i, j ]
      * @param {Array<number>} a
@@ -58,6 +58,85 @@ describe('SpeedyMedia', function() {
         ).toBeResolved();
     });
 
+    it('can load pixel data', async function() {
+        const image = await loadImage('speedy.jpg');
+        const canvas = createCanvasFromImage(image);
+        const imageData = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+        const rgba = new Uint8Array(imageData.data);
+        const rgb = new Uint8Array(rgba.filter((_, i) => i % 4 < 3));
+        const grey = new Uint8Array(rgba.filter((_, i) => i % 4 == 0));
+        const { width, height } = imageData;
+
+        const sources = [
+            imageData,
+            { data: rgba, width, height },
+            { data: rgb, width, height, format: 'rgb' },
+        ];
+
+        for(const source of sources) {
+            const media = await Speedy.load(source, { usage: 'static' });
+
+            expect(media.type).toBe('data');
+            expect(media.width).toBe(width);
+            expect(media.height).toBe(height);
+
+            const error = imerr(canvas, media);
+            display(media, `Pixel data (${source.format || source.constructor.name})`);
+            expect(error).toBeAnAcceptableImageError();
+
+            await media.release();
+        }
+
+        // a descriptor without a prototype
+        const bare = Object.assign(Object.create(null), { data: rgba, width, height });
+        const bareMedia = await Speedy.load(bare, { usage: 'static' });
+        expect(bareMedia.type).toBe('data');
+        expect(imerr(canvas, bareMedia)).toBeAnAcceptableImageError();
+        await bareMedia.release();
+
+        const media = await Speedy.load({ data: grey, width, height, format: 'greyscale' }, { usage: 'static' });
+        const greyscale = await media.run(Speedy.pipeline().convertTo('greyscale'));
+        const channels = pixels(greyscale).filter((_, i) => i % 4 == 0);
+        display(greyscale, 'Greyscale pixel data');
+        expect(channels).toBeElementwiseNearlyEqual(Array.from(grey));
+
+        await media.release();
+    });
+
+    it('refuses to load invalid pixel data', function() {
+        const data = new Uint8Array(4 * 4 * 4);
+
+        expect(() => Speedy.load({ data, width: 4, height: 5 })).toThrow();
+        expect(() => Speedy.load({ data, width: 0, height: 4 })).toThrow();
+        expect(() => Speedy.load({ data, width: 4, height: 4, format: 'bgr' })).toThrow();
+        expect(() => Speedy.load({ data: new Float32Array(data), width: 4, height: 4 })).toThrow();
+    });
+
+    it('validates pixel data every time it is uploaded', async function() {
+        const pixels = { data: new Uint8Array(4 * 4 * 4), width: 4, height: 4 };
+        const media = await Speedy.load(pixels);
+        const pipeline = Speedy.pipeline().convertTo('greyscale');
+
+        await expectAsync(media.run(pipeline)).toBeResolved();
+
+        pixels.height = 5;
+        await expectAsync(media.run(pipeline)).toBeRejected();
+
+        pixels.height = 4;
+        pixels.width = 0;
+        await expectAsync(media.run(pipeline)).toBeRejected();
+
+        // the dimensions can't change, even if the data is large enough
+        pixels.width = 2;
+        await expectAsync(media.run(pipeline)).toBeRejected();
+
+        pixels.width = 4;
+        await expectAsync(media.run(pipeline)).toBeResolved();
+
+        await pipeline.release();
+        await media.release();
+    });
+
     it('has a valid source', async function() {
         const image = await loadImage('speedy.jpg');
         const media = await Speedy.load(image);
@@ -185,4 +264,227 @@ describe('SpeedyMedia', function() {
 
         await media.release();
     });
-});
\ No newline at end of file
+
+    it('reads pixels', async function() {
+        const image = await loadImage('speedy.jpg');
+        const media = await Speedy.load(image);
+        const rgba = pixels(image);
+
+        const data = media.read();
+        expect(data.length).toBe(4 * media.width * media.height);
+        expect(Array.from(data)).toBeElementwiseNearlyTheSamePixels(rgba);
+
+        const asyncData = await media.readAsync();
+        expect(Array.from(asyncData)).toBeElementwiseNearlyTheSamePixels(rgba);
+
+        const imageData = media.toImageData();
+        expect(imageData.width).toBe(media.width);
+        expect(imageData.height).toBe(media.height);
+        display(createCanvasFromPixels(imageData.width, imageData.height, imageData.data), 'ImageData');
+
+        await media.release();
+    });
+
+    it('reads pixels asynchronously with overlapping calls', async function() {
+        const image = await loadImage('speedy.jpg');
+        const media = await Speedy.load(image);
+        const rects = [
+            { x: 0, y: 0, width: 20, height: 20 },
+            { x: 40, y: 30, width: 20, height: 20 },
+            { x: 80, y: 60, width: 20, height: 20 },
+        ];
+
+        const expected = rects.map(rect => media.read({ rect }));
+        const results = await Promise.all(rects.map(rect => media.readAsync({ rect })));
+        for(let i = 0; i < rects.length; i++)
+            expect(results[i]).toBeElementwiseEqual(expected[i]);
+
+        await media.release();
+    });
+
+    it('reads a rectangle of pixels in greyscale', async function() {
+        const image = await loadImage('speedy.jpg');
+        const media = await Speedy.load(image);
+        const greyscale = await media.run(Speedy.pipeline().convertTo('greyscale'));
+        const rect = { x: 10, y: 20, width: 30, height: 40 };
+
+        const grey = media.read({ format: 'grey', rect });
+        const expected = pixels(greyscale)
+                         .filter((_, i) => i % 4 == 0)
+                         .filter((_, i) => {
+                             const x = i % media.width, y = Math.floor(i / media.width);
+                             return x >= rect.x && x < rect.x + rect.width && y >= rect.y && y < rect.y + rect.height;
+                         });
+
+        expect(grey.length).toBe(rect.width * rect.height);
+        expect(Array.from(grey)).toBeElementwiseNearlyTheSamePixels(expected);
+
+        expect(() => media.read({ format: 'bgr' })).toThrow();
+        expect(() => media.read({ rect: { x: 0, y: 0, width: media.width + 1, height: 1 } })).toThrow();
+
+        await media.release();
+    });
+
+    it('computes histograms', async function() {
+        const width = 8, height = 4;
+        const data = new Uint8Array(width * height * 4).map((_, i) => [ (i >> 2) * 8, 100, 0, 255 ][i % 4]);
+        const media = await Speedy.load({ data, width, height }, { usage: 'static' });
+
+        const red = await media.histogram({ channel: 'red' });
+        expect(red.length).toBe(256);
+        expect(Array.from(red)).toEqual(Array(256).fill(0).map((_, i) => i % 8 == 0 ? 1 : 0));
+
+        const green = await media.histogram({ channel: 'green', bins: 4 });
+        expect(Array.from(green)).toEqual([ 0, width * height, 0, 0 ]);
+
+        const alpha = await media.histogram({ channel: 'alpha', bins: 1 });
+        expect(Array.from(alpha)).toEqual([ width * height ]);
+
+        const grey = await media.histogram({ bins: 16 });
+        expect(grey.reduce((sum, count) => sum + count, 0)).toBe(width * height);
+
+        await expectAsync(media.histogram({ channel: 'cyan' })).toBeRejected();
+        await expectAsync(media.histogram({ bins: 0 })).toBeRejected();
+        await expectAsync(media.histogram({ bins: 257 })).toBeRejected();
+
+        await media.release();
+        await expectAsync(media.histogram()).toBeRejected();
+    });
+
+    it('encodes the media as an image file', async function() {
+        const image = await loadImage('speedy.jpg');
+        const media = await Speedy.load(image);
+        const processed = await media.run(Speedy.pipeline().convertTo('greyscale'));
+
+        for(const m of [ media, processed ]) {
+            const blob = await m.toBlob('image/png');
+            expect(blob.type).toBe('image/png');
+
+            const bitmap = await createImageBitmap(blob);
+            expect(bitmap.width).toBe(m.width);
+            expect(bitmap.height).toBe(m.height);
+            expect(imerr(m, bitmap)).toBeAnAcceptableImageError();
+            display(bitmap, `Encoded ${m.type}`);
+        }
+
+        const url = await media.toDataURL('image/jpeg', 0.9);
+        expect(url.startsWith('data:image/jpeg')).toBe(true);
+
+        await media.release();
+    });
+
+    it('shares a GPU context among media of different sizes', async function() {
+        const context = Speedy.context();
+        const pipeline = Speedy.pipeline().convertTo('greyscale');
+        const images = [
+            await loadImage('speedy.jpg'),
+            await loadImage('speedy-wall.jpg'),
+        ];
+        const media = [
+            await Speedy.load(images[0], { context }),
+            await Speedy.load(images[1], { context }),
+        ];
+
+        expect(media[0].options.context).toBe(context);
+        expect(media[0].width).not.toBe(media[1].width);
+
+        for(let i = 0; i < 2; i++) {
+            for(let j = 0; j < media.length; j++) {
+                const greyscale = await media[j].run(pipeline);
+                const standalone = await Speedy.load(images[j]);
+                const expected = await standalone.run(pipeline);
+
+                expect(greyscale.width).toBe(images[j].naturalWidth);
+                expect(greyscale.height).toBe(images[j].naturalHeight);
+                expect(imerr(greyscale, expected)).toBeAnAcceptableImageError();
+                display(greyscale, `Shared context: media ${j}`);
+
+                await standalone.release();
+            }
+        }
+
+        await media[0].release();
+        expect(media[1].isReleased()).toBe(false);
+
+        await context.release();
+        expect(media[1].isReleased()).toBe(true);
+        await expectAsync(Speedy.load(images[0], { context })).toBeRejected();
+    });
+
+    it('resizes the programs of a shared context on each call', async function() {
+        const context = Speedy.context();
+        const pipeline = Speedy.pipeline().convertTo('greyscale').blur();
+        const sizes = [ 8, 9, 10, 11, 12, 13 ];
+        const pixels = size => ({
+            data: new Uint8Array(size * size * 4).map((_, i) => i % 4 == 3 ? 255 : (i * 7) % 256),
+            width: size,
+            height: size
+        });
+        const media = await Promise.all(sizes.map(size => Speedy.load(pixels(size), { context })));
+
+        // alternate between more resolutions than we used to keep around
+        for(let i = 0; i < 2; i++) {
+            for(let j = 0; j < media.length; j++) {
+                const output = await media[j].run(pipeline);
+                const standalone = await Speedy.load(pixels(sizes[j]));
+                const expected = await standalone.run(pipeline);
+
+                expect(output.width).toBe(sizes[j]);
+                expect(output.height).toBe(sizes[j]);
+                expect(output.read()).toBeElementwiseEqual(expected.read());
+
+                await standalone.release();
+            }
+        }
+
+        await pipeline.release();
+        await context.release();
+    });
+
+    it('iterates over the frames of a video', async function() {
+        const video = await loadVideo('jelly.mp4');
+        const media = await Speedy.load(video);
+        const pipeline = Speedy.pipeline().convertTo('greyscale');
+        let count = 0, lastTimestamp = -1, lastFrameNumber = -1, lastDroppedFrames = 0;
+
+        for await (const frame of media.frames()) {
+            // frames may be skipped while we're busy running the pipeline
+            expect(frame.frameNumber).toBeGreaterThan(lastFrameNumber);
+            expect(frame.timestamp).toBeGreaterThan(lastTimestamp);
+            expect(frame.droppedFrames).toBeGreaterThanOrEqual(lastDroppedFrames);
+            lastFrameNumber = frame.frameNumber;
+            lastTimestamp = frame.timestamp;
+            lastDroppedFrames = frame.droppedFrames;
+
+            const greyscale = await media.run(pipeline);
+            if(++count == 10) {
+                display(greyscale, `Frame ${frame.frameNumber} (dropped: ${frame.droppedFrames})`);
+                break;
+            }
+        }
+
+        expect(count).toBe(10);
+        expect(() => media.onFrame(null)).toThrow();
+
+        const image = await Speedy.load(await loadImage('speedy.jpg'));
+        expect(() => image.frames()).toThrow();
+        await image.release();
+
+        // the iteration stops when the media is released
+        const frames = media.frames();
+        await frames.next();
+        await media.release();
+        expect((await frames.next()).done).toBe(true);
+    });
+
+    it('lists the cameras', async function() {
+        const cameras = await Speedy.cameras();
+        expect(Array.isArray(cameras)).toBe(true);
+        expect(cameras.every(camera => camera.kind == 'videoinput')).toBe(true);
+        print(`Found ${cameras.length} camera(s)`);
+
+        const media = await Speedy.load(await loadImage('speedy.jpg'));
+        await expectAsync(media.switchCamera('user')).toBeRejected();
+        await media.release();
+    });
+});
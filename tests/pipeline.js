@@ -97,6 +97,264 @@ describe('SpeedyPipeline', function() {
         await pipeline.release();
     });
 
+    it('converts to other color spaces and back', async function() {
+        const colorSpaces = ['hsv', 'hsl', 'ycbcr', 'lab'];
+
+        display(media, 'Original image');
+
+        for(const colorSpace of colorSpaces) {
+            const pipeline = Speedy.pipeline().convertTo(colorSpace).convertTo('rgb');
+            const converted = await media.run(Speedy.pipeline().convertTo(colorSpace));
+            const rgb = await media.run(pipeline);
+            const error = imerr(rgb, media);
+
+            display(converted, `Converted to ${colorSpace}`);
+            display(rgb, `Converted to ${colorSpace} and back to rgb. Error: ${error}`);
+            expect(error).toBeAnAcceptableImageError();
+
+            await pipeline.release();
+        }
+    });
+
+    it('converts colors to known values', async function() {
+        const red = await Speedy.load({
+            data: new Uint8Array(4 * 4).fill(0).map((_, i) => i % 4 == 0 || i % 4 == 3 ? 255 : 0),
+            width: 2, height: 2
+        }, { usage: 'static' });
+        const expected = {
+            'hsv': [ 0, 255, 255 ],
+            'hsl': [ 0, 255, 128 ],
+            'ycbcr': [ 76, 85, 255 ],
+            'lab': [ 136, 208, 195 ],
+            'greyscale': [ 76, 76, 76 ],
+        };
+
+        for(const colorSpace in expected) {
+            const converted = await red.run(Speedy.pipeline().convertTo(colorSpace));
+            const pixel = Array.from(converted.read({ rect: { x: 0, y: 0, width: 1, height: 1 } })).slice(0, 3);
+            const error = Math.max(...pixel.map((p, i) => Math.abs(p - expected[colorSpace][i])));
+
+            print(`Red in ${colorSpace}: ${pixel}`);
+            expect(error).toBeLessThanOrEqual(2);
+        }
+
+        await red.release();
+    });
+
+    it('rejects operations that don\'t support a color space', async function() {
+        const pipeline = Speedy.pipeline().convertTo('hsv').normalize();
+        await expectAsync(media.run(pipeline)).toBeRejected();
+
+        const hsv = await media.run(Speedy.pipeline().convertTo('hsv'));
+        const detector = Speedy.FeatureDetector.FAST();
+        expect(() => detector.detect(hsv)).toThrow();
+
+        await pipeline.release();
+    });
+
+    it('finds color ranges', async function() {
+        const colors = [ [255, 0, 0], [0, 255, 0], [0, 0, 255], [255, 0, 64] ]; // red, green, blue, pinkish red
+        const image = await Speedy.load({
+            data: new Uint8Array(colors.flatMap(rgb => [...rgb, 255])),
+            width: 4, height: 1
+        }, { usage: 'static' });
+        const mask = async options => {
+            const pipeline = Speedy.pipeline().inRange(options);
+            const output = await image.run(pipeline);
+            const result = Array.from(output.read()).filter((_, i) => i % 4 == 0);
+            await pipeline.release();
+            return result;
+        };
+
+        // RGB
+        expect(await mask({ lower: [0, 200, 0], upper: [50, 255, 50] })).toEqual([0, 255, 0, 0]);
+        expect(await mask({ lower: [200, 0, 0], upper: [255, 50, 255] })).toEqual([255, 0, 0, 255]);
+
+        // HSV with hue wrap-around
+        expect(await mask({ colorSpace: 'hsv', lower: [240, 200, 200], upper: [10, 255, 255] })).toEqual([255, 0, 0, 255]);
+        expect(await mask({ colorSpace: 'hsv', lower: [10, 200, 200], upper: [240, 255, 255] })).toEqual([0, 255, 255, 0]);
+
+        // dynamic options
+        let upper = 100;
+        const pipeline = Speedy.pipeline().inRange(() => ({ colorSpace: 'greyscale', lower: 0, upper }));
+        const dark = (await image.run(pipeline)).read().filter((_, i) => i % 4 == 0);
+        upper = 255;
+        const all = (await image.run(pipeline)).read().filter((_, i) => i % 4 == 0);
+        expect(Array.from(dark)).toEqual([255, 0, 255, 255]);
+        expect(Array.from(all)).toEqual([255, 255, 255, 255]);
+
+        // invalid options
+        await expectAsync(image.run(Speedy.pipeline().inRange({ colorSpace: 'foo' }))).toBeRejected();
+        await expectAsync(image.run(Speedy.pipeline().inRange({ lower: [0, 0] }))).toBeRejected();
+
+        await pipeline.release();
+        await image.release();
+    });
+
+    it('thresholds an image', async function() {
+        // left half is dark, right half is bright
+        const width = 6, height = 5;
+        const data = new Uint8Array(width * height * 4).map((_, i) => i % 4 == 3 ? 255 : ((i >> 2) % width < width / 2 ? 40 : 200));
+        const image = await Speedy.load({ data, width, height }, { usage: 'static' });
+        const expected = Array(width * height).fill(0).map((_, i) => i % width < width / 2 ? 0 : 255);
+        const binarize = async options => {
+            const pipeline = Speedy.pipeline().threshold(options);
+            const output = await image.run(pipeline);
+            const result = Array.from(output.read()).filter((_, i) => i % 4 == 0);
+            await pipeline.release();
+            return result;
+        };
+
+        expect(await binarize({ method: 'binary', value: 100 })).toEqual(expected);
+        expect(await binarize({ method: 'binary', value: 200 })).toEqual(expected.map(() => 0));
+        expect(await binarize({ method: 'binary', value: 100, invert: true })).toEqual(expected.map(x => 255 - x));
+        expect(await binarize({ method: 'otsu' })).toEqual(expected);
+        expect(await binarize({ method: 'otsu', invert: true })).toEqual(expected.map(x => 255 - x));
+
+        // chained thresholds
+        const twice = Speedy.pipeline().threshold({ method: 'binary', value: 100 }).threshold({ method: 'otsu', invert: true });
+        const output = await image.run(twice);
+        expect(Array.from(output.read()).filter((_, i) => i % 4 == 0)).toEqual(expected.map(x => 255 - x));
+        await twice.release();
+
+        await expectAsync(binarize({ method: 'foo' })).toBeRejected();
+        await expectAsync(binarize({ method: 'adaptive-mean', blockSize: 4 })).toBeRejected();
+        await expectAsync(binarize({ method: 'binary', value: NaN })).toBeRejected();
+        await expectAsync(binarize({ method: 'binary', value: -1 })).toBeRejected();
+        await expectAsync(binarize({ method: 'binary', value: 256 })).toBeRejected();
+        await expectAsync(binarize({ method: 'adaptive-mean', c: NaN })).toBeRejected();
+        await expectAsync(binarize({ method: 'adaptive-gaussian', c: 1000 })).toBeRejected();
+
+        await image.release();
+    });
+
+    it('thresholds an image adaptively', async function() {
+        const methods = ['adaptive-mean', 'adaptive-gaussian'];
+
+        display(media);
+        for(const method of methods) {
+            const pipeline = Speedy.pipeline().threshold({ method, blockSize: 11, c: 4 });
+            const binary = await media.run(pipeline);
+            const values = Array.from(binary.read()).filter((_, i) => i % 4 < 3);
+
+            display(binary, `Threshold: ${method}`);
+            expect(values.every(x => x == 0 || x == 255)).toBe(true);
+            expect(values).toContain(0);
+            expect(values).toContain(255);
+
+            await pipeline.release();
+        }
+    });
+
+    it('equalizes the histogram of an image', async function() {
+        // low contrast image: intensities in [100,131]
+        const width = 16, height = 16;
+        const data = new Uint8Array(width * height * 4).map((_, i) => i % 4 == 3 ? 255 : 100 + ((i >> 2) % 32));
+        const image = await Speedy.load({ data, width, height }, { usage: 'static' });
+        const pipelines = [
+            Speedy.pipeline().equalizeHistogram(),
+            Speedy.pipeline().convertTo('greyscale').equalizeHistogram(),
+            Speedy.pipeline().clahe({ clipLimit: 4, tiles: 2 }),
+            Speedy.pipeline().equalizeHistogram().equalizeHistogram(),
+            Speedy.pipeline().clahe({ clipLimit: 4, tiles: 2 }).clahe({ clipLimit: 4, tiles: 2 }),
+            Speedy.pipeline().equalizeHistogram().clahe({ clipLimit: 4, tiles: 2 }),
+            Speedy.pipeline().convertTo('greyscale').clahe({ clipLimit: 4, tiles: 2 }).equalizeHistogram(),
+        ];
+
+        for(const pipeline of pipelines) {
+            const output = await image.run(pipeline);
+            const values = Array.from(output.read()).filter((_, i) => i % 4 == 0);
+
+            expect(Math.min(...values)).toBeLessThan(50);
+            expect(Math.max(...values)).toBeGreaterThan(200);
+
+            await pipeline.release();
+        }
+
+        await image.release();
+    });
+
+    it('applies CLAHE to an image', async function() {
+        display(media);
+        for(const tiles of [1, 4, 8]) {
+            const pipeline = Speedy.pipeline().clahe({ clipLimit: 2, tiles });
+            const enhanced = await media.run(pipeline);
+            display(enhanced, `CLAHE: ${tiles}x${tiles} tiles`);
+            await pipeline.release();
+        }
+
+        const invalid = [ { clipLimit: 0 }, { tiles: 0 }, { tiles: 17 }, { tiles: 2.5 } ];
+        for(const options of invalid) {
+            const pipeline = Speedy.pipeline().clahe(options);
+            await expectAsync(media.run(pipeline)).toBeRejected();
+            await pipeline.release();
+        }
+
+        const hsv = Speedy.pipeline().convertTo('hsv').clahe();
+        await expectAsync(media.run(hsv)).toBeRejected();
+        await hsv.release();
+    });
+
+    it('adjusts brightness, contrast, gamma and saturation', async function() {
+        const width = 4, height = 4;
+        const data = new Uint8Array(width * height * 4).map((_, i) => [ 200, 100, 50, 255 ][i % 4]);
+        const image = await Speedy.load({ data, width, height }, { usage: 'static' });
+        const adjust = async options => {
+            const pipeline = Speedy.pipeline().adjust(options);
+            const output = await image.run(pipeline);
+            const result = Array.from(output.read()).slice(0, 4);
+            await pipeline.release();
+            return result;
+        };
+
+        expect(await adjust({})).toBeElementwiseNearlyTheSamePixels([ 200, 100, 50, 255 ]);
+        expect(await adjust({ brightness: 30 })).toBeElementwiseNearlyTheSamePixels([ 230, 130, 80, 255 ]);
+        expect(await adjust({ brightness: -100 })).toBeElementwiseNearlyTheSamePixels([ 100, 0, 0, 255 ]);
+        expect(await adjust({ contrast: 0 })).toBeElementwiseNearlyTheSamePixels([ 128, 128, 128, 255 ]);
+        expect(await adjust({ gamma: 2 })).toBeElementwiseNearlyTheSamePixels([ 157, 39, 10, 255 ]);
+
+        // chained adjustments
+        const chained = Speedy.pipeline().adjust({ brightness: 30 }).adjust({ gamma: 2 });
+        const output = await image.run(chained);
+        expect(Array.from(output.read()).slice(0, 4)).toBeElementwiseNearlyTheSamePixels([ 207, 66, 25, 255 ]);
+        await chained.release();
+
+        const grey = await adjust({ saturation: 0 });
+        expect(grey[0]).toBeCloseTo(grey[1], -1);
+        expect(grey[1]).toBeCloseTo(grey[2], -1);
+
+        await expectAsync(adjust({ gamma: 0 })).toBeRejected();
+        await expectAsync(adjust({ contrast: -1 })).toBeRejected();
+        await expectAsync(adjust({ brightness: 300 })).toBeRejected();
+
+        await image.release();
+    });
+
+    it('maps pixel intensities using lookup tables', async function() {
+        const invert = Array.from({ length: 256 }, (_, i) => 255 - i);
+        const identity = Array.from({ length: 256 }, (_, i) => i);
+        const zero = Array(256).fill(0);
+        const rgba = Array.from(media.read());
+
+        const inverted = await media.run(Speedy.pipeline().lut(invert));
+        expect(Array.from(inverted.read())).toBeElementwiseNearlyTheSamePixels(rgba.map((x, i) => i % 4 == 3 ? x : 255 - x));
+
+        const twice = await media.run(Speedy.pipeline().lut(invert).lut(invert));
+        expect(Array.from(twice.read())).toBeElementwiseNearlyTheSamePixels(rgba);
+
+        const noRed = await media.run(Speedy.pipeline().lut([ zero, identity, identity ]));
+        expect(Array.from(noRed.read())).toBeElementwiseNearlyTheSamePixels(rgba.map((x, i) => i % 4 == 0 ? 0 : x));
+
+        const greyscale = await media.run(Speedy.pipeline().convertTo('greyscale').lut([ zero, invert, zero ]));
+        const pixels = Array.from(greyscale.read());
+        expect(pixels.filter((_, i) => i % 4 == 0)).toEqual(pixels.filter((_, i) => i % 4 == 1));
+        display(greyscale, 'Inverted greyscale');
+
+        expect(() => Speedy.pipeline().lut([ 1, 2, 3 ])).toThrow();
+        expect(() => Speedy.pipeline().lut([ invert, invert ])).toThrow();
+        expect(() => Speedy.pipeline().lut(identity.slice(1))).toThrow();
+    });
+
     it('blurs an image', async function() {
 
         const filters = ['gaussian', 'box'];
@@ -129,6 +387,91 @@ describe('SpeedyPipeline', function() {
 
     });
 
+    it('removes salt-and-pepper noise with a median filter', async function() {
+        const width = 9, height = 9;
+
+        // a grey image with a few salt & pepper pixels (in every channel)
+        const noise = i => (i % 7 == 0 ? 255 : (i % 11 == 0 ? 0 : 128));
+        const noisy = await Speedy.load({
+            data: new Uint8Array(width * height * 4).map((_, i) => i % 4 == 3 ? 255 : noise(i >> 2)),
+            width, height
+        }, { usage: 'static' });
+
+        for(const size of [3, 5, 7]) {
+            const rgb = Speedy.pipeline().median({ size });
+            const grey = Speedy.pipeline().convertTo('greyscale').median({ size });
+
+            for(const pipeline of [rgb, grey]) {
+                const clone = await noisy.clone();
+                const filtered = await clone.run(pipeline);
+                const pixels = Array.from(filtered.read()).filter((_, i) => i % 4 < 3);
+
+                display(filtered, `Median filter with window size = ${size}`);
+                expect(pixels.every(p => Math.abs(p - 128) <= 1)).toBe(true);
+
+                await pipeline.release();
+                await clone.release();
+            }
+        }
+
+        await expectAsync(noisy.run(Speedy.pipeline().median({ size: 4 }))).toBeRejected();
+        await noisy.release();
+    });
+
+    it('chains median filters', async function() {
+        for(const pipeline of [
+            Speedy.pipeline().median().median({ size: 3 }),
+            Speedy.pipeline().median({ size: 5 }).median({ size: 5 }),
+            Speedy.pipeline().convertTo('greyscale').median({ size: 7 }).median({ size: 7 }),
+        ]) {
+            const twice = await media.run(pipeline);
+            display(twice, 'Median filter applied twice');
+            expect(twice.width).toBe(media.width);
+            expect(twice.height).toBe(media.height);
+            await pipeline.release();
+        }
+    });
+
+    it('smooths an image while preserving its edges', async function() {
+        const width = 8, height = 8;
+
+        // vertical edge: black on the left, white on the right
+        const edge = await Speedy.load({
+            data: new Uint8Array(width * height * 4).map((_, i) => i % 4 == 3 || (i >> 2) % width >= width / 2 ? 255 : 0),
+            width, height
+        }, { usage: 'static' });
+        const isSharp = pixels => pixels.every(p => p <= 1 || p >= 254);
+
+        const pipelines = [
+            Speedy.pipeline().bilateral(),
+            Speedy.pipeline().convertTo('greyscale').bilateral({ diameter: 7, sigmaSpace: 3 }),
+            Speedy.pipeline().bilateral().bilateral().bilateral(), // repeated passes
+            Speedy.pipeline().threshold().bilateral(), // binary images are filtered as greyscale
+        ];
+        for(const pipeline of pipelines) {
+            const clone = await edge.clone();
+            const filtered = await clone.run(pipeline);
+            const pixels = Array.from(filtered.read()).filter((_, i) => i % 4 < 3);
+
+            display(filtered, 'Bilateral filter');
+            expect(isSharp(pixels)).toBe(true);
+
+            await pipeline.release();
+            await clone.release();
+        }
+
+        // a Gaussian blur doesn't preserve the edge
+        const blur = Speedy.pipeline().blur();
+        const blurred = await (await edge.clone()).run(blur);
+        expect(isSharp(Array.from(blurred.read()).filter((_, i) => i % 4 < 3))).toBe(false);
+        await blur.release();
+        await blurred.release();
+
+        await expectAsync(edge.run(Speedy.pipeline().bilateral({ diameter: 4 }))).toBeRejected();
+        await expectAsync(edge.run(Speedy.pipeline().bilateral({ sigmaColor: 0 }))).toBeRejected();
+        await edge.release();
+    });
+
     describe('Convolution', function() {
         let square, pipelines;
         const convolution = kernel => (pipelines = [...pipelines, Speedy.pipeline().convolve(kernel)])[pipelines.length - 1];
@@ -206,6 +549,45 @@ describe('SpeedyPipeline', function() {
             });
         });
 
+        it('convolves with large kernels', async function() {
+            const identity = size => Array(size * size).fill(0).map((_, i) => i == (size * size) >> 1 ? 1 : 0);
+            const convolved = await square.run(convolution(identity(15)));
+
+            display(convolved, 'Convolution 15x15');
+            expect(pixels(convolved))
+            .toBeElementwiseNearlyTheSamePixels(pixels(square));
+
+            const impulse = size => identity(size).slice(size * (size >> 1), size * (size >> 1) + size);
+            const chained = Speedy.pipeline().convolve(identity(9)).convolve(identity(9)).separableConvolve(impulse(13), impulse(13));
+            const convolvedTwice = await square.run(chained);
+            display(convolvedTwice, 'Convolution 9x9, 9x9 & separable 13x13');
+            expect(pixels(convolvedTwice))
+            .toBeElementwiseNearlyTheSamePixels(pixels(square));
+            await chained.release();
+
+            expect(() => Speedy.pipeline().convolve(identity(33))).toThrow();
+        });
+
+        it('convolves with separable kernels', async function() {
+            const clone = await square.clone();
+            const box = Array(9).fill(1);
+            const separable = Speedy.pipeline().separableConvolve([ 1, 1, 1 ], [ 1, 1, 1 ], 9);
+            const convolved = await square.run(separable);
+            const boxed = await clone.run(convolution(box.map(x => x / 9)));
+
+            const error = imerr(convolved, boxed);
+            display(convolved, 'Separable convolution');
+            display(boxed, 'Full 2D convolution');
+            display(imdiff(convolved, boxed), `Error: ${error}`);
+            expect(error).toBeAnAcceptableImageError();
+
+            expect(() => Speedy.pipeline().separableConvolve([ 1, 1 ], [ 1, 1, 1 ])).toThrow();
+            expect(() => Speedy.pipeline().separableConvolve([ 1, 1, 1 ], [ 1 ])).toThrow();
+
+            await separable.release();
+            await clone.release();
+        });
+
         it('brightens an image', async function() {
             const pipeline = Speedy.pipeline()
                                    .convolve([
@@ -404,6 +786,673 @@ describe('SpeedyPipeline', function() {
 
     });
 
+    describe('Edge detection', function() {
+        it('finds the edges of a square', async function() {
+            // white square on a black background
+            const size = 16;
+            const data = new Uint8Array(size * size * 4).map((_, i) => {
+                const x = (i >> 2) % size, y = (i >> 2) / size | 0;
+                return (i % 4 == 3) || (x >= 4 && x < 12 && y >= 4 && y < 12) ? 255 : 0;
+            });
+            const square = await Speedy.load({ data, width: size, height: size }, { usage: 'static' });
+            const pipeline = Speedy.pipeline().canny({ blurSize: 0 });
+            const edges = await square.run(pipeline);
+            const pixels = Array.from(edges.read()).filter((_, i) => i % 4 == 0);
+            const at = (x, y) => pixels[y * size + x];
+
+            display(edges, 'Canny edges');
+            expect(pixels.every(p => p == 0 || p == 255)).toBe(true);
+
+            // edges lie on the border of the square
+            for(let y = 0; y < size; y++) {
+                for(let x = 0; x < size; x++) {
+                    const nearBorder = (x >= 3 && x <= 12 && y >= 3 && y <= 12) && !(x >= 5 && x <= 10 && y >= 5 && y <= 10);
+                    if(!nearBorder)
+                        expect(at(x, y)).toBe(0);
+                }
+            }
+
+            // the middle of each side is an edge
+            expect(at(3, 8) | at(4, 8)).toBe(255);
+            expect(at(11, 8) | at(12, 8)).toBe(255);
+            expect(at(8, 3) | at(8, 4)).toBe(255);
+            expect(at(8, 11) | at(8, 12)).toBe(255);
+
+            await pipeline.release();
+            await square.release();
+        });
+
+        it('computes image gradients', async function() {
+            // horizontal ramp: intensity = 10x
+            const size = 16;
+            const data = new Uint8Array(size * size * 4).map((_, i) => i % 4 == 3 ? 255 : 10 * ((i >> 2) % size));
+            const ramp = await Speedy.load({ data, width: size, height: size }, { usage: 'static' });
+            const interior = values => Array.from(values).filter((_, i) => {
+                const x = i % size, y = i / size | 0;
+                return x >= 3 && x < size - 3 && y >= 3 && y < size - 3;
+            });
+            const compute = async pipeline => {
+                const output = await ramp.run(pipeline);
+                const values = interior(Speedy.decodeFixedPoint(output.read()));
+                await pipeline.release();
+                return values;
+            };
+
+            expect(await compute(Speedy.pipeline().sobel())).toEqual(Array(100).fill(10));
+            expect(await compute(Speedy.pipeline().sobel({ ksize: 7 }))).toEqual(Array(100).fill(10));
+            expect(await compute(Speedy.pipeline().sobel({ dx: 0, dy: 1 }))).toEqual(Array(100).fill(0));
+            expect(await compute(Speedy.pipeline().sobel({ dx: 2, dy: 0, ksize: 5 }))).toEqual(Array(100).fill(0));
+            expect(await compute(Speedy.pipeline().scharr())).toEqual(Array(100).fill(10));
+            expect(await compute(Speedy.pipeline().flip().scharr())).toEqual(Array(100).fill(-10));
+            expect(await compute(Speedy.pipeline().gradientMagnitude())).toEqual(Array(100).fill(10));
+            expect(await compute(Speedy.pipeline().gradientOrientation())).toEqual(Array(100).fill(0));
+            expect(await compute(Speedy.pipeline().transpose().gradientOrientation())).toEqual(Array(100).fill(90));
+            expect(await compute(Speedy.pipeline().flip().gradientOrientation())).toEqual(Array(100).fill(180));
+
+            await expectAsync(ramp.run(Speedy.pipeline().sobel({ dx: 0, dy: 0 }))).toBeRejected();
+            await expectAsync(ramp.run(Speedy.pipeline().sobel({ ksize: 4 }))).toBeRejected();
+            await expectAsync(ramp.run(Speedy.pipeline().scharr({ dx: 1, dy: 1 }))).toBeRejected();
+            await expectAsync(ramp.run(Speedy.pipeline().sobel().convertTo('rgb'))).toBeRejected();
+
+            await ramp.release();
+        });
+
+        it('computes second derivatives', async function() {
+            // quadratic image: intensity = x^2
+            const size = 16;
+            const data = new Uint8Array(size * size * 4).map((_, i) => i % 4 == 3 ? 255 : ((i >> 2) % size) ** 2);
+            const parabola = await Speedy.load({ data, width: size, height: size }, { usage: 'static' });
+            const compute = async (pipeline, margin) => {
+                const output = await parabola.run(pipeline);
+                const values = Array.from(Speedy.decodeFixedPoint(output.read())).filter((_, i) => {
+                    const x = i % size, y = i / size | 0;
+                    return x >= margin && x < size - margin && y >= margin && y < size - margin;
+                });
+                await pipeline.release();
+                return values;
+            };
+            const expectAll = (values, expected) => expect(
+                values.every(v => Math.abs(v - expected) <= 0.25)
+            ).withContext(`${values} vs ${expected}`).toBe(true);
+
+            // the Laplacian of x^2 is 2
+            expectAll(await compute(Speedy.pipeline().laplacian(), 1), 2);
+            expectAll(await compute(Speedy.pipeline().laplacian({ ksize: 3 }), 1), 2);
+            expectAll(await compute(Speedy.pipeline().laplacian({ ksize: 7 }), 3), 2);
+            expectAll(await compute(Speedy.pipeline().log({ sigma: 1 }), 3), 2);
+
+            // smoothing x^2 with a Gaussian adds sigma^2
+            expectAll(await compute(Speedy.pipeline().dog({ sigma1: 1, sigma2: 1.6 }), 5), 1 - 1.6 * 1.6);
+
+            await expectAsync(parabola.run(Speedy.pipeline().laplacian({ ksize: 9 }))).toBeRejected();
+            await expectAsync(parabola.run(Speedy.pipeline().log({ sigma: 0 }))).toBeRejected();
+            await expectAsync(parabola.run(Speedy.pipeline().dog({ sigma1: 1, sigma2: 6 }))).toBeRejected();
+
+            await parabola.release();
+        });
+
+        it('finds edges in a photo', async function() {
+            const weak = Speedy.pipeline().canny({ low: 20, high: 60 });
+            const strong = Speedy.pipeline().canny({ low: 100, high: 300 });
+            const count = media => media.read().filter((p, i) => i % 4 == 0 && p > 0).length;
+
+            const weakEdges = await media.run(weak);
+            const weakCount = count(weakEdges);
+            const strongEdges = await media.run(strong);
+            const strongCount = count(strongEdges);
+
+            display(weakEdges, `Canny edges (low thresholds): ${weakCount} pixels`);
+            display(strongEdges, `Canny edges (high thresholds): ${strongCount} pixels`);
+            expect(strongCount).toBeGreaterThan(0);
+            expect(weakCount).toBeGreaterThan(strongCount);
+
+            // the output of canny can be thresholded again
+            const thresholded = Speedy.pipeline().canny({ low: 20, high: 60 }).threshold({ value: 127 });
+            expect(count(await media.run(thresholded))).toBe(weakCount);
+            await thresholded.release();
+
+            await expectAsync(media.run(Speedy.pipeline().canny({ low: 100, high: 50 }))).toBeRejected();
+            await expectAsync(media.run(Speedy.pipeline().canny({ blurSize: 4 }))).toBeRejected();
+
+            await strong.release();
+            await weak.release();
+        });
+    });
+
+    describe('Morphology', function() {
+        const size = 7;
+        let dot, hole;
+
+        // load a binary image given a predicate that selects the white pixels
+        const binaryImage = isWhite => Speedy.load({
+            data: new Uint8Array(size * size * 4).map((_, i) => i % 4 == 3 || isWhite((i >> 2) % size, (i >> 2) / size | 0) ? 255 : 0),
+            width: size, height: size
+        }, { usage: 'static' });
+
+        // which pixels are white?
+        const whitePixels = async (media, pipeline) => {
+            const output = await media.run(pipeline);
+            const result = Array.from(output.read()).filter((_, i) => i % 4 == 0);
+            await pipeline.release();
+            return result.map((p, i) => p > 0 ? i : -1).filter(i => i >= 0);
+        };
+        const at = (x, y) => y * size + x;
+
+        beforeEach(async function() {
+            dot = await binaryImage((x, y) => x == 3 && y == 3); // single white pixel at the center
+            hole = await binaryImage((x, y) => !(x == 3 && y == 3)); // single black pixel at the center
+        });
+
+        afterEach(async function() {
+            await hole.release();
+            await dot.release();
+        });
+
+        it('erodes and dilates an image', async function() {
+            const square = [ at(2,2), at(3,2), at(4,2), at(2,3), at(3,3), at(4,3), at(2,4), at(3,4), at(4,4) ];
+            const cross = [ at(3,2), at(2,3), at(3,3), at(4,3), at(3,4) ];
+
+            expect(await whitePixels(dot, Speedy.pipeline().dilate())).toEqual(square);
+            expect(await whitePixels(dot, Speedy.pipeline().dilate({ shape: 'cross' }))).toEqual(cross);
+            expect(await whitePixels(dot, Speedy.pipeline().dilate({ shape: 'ellipse' }))).toEqual(cross);
+            expect((await whitePixels(dot, Speedy.pipeline().dilate({ size: 5 }))).length).toBe(25);
+            expect((await whitePixels(dot, Speedy.pipeline().dilate({ iterations: 2 }))).length).toBe(25);
+            expect(await whitePixels(dot, Speedy.pipeline().dilate().erode())).toEqual([ at(3,3) ]);
+            expect(await whitePixels(dot, Speedy.pipeline().erode())).toEqual([]);
+        });
+
+        it('opens and closes an image', async function() {
+            expect(await whitePixels(dot, Speedy.pipeline().open())).toEqual([]);
+            expect((await whitePixels(hole, Speedy.pipeline().close())).length).toBe(size * size);
+        });
+
+        it('computes the morphological gradient and the top hat', async function() {
+            const block = Array(25).fill(0).map((_, i) => at(1 + i % 5, 1 + (i / 5 | 0))); // 5x5 block at the center
+            const cross = [ at(3,2), at(2,3), at(3,3), at(4,3), at(3,4) ];
+
+            // 3x3 square: dilation is a 5x5 block and erosion is a single pixel
+            expect(await whitePixels(dot, Speedy.pipeline().dilate().morphGradient())).toEqual(block.filter(i => i != at(3,3)));
+
+            // a 3x3 square doesn't fit in a cross: its opening is empty
+            expect(await whitePixels(dot, Speedy.pipeline().dilate({ shape: 'cross' }).tophat())).toEqual(cross);
+            expect(await whitePixels(dot, Speedy.pipeline().dilate().tophat())).toEqual([]);
+        });
+
+        it('rejects invalid structuring elements', async function() {
+            await expectAsync(dot.run(Speedy.pipeline().erode({ shape: 'foo' }))).toBeRejected();
+            await expectAsync(dot.run(Speedy.pipeline().erode({ size: 4 }))).toBeRejected();
+            await expectAsync(dot.run(Speedy.pipeline().erode({ size: 17 }))).toBeRejected();
+            await expectAsync(dot.run(Speedy.pipeline().erode({ iterations: 0 }))).toBeRejected();
+        });
+    });
+
+    describe('Geometric transformations', function() {
+
+        it('resizes an image', async function() {
+            const methods = ['nearest', 'bilinear', 'area'];
+            const originalWidth = media.width;
+            const width = Math.round(media.width / 2);
+            const height = Math.round(media.height / 2);
+
+            display(media, 'Original image');
+
+            for(const method of methods) {
+                const pipeline = Speedy.pipeline().resize({ width, height, method });
+                const resized = await media.run(pipeline);
+
+                display(resized, `Resized using ${method} interpolation`);
+                expect(resized.width).toBe(width);
+                expect(resized.height).toBe(height);
+
+                // same as scaling by a factor
+                const scaled = await media.run(Speedy.pipeline().scale(0.5, method));
+                expect(scaled.width).toBe(width);
+                expect(scaled.height).toBe(height);
+                expect(imerr(resized, scaled)).toBeAnAcceptableImageError();
+
+                await pipeline.release();
+            }
+
+            // keep the aspect ratio
+            const resized = await media.run(Speedy.pipeline().resize({ width: 100 }));
+            expect(resized.width).toBe(100);
+            expect(resized.height).toBe(Math.round(media.height * 100 / media.width));
+
+            // the media keeps its dimensions
+            expect(media.width).toBe(originalWidth);
+        });
+
+        it('upscales an image', async function() {
+            const small = await media.run(Speedy.pipeline().scale(0.25, 'area'));
+            const large = await small.run(Speedy.pipeline().scale(4, 'bilinear'));
+
+            display(small, 'Small image');
+            display(large, 'Upscaled image');
+
+            expect(large.width).toBe(4 * small.width);
+            expect(large.height).toBe(4 * small.height);
+        });
+
+        it('crops an image', async function() {
+            const rect = { x: 50, y: 30, width: 120, height: 80 };
+            const pipeline = Speedy.pipeline().crop(rect);
+            const cropped = await media.run(pipeline);
+
+            display(cropped, 'Cropped image');
+            expect(cropped.width).toBe(rect.width);
+            expect(cropped.height).toBe(rect.height);
+            expect(cropped.read()).toBeElementwiseEqual(media.read({ rect }));
+
+            // rectangles out of bounds are rejected
+            const invalid = Speedy.pipeline().crop({ x: media.width - 10, y: 0, width: 20, height: 20 });
+            await expectAsync(media.run(invalid)).toBeRejected();
+
+            await invalid.release();
+            await pipeline.release();
+        });
+
+        it('chains resizes and crops', async function() {
+            const rect = { x: 50, y: 30, width: 120, height: 80 };
+            const expected = await media.run(Speedy.pipeline().crop(rect));
+
+            const cropResize = await media.run(Speedy.pipeline().crop(rect).resize({ width: rect.width, height: rect.height, method: 'nearest' }));
+            expect(cropResize.read()).toBeElementwiseEqual(expected.read());
+
+            const resizeTwice = await media.run(Speedy.pipeline().resize({ width: 100, height: 50 }).resize({ width: 100, height: 50 }));
+            const resizeOnce = await media.run(Speedy.pipeline().resize({ width: 100, height: 50 }));
+            expect(imerr(resizeTwice, resizeOnce)).toBeAnAcceptableImageError();
+
+            const resizeDifferent = await media.run(Speedy.pipeline().resize({ width: 200, height: 100 }).resize({ width: 100, height: 50 }));
+            expect(resizeDifferent.width).toBe(100);
+            expect(imerr(resizeDifferent, resizeOnce)).toBeAnAcceptableImageError();
+        });
+
+        it('chains geometric transformations with other operations', async function() {
+            const pipeline = Speedy.pipeline()
+                                   .crop({ x: 0, y: 0, width: 200, height: 200 })
+                                   .convertTo('greyscale')
+                                   .resize({ width: 100, height: 50, method: 'area' })
+                                   .blur();
+            const output = await media.run(pipeline);
+
+            display(output, 'Crop, convert to greyscale, resize & blur');
+            expect(output.width).toBe(100);
+            expect(output.height).toBe(50);
+
+            await pipeline.release();
+        });
+
+        it('warps an image using the identity', async function() {
+            const identity = Speedy.Matrix.Eye(3);
+            const pipeline = Speedy.pipeline().warpPerspective(identity);
+            const warped = await media.run(pipeline);
+
+            display(warped, 'Warped using the identity');
+            expect(imerr(warped, media)).toBeAnAcceptableImageError();
+
+            await pipeline.release();
+        });
+
+        it('warps an image using a translation', async function() {
+            const translation = Speedy.Matrix(2, 3, [
+                1, 0,
+                0, 1,
+                -10, -5
+            ]);
+            const pipeline = Speedy.pipeline().warpAffine(translation);
+            const warped = await media.run(pipeline);
+            const rect = { x: 0, y: 0, width: media.width - 10, height: media.height - 5 };
+
+            display(warped, 'Translated image');
+            expect(warped.read({ rect })).toBeElementwiseEqual(media.read({ rect: { ...rect, x: 10, y: 5 } }));
+
+            await pipeline.release();
+        });
+
+        it('chains warps', async function() {
+            const translation = Speedy.Matrix(2, 3, [ 1, 0, 0, 1, -10, -5 ]);
+            const inverse = Speedy.Matrix(2, 3, [ 1, 0, 0, 1, 10, 5 ]);
+            const identity = Speedy.Matrix.Eye(3);
+            const pipeline = Speedy.pipeline()
+                                   .warpAffine(translation)
+                                   .warpAffine(inverse)
+                                   .warpPerspective(identity)
+                                   .warpPerspective(identity);
+            const warped = await media.run(pipeline);
+            const rect = { x: 10, y: 5, width: media.width - 10, height: media.height - 5 };
+
+            display(warped, 'Chained warps');
+            expect(warped.read({ rect })).toBeElementwiseEqual(media.read({ rect }));
+
+            await pipeline.release();
+        });
+
+        it('warps an image with different border modes', async function() {
+            const translation = Speedy.Matrix(2, 3, [ 1, 0, 0, 1, 10, 0 ]);
+            const column = { x: 0, y: 0, width: 1, height: media.height };
+            const borderColor = [ 255, 0, 0, 255 ];
+
+            const constant = await media.run(Speedy.pipeline().warpAffine(translation, { border: 'constant', borderColor }));
+            const replicate = await media.run(Speedy.pipeline().warpAffine(translation, { border: 'replicate' }));
+            const reflect = await media.run(Speedy.pipeline().warpAffine(translation, { border: 'reflect' }));
+
+            display(constant, 'Constant border');
+            display(replicate, 'Replicated border');
+            display(reflect, 'Reflected border');
+
+            const red = Array(media.height).fill(borderColor).flat();
+            expect(Array.from(constant.read({ rect: column }))).toEqual(red);
+            expect(replicate.read({ rect: column })).toBeElementwiseEqual(media.read({ rect: column }));
+            expect(reflect.read({ rect: column })).toBeElementwiseEqual(media.read({ rect: { ...column, x: 9 } }));
+        });
+
+        it('flips an image', async function() {
+            const lastColumn = { x: media.width - 1, y: 0, width: 1, height: media.height };
+            const lastRow = { x: 0, y: media.height - 1, width: media.width, height: 1 };
+
+            const mirrored = await media.run(Speedy.pipeline().flip());
+            const upsideDown = await media.run(Speedy.pipeline().flip({ horizontal: false, vertical: true }));
+            const twice = await media.run(Speedy.pipeline().flip({ horizontal: true, vertical: true }).flip({ horizontal: true, vertical: true }));
+
+            display(mirrored, 'Flipped horizontally');
+            display(upsideDown, 'Flipped vertically');
+
+            expect(mirrored.read({ rect: { ...lastColumn, x: 0 } })).toBeElementwiseEqual(media.read({ rect: lastColumn }));
+            expect(upsideDown.read({ rect: { ...lastRow, y: 0 } })).toBeElementwiseEqual(media.read({ rect: lastRow }));
+            expect(twice.read()).toBeElementwiseEqual(media.read());
+        });
+
+        it('rotates and transposes an image', async function() {
+            const rotated = await media.run(Speedy.pipeline().rotate(90));
+            const transposed = await media.run(Speedy.pipeline().transpose().flip());
+            const fullTurn = await media.run(Speedy.pipeline().rotate(90).rotate(180).rotate(-270));
+
+            display(rotated, 'Rotated by 90 degrees');
+            display(fullTurn, 'Rotated by 360 degrees');
+
+            expect(rotated.width).toBe(media.height);
+            expect(rotated.height).toBe(media.width);
+            expect(rotated.read()).toBeElementwiseEqual(transposed.read());
+            expect(fullTurn.width).toBe(media.width);
+            expect(fullTurn.height).toBe(media.height);
+            expect(fullTurn.read()).toBeElementwiseEqual(media.read());
+
+            await expectAsync(media.run(Speedy.pipeline().rotate(45))).toBeRejected();
+        });
+
+        it('doesn\'t warp using matrices of invalid sizes', async function() {
+            const matrix = Speedy.Matrix.Eye(2);
+
+            await expectAsync(media.run(Speedy.pipeline().warpPerspective(matrix))).toBeRejected();
+            await expectAsync(media.run(Speedy.pipeline().warpAffine(matrix))).toBeRejected();
+        });
+
+    });
+
+    describe('Two-input operations', function() {
+        const width = 4, height = 4;
+        const load = (r, g, b) => Speedy.load({
+            data: new Uint8Array(width * height * 4).map((_, i) => [ r, g, b, 255 ][i % 4]),
+            width, height
+        }, { usage: 'static' });
+        const firstPixel = async (media, pipeline) => {
+            const output = await media.run(pipeline);
+            const pixel = Array.from(output.read()).slice(0, 4);
+            await pipeline.release();
+            return pixel;
+        };
+
+        it('computes pixel-wise arithmetic operations', async function() {
+            const a = await load(200, 100, 12), b = await load(50, 150, 10);
+
+            expect(await firstPixel(a, Speedy.pipeline().absdiff(b))).toBeElementwiseNearlyTheSamePixels([ 150, 50, 2, 255 ]);
+            expect(await firstPixel(a, Speedy.pipeline().add(b))).toBeElementwiseNearlyTheSamePixels([ 250, 250, 22, 255 ]);
+            expect(await firstPixel(b, Speedy.pipeline().add(a).add(a))).toBeElementwiseNearlyTheSamePixels([ 255, 255, 34, 255 ]);
+            expect(await firstPixel(a, Speedy.pipeline().subtract(b))).toBeElementwiseNearlyTheSamePixels([ 150, 0, 2, 255 ]);
+            expect(await firstPixel(a, Speedy.pipeline().multiply(b))).toBeElementwiseNearlyTheSamePixels([ 39, 59, 0, 255 ]);
+            expect(await firstPixel(a, Speedy.pipeline().blend(b, 0.5))).toBeElementwiseNearlyTheSamePixels([ 125, 125, 11, 255 ]);
+            expect(await firstPixel(a, Speedy.pipeline().blend(b, 1))).toBeElementwiseNearlyTheSamePixels([ 50, 150, 10, 255 ]);
+
+            await a.release();
+            await b.release();
+        });
+
+        it('computes bitwise operations', async function() {
+            const a = await load(0b11001100, 0xff, 0), b = await load(0b10101010, 0x0f, 0);
+
+            expect(await firstPixel(a, Speedy.pipeline().bitwiseAnd(b))).toEqual([ 0b10001000, 0x0f, 0, 255 ]);
+            expect(await firstPixel(a, Speedy.pipeline().bitwiseOr(b))).toEqual([ 0b11101110, 0xff, 0, 255 ]);
+            expect(await firstPixel(a, Speedy.pipeline().bitwiseXor(b))).toEqual([ 0b01100110, 0xf0, 0, 255 ]);
+
+            await a.release();
+            await b.release();
+        });
+
+        it('accepts the output of a pipeline as the second input', async function() {
+            const a = await load(200, 100, 12), b = await load(50, 150, 10);
+            const greyscale = Speedy.pipeline().convertTo('greyscale');
+
+            const expected = await firstPixel(a, Speedy.pipeline().convertTo('greyscale').absdiff(await b.run(greyscale)));
+            const actual = await firstPixel(a, Speedy.pipeline().convertTo('greyscale').absdiff(b.run(greyscale)));
+            expect(actual).toEqual(expected);
+
+            const pipeline = Speedy.pipeline().absdiff(Promise.resolve(null));
+            await expectAsync(a.run(pipeline)).toBeRejected();
+
+            await pipeline.release();
+            await greyscale.release();
+            await a.release();
+            await b.release();
+        });
+
+        it('applies a mask', async function() {
+            const mask = await media.run(Speedy.pipeline().convertTo('greyscale').threshold({ value: 127 }));
+            const masked = await media.run(Speedy.pipeline().applyMask(mask));
+            const pixels = Array.from(masked.read()), rgba = Array.from(media.read()), m = Array.from(mask.read());
+
+            display(mask, 'Mask');
+            display(masked, 'Masked image');
+            expect(pixels.filter((_, i) => i % 4 < 3 && m[i - i % 4] == 0).every(x => x == 0)).toBe(true);
+            expect(pixels.filter((_, i) => i % 4 < 3 && m[i - i % 4] != 0))
+                .toBeElementwiseNearlyTheSamePixels(rgba.filter((_, i) => i % 4 < 3 && m[i - i % 4] != 0));
+        });
+
+        it('validates the second input', async function() {
+            const a = await load(1, 2, 3);
+            const grey = await a.run(Speedy.pipeline().convertTo('greyscale'));
+            const small = await a.run(Speedy.pipeline().resize({ width: 2, height: 2 }));
+            const released = await load(1, 2, 3);
+            await released.release();
+
+            expect(() => Speedy.pipeline().absdiff(null)).toThrow();
+            expect(() => Speedy.pipeline().applyMask([ 1, 2, 3 ])).toThrow();
+            expect(() => Speedy.pipeline().blend(a, 2)).toThrow();
+            expect(() => Speedy.pipeline().blend(a, -0.5)).toThrow();
+            expect(() => Speedy.pipeline().blend(a, NaN)).toThrow();
+
+            const rejected = [
+                Speedy.pipeline().add(grey),
+                Speedy.pipeline().subtract(small),
+                Speedy.pipeline().multiply(released),
+                Speedy.pipeline().applyMask(a),
+                Speedy.pipeline().convertTo('hsv').add(a),
+            ];
+            for(const pipeline of rejected) {
+                await expectAsync(a.run(pipeline)).toBeRejected();
+                await pipeline.release();
+            }
+
+            await expectAsync(a.run(Speedy.pipeline().convertTo('greyscale').bitwiseOr(grey))).toBeResolved();
+            await a.release();
+        });
+    });
+
+    describe('Custom shaders', function() {
+        const invert = `
+            uniform sampler2D image;
+            uniform float amount;
+
+            void main()
+            {
+                vec4 pixel = threadPixel(image);
+                color = vec4(mix(pixel.rgb, vec3(1.0f) - pixel.rgb, amount), pixel.a);
+            }
+        `;
+
+        it('runs user-defined shaders', async function() {
+            let amount = 1.0;
+            const pipeline = Speedy.pipeline().shader(invert, { uniforms: { amount: () => amount } });
+
+            const inverted = await (await media.run(pipeline)).clone();
+            const groundTruth = await Speedy.load(createCanvasFromPixels(
+                media.width, media.height,
+                pixels(media).map((p, i) => i % 4 == 3 ? p : 255 - p)
+            ));
+            const error = imerr(groundTruth, inverted);
+
+            display(inverted, 'Custom shader');
+            expect(error).toBeAnAcceptableImageError();
+
+            // uniforms given as functions are evaluated at run time
+            amount = 0.0;
+            const unchanged = await media.run(pipeline);
+            expect(pixels(unchanged)).toBeElementwiseNearlyTheSamePixels(pixels(media));
+
+            await groundTruth.release();
+            await inverted.release();
+            await pipeline.release();
+        });
+
+        it('accepts shaders with includes', async function() {
+            const pipeline = Speedy.pipeline().shader(`
+                @include "colors.glsl"
+                uniform sampler2D image;
+
+                void main()
+                {
+                    color = threadPixel(image);
+                }
+            `);
+
+            const output = await media.run(pipeline);
+            expect(pixels(output)).toBeElementwiseNearlyTheSamePixels(pixels(media));
+
+            await pipeline.release();
+        });
+
+        it('reports the offending line of code', async function() {
+            const pipeline = Speedy.pipeline().shader([
+                'uniform sampler2D image;',
+                '',
+                'void main()',
+                '{',
+                '    color = undeclaredVariable;',
+                '}',
+            ].join('\n'));
+
+            let error = null;
+            try { await media.run(pipeline); } catch(err) { error = err; }
+
+            expect(error).not.toBeNull();
+            expect(error.name).toBe('ShaderCompilationError');
+            expect(error.lineNumber).toBe(5);
+            expect(error.lineOfCode).toContain('undeclaredVariable');
+
+            await pipeline.release();
+        });
+
+        it('rejects invalid shaders', async function() {
+            expect(() => Speedy.pipeline().shader('void main() { color = vec4(1.0f); }')).toThrow();
+            await expectAsync(media.run(Speedy.pipeline().shader(invert))).toBeRejected(); // missing uniform
+        });
+    });
+
+    describe('Background subtraction', function() {
+        const width = 16, height = 16;
+        const isInsideSquare = i => Math.abs(i % width - 8) < 4 && Math.abs(Math.floor(i / width) - 8) < 4;
+        let data, video;
+
+        // a static scene with (or without) a bright square
+        const drawFrame = withSquare => data.set(data.map((_, i) =>
+            i % 4 == 3 ? 255 : (withSquare && isInsideSquare(i >> 2) ? 220 : 100)
+        ));
+        const foreground = async pipeline => {
+            const output = await video.run(pipeline);
+            return Array.from(output.read()).filter((_, i) => i % 4 == 0);
+        };
+        const square = Array.from({ length: width * height }, (_, i) => isInsideSquare(i) ? 255 : 0);
+        const black = Array(width * height).fill(0);
+
+        beforeEach(async function() {
+            data = new Uint8Array(width * height * 4);
+            video = await Speedy.load({ data, width, height }, { usage: 'dynamic' });
+        });
+
+        afterEach(async function() {
+            await video.release();
+        });
+
+        it('finds moving objects', async function() {
+            for(const method of [ 'running-average', 'median-approx', 'mog' ]) {
+                const pipeline = Speedy.pipeline().backgroundSubtract({ method });
+
+                drawFrame(false);
+                for(let i = 0; i < 5; i++)
+                    expect(await foreground(pipeline)).toEqual(black);
+
+                drawFrame(true);
+                expect(await foreground(pipeline)).toEqual(square);
+
+                await pipeline.release();
+            }
+        });
+
+        it('adapts to changes in the background', async function() {
+            const pipeline = Speedy.pipeline().backgroundSubtract({ method: 'running-average', learningRate: 0.5 });
+
+            drawFrame(false);
+            await foreground(pipeline);
+
+            drawFrame(true);
+            expect(await foreground(pipeline)).toEqual(square);
+            for(let i = 0; i < 10; i++)
+                await foreground(pipeline);
+            expect(await foreground(pipeline)).toEqual(black);
+
+            await pipeline.release();
+        });
+
+        it('reinitializes the model after losing the WebGL context', async function() {
+            const pipeline = Speedy.pipeline().convertTo('greyscale').backgroundSubtract();
+
+            drawFrame(false);
+            await foreground(pipeline);
+            await video._gpu.loseAndRestoreWebGLContext();
+
+            drawFrame(true);
+            expect(await foreground(pipeline)).toEqual(black); // the model is initialized with this frame
+
+            drawFrame(false);
+            expect(await foreground(pipeline)).toEqual(square);
+
+            await pipeline.release();
+        });
+
+        it('validates its options', async function() {
+            const invalid = [ { method: 'foo' }, { learningRate: 0 }, { learningRate: 2 }, { threshold: -1 } ];
+
+            for(const options of invalid) {
+                const pipeline = Speedy.pipeline().backgroundSubtract(options);
+                await expectAsync(video.run(pipeline)).toBeRejected();
+                await pipeline.release();
+            }
+
+            const hsv = Speedy.pipeline().convertTo('hsv').backgroundSubtract();
+            await expectAsync(video.run(hsv)).toBeRejected();
+            await hsv.release();
+        });
+    });
+
     it('recovers from WebGL context loss', async function() {
         const pipeline = Speedy.pipeline().blur().convolve([
             -1,-1,-1,
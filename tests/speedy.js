@@ -33,4 +33,51 @@ describe('Speedy', function() {
         expect(Speedy.version).toBeDefined();
     });
 
+    it('decodes fixed-point numbers', function() {
+        const pixels = new Uint8Array([
+            8, 0, 0, 255,       // 1
+            0xF8, 0xFF, 0, 255, // -1
+            0x14, 0x00, 0, 255, // 2.5
+            0x00, 0x80, 0, 255, // -4096
+        ]);
+
+        expect(Array.from(Speedy.decodeFixedPoint(pixels))).toEqual([ 1, -1, 2.5, -4096 ]);
+        expect(() => Speedy.decodeFixedPoint(new Uint8Array(3))).toThrow();
+    });
+
+    it('detects features in a Web Worker', async function() {
+        const image = await loadImage('speedy.jpg');
+        const worker = Speedy.worker();
+
+        const features = await worker.detect(image, { method: 'fast', usage: 'static' });
+        const media = await Speedy.load(image);
+        const expected = await Speedy.FeatureDetector.FAST().detect(media);
+
+        print(`Found ${features.length} features in a worker (expected ${expected.length})`);
+        displayFeatures(media, features, 'Features detected in a worker');
+
+        expect(features.length).toBe(expected.length);
+        expect(features.every(feature => feature.constructor.name == 'SpeedyFeature')).toBe(true);
+
+        await media.release();
+        await worker.terminate();
+    });
+
+    it('runs a pipeline in a Web Worker', async function() {
+        const image = await loadImage('speedy.jpg');
+        const worker = Speedy.worker();
+
+        const bitmap = await worker.run(image, [ [ 'convertTo', 'greyscale' ] ]);
+        const media = await Speedy.load(image);
+        const expected = await media.run(Speedy.pipeline().convertTo('greyscale'));
+
+        display(bitmap, 'Pipeline run in a worker');
+        expect(imerr(bitmap, expected)).toBeAnAcceptableImageError();
+
+        await expectAsync(worker.run(image, [ [ 'release' ] ])).toBeRejected();
+
+        await media.release();
+        await worker.terminate();
+    });
+
 });
\ No newline at end of file